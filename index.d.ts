@@ -0,0 +1,1021 @@
+// Type declarations for royal-lava. Keep in sync with the JSDoc in src/.
+
+import { EventEmitter } from 'events';
+
+// --- Constants ---
+
+export declare class Constants {
+    static readonly LAVA_OP_CODES: {
+        readonly READY: 'ready';
+        readonly PLAYER_UPDATE: 'playerUpdate';
+        readonly STATS: 'stats';
+        readonly EVENT: 'event';
+    };
+    static readonly LAVA_EVENT_TYPES: {
+        readonly TRACK_START: 'TrackStartEvent';
+        readonly TRACK_END: 'TrackEndEvent';
+        readonly TRACK_EXCEPTION: 'TrackExceptionEvent';
+        readonly TRACK_STUCK: 'TrackStuckEvent';
+        readonly WEBSOCKET_CLOSED: 'WebSocketClosedEvent';
+    };
+    static readonly CLIENT_EVENT_TYPES: {
+        readonly NODE_CONNECT: 'nodeConnect';
+        readonly NODE_READY: 'nodeReady';
+        readonly NODE_DISCONNECT: 'nodeDisconnect';
+        readonly NODE_ERROR: 'nodeError';
+        readonly NODE_STATS: 'nodeStats';
+        readonly NODE_RESUMED: 'nodeResumed';
+        readonly NODE_DRAIN_START: 'nodeDrainStart';
+        readonly NODE_DRAIN_PROGRESS: 'nodeDrainProgress';
+        readonly NODE_DRAIN_END: 'nodeDrainEnd';
+        readonly NODE_UNDRAIN: 'nodeUndrain';
+        readonly PLAYER_CREATE: 'playerCreate';
+        readonly PLAYER_DESTROY: 'playerDestroy';
+        readonly PLAYER_CONNECT: 'playerConnect';
+        readonly PLAYER_DISCONNECT: 'playerDisconnect';
+        readonly PLAYER_VOICE_CHANNEL_MOVE: 'playerVoiceChannelMove';
+        readonly PLAYER_MOVE: 'playerMove';
+        readonly PLAYER_STATE_UPDATE: 'playerStateUpdate';
+        readonly PLAYER_WEBSOCKET_CLOSED: 'playerWebsocketClosed';
+        readonly PLAYER_PAUSE: 'playerPause';
+        readonly PLAYER_RESUME: 'playerResume';
+        readonly PLAYER_STOP: 'playerStop';
+        readonly PLAYER_SEEK: 'playerSeek';
+        readonly PLAYER_VOLUME_UPDATE: 'playerVolumeUpdate';
+        readonly PLAYER_LOOP_CHANGE: 'playerLoopChange';
+        readonly PLAYER_FILTERS_UPDATE: 'playerFiltersUpdate';
+        readonly TRACK_ADD: 'trackAdd';
+        readonly TRACK_REMOVE: 'trackRemove';
+        readonly QUEUE_CLEAR: 'queueClear';
+        readonly QUEUE_SHUFFLE: 'queueShuffle';
+        readonly QUEUE_END: 'queueEnd';
+        readonly AUTOPLAY: 'autoplay';
+        readonly VOTE_SKIP_ADD: 'voteSkipAdd';
+        readonly VOTE_SKIP_PASS: 'voteSkipPass';
+        readonly LISTENER_JOIN: 'listenerJoin';
+        readonly LISTENER_LEAVE: 'listenerLeave';
+        readonly CHANNEL_EMPTY: 'channelEmpty';
+        readonly CHANNEL_OCCUPIED: 'channelOccupied';
+        readonly PLAYER_AUTO_LEAVE: 'playerAutoLeave';
+        readonly TRACK_START: 'trackStart';
+        readonly TRACK_END: 'trackEnd';
+        readonly TRACK_EXCEPTION: 'trackException';
+        readonly TRACK_STUCK: 'trackStuck';
+        readonly PLAYER_ERROR: 'playerError';
+        readonly RAW: 'raw';
+        readonly WARN: 'warn';
+        readonly DEBUG: 'debug';
+    };
+    static readonly PLAYER_STATE: {
+        readonly INSTANTIATED: 'INSTANTIATED';
+        readonly PLAYING: 'PLAYING';
+        readonly PAUSED: 'PAUSED';
+        readonly STOPPED: 'STOPPED';
+        readonly DESTROYED: 'DESTROYED';
+    };
+    static readonly LOOP_MODE: {
+        readonly NONE: 0;
+        readonly TRACK: 1;
+        readonly QUEUE: 2;
+    };
+    static readonly NODE_SELECTION_STRATEGY: {
+        readonly PENALTY: 'penalty';
+        readonly LEAST_PLAYERS: 'least-players';
+        readonly LEAST_CPU: 'least-cpu';
+        readonly ROUND_ROBIN: 'round-robin';
+        readonly RANDOM_WEIGHTED: 'random-weighted';
+    };
+    static readonly DUPLICATE_POLICY: {
+        readonly ALLOW: 'allow';
+        readonly REJECT: 'reject';
+        readonly REJECT_IF_UPCOMING: 'reject-if-upcoming';
+    };
+    static readonly TRACK_REJECT_REASON: {
+        readonly QUEUE_FULL: 'queueFull';
+        readonly REQUESTER_LIMIT: 'requesterLimit';
+        readonly TRACK_TOO_LONG: 'trackTooLong';
+        readonly QUEUE_DURATION_LIMIT: 'queueDurationLimit';
+        readonly DUPLICATE: 'duplicate';
+    };
+    static readonly SEARCH_PLATFORM: {
+        readonly YOUTUBE: 'ytsearch';
+        readonly YOUTUBE_MUSIC: 'ytmsearch';
+        readonly SOUNDCLOUD: 'scsearch';
+        readonly APPLE_MUSIC: 'amsearch';
+        readonly DEEZER: 'dzsearch';
+        readonly DEEZER_ISRC: 'dzisrc';
+        readonly SPOTIFY: 'spsearch';
+        readonly BANDCAMP: 'bcsearch';
+        readonly YANDEX_MUSIC: 'ymsearch';
+    };
+    static readonly FILTER_PRESETS: Readonly<Record<BuiltinFilterPreset, LavalinkFilters>>;
+    static readonly DEFAULT_RECONNECT_OPTIONS: Required<ReconnectOptions>;
+    static readonly DEFAULT_NODE_OPTIONS: Omit<NodeOptions, 'host'>;
+    static readonly DEFAULT_PLAYER_OPTIONS: PlayerOptions;
+}
+
+type ValueOf<T> = T[keyof T];
+
+export type LavalinkOpCode = ValueOf<typeof Constants.LAVA_OP_CODES>;
+export type LavalinkEventType = ValueOf<typeof Constants.LAVA_EVENT_TYPES>;
+export type ClientEventType = ValueOf<typeof Constants.CLIENT_EVENT_TYPES>;
+/** Values of `Constants.PLAYER_STATE` plus the transitional states used while connecting and disconnecting. */
+export type PlayerState = ValueOf<typeof Constants.PLAYER_STATE>
+    | 'CONNECTING' | 'WAITING_FOR_SERVER' | 'CONNECTION_FAILED' | 'DISCONNECTING' | 'DISCONNECTED' | 'DISCONNECTED_LAVALINK';
+export type LoopMode = ValueOf<typeof Constants.LOOP_MODE>;
+export type NodeSelectionStrategyName = ValueOf<typeof Constants.NODE_SELECTION_STRATEGY>;
+export type DuplicatePolicy = ValueOf<typeof Constants.DUPLICATE_POLICY>;
+export type TrackRejectReason = ValueOf<typeof Constants.TRACK_REJECT_REASON>;
+export type SearchPlatform = ValueOf<typeof Constants.SEARCH_PLATFORM>;
+export type BuiltinFilterPreset = 'bassboost-low' | 'bassboost-medium' | 'bassboost-high' | 'nightcore' | 'vaporwave' | '8d'
+    | 'karaoke' | 'soft' | 'pop' | 'treble' | 'lofi' | 'slowed';
+export type AutoLeaveReason = 'emptyQueue' | 'emptyChannel';
+
+// --- Lavalink v4 payloads ---
+
+export interface LavalinkTrackInfo {
+    identifier: string;
+    isSeekable: boolean;
+    author: string;
+    length: number;
+    isStream: boolean;
+    position: number;
+    title: string;
+    uri: string | null;
+    artworkUrl: string | null;
+    isrc: string | null;
+    sourceName: string;
+}
+
+export interface LavalinkTrack {
+    encoded: string;
+    info: LavalinkTrackInfo;
+    pluginInfo: Record<string, unknown>;
+    userData: Record<string, unknown>;
+}
+
+export interface LavalinkPlaylistInfo {
+    name: string;
+    selectedTrack: number;
+}
+
+export interface LavalinkException {
+    message: string | null;
+    severity: 'common' | 'suspicious' | 'fault';
+    cause: string;
+}
+
+export type LavalinkLoadResult =
+    | { loadType: 'track'; data: LavalinkTrack }
+    | { loadType: 'playlist'; data: { info: LavalinkPlaylistInfo; pluginInfo: Record<string, unknown>; tracks: LavalinkTrack[] } }
+    | { loadType: 'search'; data: LavalinkTrack[] }
+    | { loadType: 'empty'; data: Record<string, never> }
+    | { loadType: 'error'; data: LavalinkException };
+
+export type LoadType = LavalinkLoadResult['loadType'];
+
+export interface EqualizerBand {
+    /** 0-14 */
+    band: number;
+    /** -0.25 to 1.0 */
+    gain: number;
+}
+
+export interface KaraokeFilter { level?: number; monoLevel?: number; filterBand?: number; filterWidth?: number }
+export interface TimescaleFilter { speed?: number; pitch?: number; rate?: number }
+export interface TremoloFilter { frequency?: number; depth?: number }
+export interface VibratoFilter { frequency?: number; depth?: number }
+export interface RotationFilter { rotationHz?: number }
+export interface DistortionFilter {
+    sinOffset?: number; sinScale?: number; cosOffset?: number; cosScale?: number;
+    tanOffset?: number; tanScale?: number; offset?: number; scale?: number;
+}
+export interface ChannelMixFilter { leftToLeft?: number; leftToRight?: number; rightToLeft?: number; rightToRight?: number }
+export interface LowPassFilter { smoothing?: number }
+
+/** A (partial) Lavalink filter object. `null` turns a filter off. */
+export interface LavalinkFilters {
+    /** 0-5, 1.0 is unchanged. */
+    volume?: number | null;
+    equalizer?: EqualizerBand[] | null;
+    karaoke?: KaraokeFilter | null;
+    timescale?: TimescaleFilter | null;
+    tremolo?: TremoloFilter | null;
+    vibrato?: VibratoFilter | null;
+    rotation?: RotationFilter | null;
+    distortion?: DistortionFilter | null;
+    channelMix?: ChannelMixFilter | null;
+    lowPass?: LowPassFilter | null;
+    /** Plugin name -> settings. */
+    pluginFilters?: Record<string, unknown> | null;
+}
+
+/** The effective filter state returned by `Player#getFilters`: every filter key is present. */
+export type FilterState = { [K in keyof LavalinkFilters]-?: Exclude<LavalinkFilters[K], undefined> } & {
+    volume: number;
+    pluginFilters: Record<string, unknown>;
+};
+
+export interface LavalinkPlayerState {
+    time: number;
+    position: number;
+    connected: boolean;
+    ping: number;
+}
+
+export interface LavalinkVoiceState {
+    token: string;
+    endpoint: string;
+    sessionId: string;
+}
+
+export interface LavalinkPlayer {
+    guildId: string;
+    track: LavalinkTrack | null;
+    volume: number;
+    paused: boolean;
+    state: LavalinkPlayerState;
+    voice: LavalinkVoiceState;
+    filters: LavalinkFilters;
+}
+
+/** Body of `PATCH /v4/sessions/{sessionId}/players/{guildId}`. */
+export interface LavalinkPlayerUpdate {
+    track?: { encoded?: string | null; identifier?: string; userData?: Record<string, unknown> };
+    encodedTrack?: string | null;
+    position?: number;
+    endTime?: number | null;
+    volume?: number;
+    paused?: boolean;
+    filters?: LavalinkFilters;
+    voice?: LavalinkVoiceState;
+}
+
+export interface LavalinkStats {
+    players: number;
+    playingPlayers: number;
+    uptime: number;
+    memory: { free: number; used: number; allocated: number; reservable: number };
+    cpu: { cores: number; systemLoad: number; lavalinkLoad: number };
+    frameStats: { sent: number; nulled: number; deficit: number } | null;
+}
+
+export interface LavalinkInfo {
+    version: { semver: string; major: number; minor: number; patch: number; preRelease: string | null; build: string | null };
+    buildTime: number;
+    git: { branch: string; commit: string; commitTime: number };
+    jvm: string;
+    lavaplayer: string;
+    sourceManagers: string[];
+    filters: string[];
+    plugins: Array<{ name: string; version: string }>;
+}
+
+export interface LavalinkSession {
+    resuming: boolean;
+    timeout: number;
+}
+
+export interface TrackStartEvent { op: 'event'; type: 'TrackStartEvent'; guildId: string; track: LavalinkTrack }
+export interface TrackEndEvent {
+    op: 'event'; type: 'TrackEndEvent'; guildId: string; track: LavalinkTrack;
+    reason: 'finished' | 'loadFailed' | 'stopped' | 'replaced' | 'cleanup';
+}
+export interface TrackExceptionEvent { op: 'event'; type: 'TrackExceptionEvent'; guildId: string; track: LavalinkTrack; exception: LavalinkException }
+export interface TrackStuckEvent { op: 'event'; type: 'TrackStuckEvent'; guildId: string; track: LavalinkTrack; thresholdMs: number }
+export interface WebSocketClosedEvent { op: 'event'; type: 'WebSocketClosedEvent'; guildId: string; code: number; reason: string; byRemote: boolean }
+export type LavalinkEvent = TrackStartEvent | TrackEndEvent | TrackExceptionEvent | TrackStuckEvent | WebSocketClosedEvent;
+
+export type LavalinkMessage =
+    | { op: 'ready'; resumed: boolean; sessionId: string }
+    | ({ op: 'stats' } & LavalinkStats)
+    | { op: 'playerUpdate'; guildId: string; state: LavalinkPlayerState }
+    | LavalinkEvent;
+
+// --- Discord gateway payloads ---
+
+export interface VoiceStateUpdateData {
+    guild_id: string;
+    channel_id: string | null;
+    user_id: string;
+    session_id: string | null;
+    deaf?: boolean;
+    mute?: boolean;
+    self_deaf?: boolean;
+    self_mute?: boolean;
+    member?: { user?: { id: string; bot?: boolean } };
+    [key: string]: unknown;
+}
+
+export interface VoiceServerUpdateData {
+    guild_id: string;
+    token: string | null;
+    endpoint: string | null;
+}
+
+export interface GuildCreateData {
+    id: string;
+    voice_states?: Array<Omit<VoiceStateUpdateData, 'guild_id'> & { guild_id?: string }>;
+    members?: Array<{ user?: { id: string; bot?: boolean } }>;
+    [key: string]: unknown;
+}
+
+export interface GatewayVoicePayload {
+    op: 4;
+    d: { guild_id: string; channel_id: string | null; self_mute: boolean; self_deaf: boolean };
+}
+
+export interface MemberVoiceState {
+    userId: string;
+    channelId: string;
+    deaf: boolean;
+    mute: boolean;
+}
+
+// --- Tracks ---
+
+/** `Track#info`; `identifier` and `sourceName` are null for tracks that were never resolved. */
+export type TrackInfo = Omit<LavalinkTrackInfo, 'identifier' | 'sourceName'> & { identifier: string | null; sourceName: string | null };
+
+export declare class Track {
+    constructor(data: { encoded?: string | null; info: Partial<LavalinkTrackInfo>; pluginInfo?: Record<string, unknown>; userData?: Record<string, unknown>; requester?: unknown }, requester?: unknown);
+    encoded: string | null;
+    info: TrackInfo;
+    pluginInfo: Record<string, unknown>;
+    userData: Record<string, unknown>;
+    requester: any;
+    static from(data: Track | LavalinkTrack | TrackLike | string, requester?: unknown): Track;
+    static formatDuration(ms: number): string;
+    readonly title: string;
+    readonly author: string;
+    readonly uri: string | null;
+    readonly identifier: string | null;
+    readonly sourceName: string | null;
+    /** Duration in milliseconds (0 for streams). */
+    readonly duration: number;
+    readonly isStream: boolean;
+    readonly isSeekable: boolean;
+    /** `m:ss`, `h:mm:ss` or `LIVE`. */
+    readonly displayDuration: string;
+    readonly thumbnail: string | null;
+    toJSON(): { encoded: string | null; info: TrackInfo; pluginInfo: Record<string, unknown>; userData: Record<string, unknown>; requester: any };
+}
+
+/** Anything `Track.from` accepts besides strings: Lavalink tracks, serialised Tracks and unresolved track data. */
+export type TrackLike = { encoded?: string | null; info: Partial<LavalinkTrackInfo>; pluginInfo?: Record<string, unknown>; userData?: Record<string, unknown>; requester?: unknown; unresolved?: boolean };
+export type TrackInput = Track | LavalinkTrack | TrackLike | string;
+
+export interface UnresolvedTrackData {
+    title: string;
+    author?: string;
+    length?: number;
+    /** Alias for `length`. */
+    duration?: number;
+    isrc?: string;
+    uri?: string;
+    artworkUrl?: string;
+    sourceName?: string;
+    userData?: Record<string, unknown>;
+    pluginInfo?: Record<string, unknown>;
+}
+
+export interface TrackResolveOptions {
+    player?: Player | null;
+    source?: string;
+    isrcSource?: string;
+    durationTolerance?: number;
+}
+
+export declare class UnresolvedTrack extends Track {
+    constructor(data: UnresolvedTrackData | { info: UnresolvedTrackData }, requester?: unknown);
+    resolvedTrack: Track | null;
+    resolve(manager: Manager, options?: TrackResolveOptions): Promise<Track>;
+    toJSON(): ReturnType<Track['toJSON']> & { unresolved: true };
+}
+
+export declare const TrackCodec: {
+    decodeTrack(encoded: string): LavalinkTrack;
+    encodeTrack(info: Partial<LavalinkTrackInfo> & Pick<LavalinkTrackInfo, 'title' | 'author' | 'identifier' | 'sourceName'>): string;
+};
+
+export interface TrackCacheOptions {
+    maxSize?: number;
+    searchTTL?: number;
+    urlTTL?: number;
+}
+
+export declare class TrackCache {
+    constructor(options?: TrackCacheOptions);
+    maxSize: number;
+    searchTTL: number;
+    urlTTL: number;
+    hits: number;
+    misses: number;
+    readonly size: number;
+    readonly stats: { hits: number; misses: number; size: number; hitRate: number };
+    get(identifier: string): LavalinkLoadResult | null;
+    set(identifier: string, result: LavalinkLoadResult, isSearch?: boolean): boolean;
+    delete(identifier: string): boolean;
+    clear(): void;
+}
+
+// --- Storage ---
+
+/** What the Manager needs from a storage adapter. `keys` is only used by `restorePlayers()` without `guildIds`. */
+export interface PlayerStorage {
+    get(guildId: string): Promise<PlayerSnapshot | null> | PlayerSnapshot | null;
+    set(guildId: string, data: PlayerSnapshot): Promise<void> | void;
+    delete(guildId: string): Promise<void> | void;
+    keys?(): Promise<string[]> | string[];
+}
+
+export declare class StorageAdapter implements PlayerStorage {
+    get(guildId: string): Promise<PlayerSnapshot | null>;
+    set(guildId: string, data: PlayerSnapshot): Promise<void>;
+    delete(guildId: string): Promise<void>;
+    keys(): Promise<string[]>;
+}
+
+export declare class MemoryStorage extends StorageAdapter {
+    constructor();
+}
+
+export declare class JSONFileStorage extends StorageAdapter {
+    constructor(filePath: string);
+    filePath: string;
+}
+
+export interface PlayerSnapshot {
+    guildId: string;
+    node: string | null;
+    voiceChannelId: string | null;
+    queue: {
+        tracks: ReturnType<Track['toJSON']>[];
+        previousTracks: ReturnType<Track['toJSON']>[];
+        current: ReturnType<Track['toJSON']> | null;
+        loop: LoopMode;
+        fair: boolean;
+    };
+    position: number;
+    paused: boolean;
+    volume: number;
+    filters: FilterState;
+    activePresets: string[];
+    autoplay: boolean;
+    stayConnected: boolean;
+    savedAt: number;
+}
+
+// --- Options ---
+
+export interface ReconnectOptions {
+    maxTries?: number;
+    initialDelay?: number;
+    maxDelay?: number;
+}
+
+export interface NodeOptions {
+    host: string;
+    port?: number;
+    password?: string;
+    secure?: boolean;
+    identifier?: string;
+    /** Ask Lavalink to keep the session alive across reconnects. */
+    resume?: boolean;
+    /** Legacy (v3) option, enables `resume` when set. */
+    resumeKey?: string | null;
+    /** Seconds. */
+    resumeTimeout?: number;
+    reconnect?: ReconnectOptions | null;
+    retryAmount?: number;
+    /** Voice regions this node serves, e.g. `['us-east']`. */
+    regions?: string[];
+}
+
+export interface QueueLimits {
+    maxSize?: number;
+    maxPerRequester?: number;
+    maxTrackDuration?: number;
+    maxTotalDuration?: number;
+    duplicates?: DuplicatePolicy;
+}
+
+export interface VoteSkipOptions {
+    /** An absolute count (>= 1) or a fraction of the listeners (< 1). */
+    threshold?: number;
+    requesterCanSkip?: boolean;
+}
+
+export type AutoplayRecommender = (seedTrack: Track, player: Player) => Promise<Array<TrackInput>> | Array<TrackInput>;
+
+export interface PlayerOptions {
+    initialVolume?: number;
+    selfDeaf?: boolean;
+    selfMute?: boolean;
+    queue?: Queue;
+    fairQueue?: boolean;
+    queueLimits?: QueueLimits;
+    voteSkip?: VoteSkipOptions;
+    autoplay?: boolean;
+    autoplayRecommender?: AutoplayRecommender;
+    leaveOnEmptyQueue?: number | null;
+    leaveOnEmptyChannel?: number | null;
+    pauseOnEmptyChannel?: boolean;
+    stayConnected?: boolean;
+    fadeInDuration?: number;
+    fadeOutDuration?: number;
+    crossfadeDuration?: number;
+}
+
+export interface NodeSelectionContext {
+    manager: Manager;
+    reason?: 'createPlayer' | 'loadTracks' | 'decodeTrack' | 'decodeTracks' | 'migrate' | 'region' | 'drain' | (string & {});
+    guildId?: string;
+    exclude?: Node;
+    region?: string;
+}
+
+export type NodeSelectionStrategy = NodeSelectionStrategyName | ((nodes: Node[], context: NodeSelectionContext) => Node);
+
+export interface ManagerOptions {
+    userId?: string | null;
+    send: (guildId: string, payload: GatewayVoicePayload) => void;
+    nodes?: NodeOptions[];
+    playerOptions?: PlayerOptions;
+    storage?: PlayerStorage | null;
+    storageDebounce?: number;
+    nodeSelectionStrategy?: NodeSelectionStrategy;
+    regionMigration?: boolean;
+    defaultSearchPlatform?: SearchPlatform | (string & {});
+    trackResolution?: Omit<TrackResolveOptions, 'player'>;
+    trackCache?: boolean | TrackCacheOptions;
+}
+
+export interface SearchOptions {
+    source?: string;
+    requester?: unknown;
+    limit?: number;
+    player?: Player | null;
+    bypassCache?: boolean;
+}
+
+export interface SearchResult {
+    loadType: LoadType;
+    tracks: Track[];
+    playlist: { name: string; selectedTrack: number; pluginInfo: Record<string, unknown> } | null;
+    exception: LavalinkException | null;
+    pluginInfo: Record<string, unknown>;
+}
+
+export interface PlayOptions {
+    startTime?: number;
+    endTime?: number;
+    noReplace?: boolean;
+    pause?: boolean;
+    /** @deprecated Use `noReplace`. */
+    replace?: boolean;
+}
+
+export interface AddResult {
+    accepted: Track[];
+    rejected: Array<{ track: Track; reason: TrackRejectReason }>;
+}
+
+export interface DrainOptions {
+    /** ms to wait before retrying when no other node can take a player. */
+    retryDelay?: number;
+    /** Retries while no other node can take a player before giving up. */
+    maxRetries?: number;
+    /** ms after which the drain gives up; unlimited by default. */
+    timeout?: number;
+}
+
+/** `failed` counts players left on the node (failed move, no target node, or timeout). */
+export interface DrainSummary {
+    moved: number;
+    failed: number;
+    cancelled: boolean;
+}
+
+export interface ReconcileResults {
+    synced: string[];
+    restored: string[];
+    failed: Array<{ guildId: string; error: Error }>;
+    orphaned: string[];
+}
+
+// --- Events ---
+
+/** Events emitted on a Player; each one is emitted on its Manager as well, except `error`. */
+export interface PlayerEvents {
+    playerDestroy: [player: Player];
+    playerConnect: [player: Player];
+    playerDisconnect: [player: Player, info: { destroyed: boolean }];
+    playerVoiceChannelMove: [player: Player, oldChannelId: string | null, newChannelId: string | null];
+    playerMove: [player: Player, oldNode: Node, newNode: Node];
+    playerStateUpdate: [player: Player, state: LavalinkPlayerState];
+    playerWebsocketClosed: [player: Player, payload: WebSocketClosedEvent | { code: number; reason: string; byRemote: boolean; guildId: string }];
+    playerPause: [player: Player];
+    playerResume: [player: Player];
+    playerStop: [player: Player, stoppedTrack: Track | null];
+    playerSeek: [player: Player, position: number];
+    playerVolumeUpdate: [player: Player, oldVolume: number, newVolume: number];
+    playerLoopChange: [player: Player, oldMode: LoopMode, newMode: LoopMode];
+    playerFiltersUpdate: [player: Player, filters: FilterState];
+    trackAdd: [player: Player, tracks: Track[]];
+    trackRemove: [player: Player, track: Track, index: number];
+    queueClear: [player: Player, removedCount: number];
+    queueShuffle: [player: Player];
+    queueEnd: [player: Player];
+    autoplay: [player: Player, track: Track, seed: Track];
+    voteSkipAdd: [player: Player, userId: string, votes: number, required: number];
+    voteSkipPass: [player: Player, track: Track, votes: number, required: number];
+    listenerJoin: [player: Player, userId: string, state: MemberVoiceState];
+    listenerLeave: [player: Player, userId: string];
+    channelEmpty: [player: Player];
+    channelOccupied: [player: Player];
+    playerAutoLeave: [player: Player, reason: AutoLeaveReason];
+    trackStart: [player: Player, track: Track];
+    trackEnd: [player: Player, track: Track | null, payload: TrackEndEvent];
+    trackException: [player: Player, track: Track | null, exception: LavalinkException];
+    trackStuck: [player: Player, track: Track | null, thresholdMs: number];
+    playerError: [player: Player, error: Error, context: string];
+    /** Lavalink payloads the client does not handle. `source` is `player:<guildId>`. */
+    raw: [node: Node, source: string, payload: unknown];
+    /** Only emitted when the Player itself has `error` listeners. */
+    error: [error: Error, context: string];
+}
+
+export interface ManagerEvents extends Omit<PlayerEvents, 'error'> {
+    nodeConnect: [node: Node];
+    nodeReady: [node: Node];
+    nodeDisconnect: [node: Node, code: number, reason: string];
+    nodeError: [node: Node, error: Error, context?: string | number];
+    nodeStats: [node: Node, stats: LavalinkStats];
+    nodeResumed: [node: Node, results: ReconcileResults];
+    nodeDrainStart: [node: Node, players: number];
+    nodeDrainProgress: [node: Node, progress: { player: Player; targetNode: Node | null; moved: number; failed: number; remaining: number }];
+    nodeDrainEnd: [node: Node, summary: DrainSummary];
+    nodeUndrain: [node: Node];
+    playerCreate: [player: Player];
+    warn: [message: string];
+    debug: [message: string, ...extra: unknown[]];
+}
+
+/** `on`/`once`/`off`/`emit` overloads that know the argument types of the events in `Events`; other event names stay untyped. */
+interface TypedEmitter<Events extends { [K in keyof Events]: unknown[] }> {
+    on<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+    on<S extends string | symbol>(event: S extends keyof Events ? never : S, listener: (...args: any[]) => void): this;
+    once<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+    once<S extends string | symbol>(event: S extends keyof Events ? never : S, listener: (...args: any[]) => void): this;
+    off<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+    off<S extends string | symbol>(event: S extends keyof Events ? never : S, listener: (...args: any[]) => void): this;
+    addListener<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+    addListener<S extends string | symbol>(event: S extends keyof Events ? never : S, listener: (...args: any[]) => void): this;
+    prependListener<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+    prependListener<S extends string | symbol>(event: S extends keyof Events ? never : S, listener: (...args: any[]) => void): this;
+    removeListener<E extends keyof Events>(event: E, listener: (...args: Events[E]) => void): this;
+    removeListener<S extends string | symbol>(event: S extends keyof Events ? never : S, listener: (...args: any[]) => void): this;
+    emit<E extends keyof Events>(event: E, ...args: Events[E]): boolean;
+    emit<S extends string | symbol>(event: S extends keyof Events ? never : S, ...args: any[]): boolean;
+}
+
+type TypedEmitterKeys = 'on' | 'once' | 'off' | 'addListener' | 'prependListener' | 'removeListener' | 'emit';
+declare const EmitterBase: new () => Omit<EventEmitter, TypedEmitterKeys>;
+/** Player's `listeners` getter shadows `EventEmitter#listeners`. */
+declare const PlayerEmitterBase: new () => Omit<EventEmitter, TypedEmitterKeys | 'listeners'>;
+
+// --- Core classes ---
+
+export declare class Manager extends EmitterBase {
+    constructor(options: ManagerOptions);
+    userId: string | null;
+    playerOptions: PlayerOptions;
+    nodes: Map<string, Node>;
+    players: Map<string, Player>;
+    voiceStates: Map<string, Map<string, MemberVoiceState>>;
+    nodeSelectionStrategy: NodeSelectionStrategy;
+    regionMigration: boolean;
+    storage: PlayerStorage | null;
+    storageDebounce: number;
+    searchPrefixes: Set<string>;
+    defaultSearchPlatform: string;
+    trackResolution: Omit<TrackResolveOptions, 'player'>;
+    filterPresets: Map<string, LavalinkFilters>;
+    trackCache: TrackCache | null;
+
+    addNode(options: NodeOptions): Node;
+    removeNode(identifier: string, options?: { drain?: boolean }): Promise<boolean>;
+    drainNode(identifier: string, options?: DrainOptions): Promise<DrainSummary>;
+    createPlayer(guildId: string, playerOpts?: PlayerOptions): Player;
+    getPlayer(guildId: string): Player | undefined;
+    destroyPlayer(guildId: string): Promise<void>;
+    savePlayer(player: Player): Promise<void>;
+    restorePlayers(options?: { connect?: boolean; guildIds?: string[] }): Promise<Player[]>;
+    getIdealNode(context?: Omit<NodeSelectionContext, 'manager'>): Node | undefined;
+    setNodeSelectionStrategy(strategy: NodeSelectionStrategy): void;
+    handleVoiceStateUpdate(data: VoiceStateUpdateData): Promise<void>;
+    handleVoiceServerUpdate(data: VoiceServerUpdateData): Promise<void>;
+    handleGuildCreate(data: GuildCreateData): void;
+    getVoiceStates(guildId: string): Map<string, MemberVoiceState>;
+    loadTracks(identifier: string, requesterPlayer?: Player | null, options?: { bypassCache?: boolean; source?: string }): Promise<LavalinkLoadResult>;
+    search(query: string, options?: SearchOptions): Promise<SearchResult>;
+    registerSearchPrefix(...prefixes: Array<string | string[]>): this;
+    unregisterSearchPrefix(prefix: string): boolean;
+    registerFilterPreset(name: string, filters: LavalinkFilters): this;
+    unregisterFilterPreset(name: string): boolean;
+    getFilterPreset(name: string): LavalinkFilters | null;
+    decodeTrack(encodedTrack: string, requesterPlayer?: Player | null): Promise<LavalinkTrack>;
+    decodeTracks(encodedTracks: string[], requesterPlayer?: Player | null): Promise<LavalinkTrack[]>;
+}
+export interface Manager extends TypedEmitter<ManagerEvents> {}
+
+declare class Node extends EventEmitter {
+    constructor(manager: Manager, options: NodeOptions);
+    manager: Manager;
+    options: NodeOptions & Required<Pick<NodeOptions, 'port' | 'password' | 'secure' | 'identifier'>>;
+    identifier: string;
+    regions: string[];
+    stats: LavalinkStats | null;
+    /** True once Lavalink sent READY. */
+    connected: boolean;
+    sessionId: string | null;
+    resuming: boolean;
+    resumeTimeout: number;
+    rest: Rest;
+    players: Map<string, Player>;
+    reconnectAttempt: number;
+    draining: boolean;
+    /** Load penalty used by the `penalty` strategy (lower is better, Infinity when not connected). */
+    readonly Penalties: number;
+    updatePlayer(guildId: string, data?: LavalinkPlayerUpdate, noReplace?: boolean): Promise<LavalinkPlayer>;
+    destroyPlayer(guildId: string): Promise<void>;
+    configureResuming(resuming?: boolean, timeout?: number): Promise<LavalinkSession>;
+    /** @deprecated Lavalink v4 has no resume keys; a key string just enables resuming. */
+    configureResuming(key: string | null, timeout?: number): Promise<LavalinkSession>;
+    disconnect(code?: number, reason?: string): void;
+    drain(options?: DrainOptions): Promise<DrainSummary>;
+    undrain(): void;
+    destroy(): void;
+}
+
+declare class Rest {
+    constructor(node: Node);
+    node: Node;
+    url: string;
+    sessionId: string | null;
+    setSessionId(id: string | null): void;
+    makeRequest<T = unknown>(endpoint: string, options?: { method?: string; body?: unknown; params?: Record<string, string> }): Promise<T>;
+    getVersion(): Promise<string>;
+    getInfo(): Promise<LavalinkInfo>;
+    getStats(): Promise<LavalinkStats>;
+    loadTracks(identifier: string): Promise<LavalinkLoadResult>;
+    decodeTrack(encodedTrack: string): Promise<LavalinkTrack>;
+    decodeTracks(encodedTracks: string[]): Promise<LavalinkTrack[]>;
+    updateSession(resume?: boolean, timeout?: number): Promise<LavalinkSession | void>;
+    getPlayers(): Promise<LavalinkPlayer[]>;
+    getPlayer(guildId: string): Promise<LavalinkPlayer>;
+    updatePlayer(guildId: string, data: LavalinkPlayerUpdate & { noReplace?: boolean }): Promise<LavalinkPlayer>;
+    destroyPlayer(guildId: string): Promise<void>;
+}
+
+export interface QueueOptions {
+    decoder?: (encoded: string) => Promise<Track | LavalinkTrack> | Track | LavalinkTrack;
+    maxHistory?: number;
+    fair?: boolean;
+    limits?: QueueLimits;
+}
+
+declare class Queue {
+    constructor(options?: QueueOptions);
+    tracks: Track[];
+    previousTracks: Track[];
+    loop: LoopMode;
+    maxHistory: number;
+    fair: boolean;
+    limits: QueueLimits;
+    current: Track | null;
+    readonly upcoming: Track[];
+    /** Most recently played first. */
+    readonly history: Track[];
+    readonly size: number;
+    readonly totalSize: number;
+    readonly duration: number;
+    readonly isEmpty: boolean;
+    entries(): Track[];
+    peek(): Track | null;
+    /**
+     * In fair mode tracks added without a position are placed round-robin by requester; queued tracks are never moved.
+     * Not checked against the limits: call `validate()` first (`Player.add()` does).
+     */
+    add(track: TrackInput | TrackInput[], position?: number): void;
+    insertAt(index: number, track: TrackInput | TrackInput[]): void;
+    poll(): Track | null;
+    remove(indexOrTrack: number | Track): Track | null;
+    removeAt(index: number): Track | null;
+    removeRange(start: number, end: number): Track[];
+    move(from: number, to: number): Track;
+    swap(first: number, second: number): void;
+    addToHistory(track: Track): void;
+    previous(): Track | null;
+    buildTrackFromEncoded(encoded: string | { encoded: string; info?: Partial<LavalinkTrackInfo> }): Promise<Track | null>;
+    /** Clears upcoming tracks, history and the current track. */
+    clear(): void;
+    /** Clears the upcoming tracks only. */
+    clearUpcoming(): void;
+    shuffle(): void;
+    setLimits(limits?: QueueLimits): void;
+    validate(tracks: Track[]): AddResult;
+    setFair(enabled: boolean): void;
+    setLoop(mode: LoopMode): void;
+}
+
+declare class Player extends PlayerEmitterBase {
+    constructor(manager: Manager, node: Node, guildId: string, options?: PlayerOptions);
+    manager: Manager;
+    node: Node;
+    guildId: string;
+    options: PlayerOptions;
+    queue: Queue;
+    state: PlayerState;
+    connected: boolean;
+    voiceChannelId: string | null;
+    voiceSessionId: string | null;
+    voiceToken: string | null;
+    voiceEndpoint: string | null;
+    playing: boolean;
+    paused: boolean;
+    timestamp: number | null;
+    position: number;
+    volume: number;
+    loop: LoopMode;
+    filters: FilterState;
+    moving: boolean;
+    ping: number;
+    stayConnected: boolean;
+    autoplay: boolean;
+    autoplayRecommender: AutoplayRecommender | null;
+    voteSkipOptions: Required<VoteSkipOptions>;
+
+    readonly current: Track | null;
+    readonly playingTrack: Track | null;
+    readonly currentState: PlayerState;
+    readonly isConnected: boolean;
+    readonly isPlaying: boolean;
+    readonly isPaused: boolean;
+    readonly currentPosition: number;
+    readonly voiceRegion: string | null;
+    readonly currentVolume: number;
+    readonly currentLoopMode: LoopMode;
+    readonly isQueueEmpty: boolean;
+    readonly queueSize: number;
+    readonly fullQueue: Track[];
+    /** Non-bot users in the player's voice channel, including deafened ones. */
+    readonly listeners: Map<string, MemberVoiceState>;
+    /** Non-bot, non-deafened users in the player's voice channel. */
+    readonly activeListenerCount: number;
+    readonly requiredSkipVotes: number;
+    readonly skipVotes: number;
+    readonly activePresets: string[];
+
+    connect(channelId: string): Promise<void>;
+    disconnect(destroy?: boolean): Promise<void>;
+    destroy(): Promise<void>;
+    add(trackOrTracks: TrackInput | TrackInput[], requester?: unknown): Promise<AddResult>;
+    remove(index: number): Track | null;
+    jump(index: number): Promise<void>;
+    clearQueue(): number;
+    shuffle(): boolean;
+    previous(): Promise<void>;
+    play(track?: TrackInput, options?: PlayOptions): Promise<void>;
+    stop(clearQueue?: boolean): Promise<void>;
+    skip(): Promise<Track | null>;
+    voteSkip(userId: string): Promise<{ added: boolean; votes: number; required: number; passed: boolean }>;
+    pause(pause?: boolean): Promise<void>;
+    resume(): Promise<void>;
+    togglePause(): Promise<void>;
+    seek(position: number): Promise<void>;
+    restart(): Promise<void>;
+    setVolume(volume: number): Promise<void>;
+    fadeVolume(target: number, duration?: number, options?: { filter?: boolean }): Promise<boolean>;
+    setCrossfade(duration: number): void;
+    setLoop(mode: LoopMode): void;
+    setQueueLimits(limits?: QueueLimits): void;
+    setFairQueue(enabled: boolean): void;
+    setStayConnected(enabled: boolean): void;
+    setAutoplay(enabled: boolean, recommender?: AutoplayRecommender): void;
+
+    getFilters(): FilterState;
+    setFilters(filters: LavalinkFilters): Promise<void>;
+    updateFilters(changes: LavalinkFilters): Promise<void>;
+    clearFilters(): Promise<void>;
+    setEqualizer(bands: EqualizerBand[] | null): Promise<void>;
+    setTimescale(settings: TimescaleFilter | null): Promise<void>;
+    setFilterVolume(volume: number | null): Promise<void>;
+    setKaraoke(settings: KaraokeFilter | null): Promise<void>;
+    setTremolo(settings: TremoloFilter | null): Promise<void>;
+    setVibrato(settings: VibratoFilter | null): Promise<void>;
+    setRotation(settings: RotationFilter | null): Promise<void>;
+    setDistortion(settings: DistortionFilter | null): Promise<void>;
+    setChannelMix(settings: ChannelMixFilter | null): Promise<void>;
+    setLowPass(settings: LowPassFilter | null): Promise<void>;
+    setPluginFilter(name: string, settings: Record<string, unknown> | null): Promise<void>;
+    applyPreset(name: BuiltinFilterPreset | (string & {}), options?: { replace?: boolean }): Promise<void>;
+    removePreset(name: string): Promise<boolean>;
+    setBassBoost(level?: number): Promise<void>;
+    setNightcore(speed?: number, pitch?: number): Promise<void>;
+    resetCommonEffects(): Promise<void>;
+
+    moveToNode(targetNode: Node): Promise<void>;
+}
+interface Player extends TypedEmitter<PlayerEvents> {}
+
+export type { Node, Rest, Queue, Player };
+
+// --- Testing utilities ---
+
+export interface MockLavalinkServerOptions {
+    host?: string;
+    port?: number;
+    password?: string;
+    statsInterval?: number;
+    playerUpdateInterval?: number;
+    autoFinish?: boolean;
+}
+
+export interface MockLavalinkSession {
+    id: string;
+    resuming: boolean;
+    timeout: number;
+    players: Map<string, unknown>;
+}
+
+export interface MockLavalinkServerEvents {
+    request: [request: { method: string; path: string; query: Record<string, string>; body: unknown }];
+    connection: [session: MockLavalinkSession, resumed: boolean];
+    disconnect: [session: MockLavalinkSession];
+}
+
+export declare class MockLavalinkServer extends EmitterBase {
+    constructor(options?: MockLavalinkServerOptions);
+    host: string;
+    port: number;
+    password: string;
+    autoFinish: boolean;
+    sessions: Map<string, MockLavalinkSession>;
+    tracks: LavalinkTrack[];
+    requests: Array<{ method: string; path: string; query: Record<string, string>; body: unknown }>;
+    readonly nodeOptions: Required<Pick<NodeOptions, 'host' | 'port' | 'password' | 'identifier'>>;
+    start(): Promise<{ host: string; port: number }>;
+    stop(): Promise<void>;
+    addTrack(info: Partial<LavalinkTrackInfo> & { title: string }): LavalinkTrack;
+    setLoadResult(identifier: string, result: LavalinkLoadResult | null): void;
+    getPlayer(guildId: string, sessionId?: string): (Omit<LavalinkPlayer, 'state' | 'voice'> & { state: { connected: boolean }; voice: LavalinkVoiceState | null }) | null;
+    emitTrackEnd(guildId: string, reason?: TrackEndEvent['reason'], sessionId?: string): void;
+    emitTrackException(guildId: string, exception?: Partial<LavalinkException>, sessionId?: string): void;
+    emitTrackStuck(guildId: string, thresholdMs?: number, sessionId?: string): void;
+    emitWebSocketClosed(guildId: string, code?: number, reason?: string, byRemote?: boolean, sessionId?: string): void;
+    sendPlayerUpdate(guildId: string, sessionId?: string): void;
+    sendStats(overrides?: Partial<LavalinkStats>): void;
+    dropConnections(options?: { code?: number; reason?: string; sessionId?: string }): void;
+}
+export interface MockLavalinkServer extends TypedEmitter<MockLavalinkServerEvents> {}
+
+export interface MockDiscordGatewayBehavior {
+    stateDelay?: number;
+    serverDelay?: number;
+    respond?: boolean;
+    sendServerUpdate?: boolean;
+    missingToken?: boolean;
+    missingEndpoint?: boolean;
+    missingSessionId?: boolean;
+    endpoint?: string;
+}
+
+export interface MockDiscordGatewayEvents {
+    payload: [guildId: string, payload: GatewayVoicePayload];
+    dispatch: [type: 'VOICE_STATE_UPDATE' | 'VOICE_SERVER_UPDATE', data: VoiceStateUpdateData | VoiceServerUpdateData];
+    error: [error: Error];
+}
+
+export declare class MockDiscordGateway extends EmitterBase {
+    constructor(options?: MockDiscordGatewayBehavior & { userId?: string | null; manager?: Manager | null });
+    userId: string | null;
+    manager: Manager | null;
+    behavior: Required<MockDiscordGatewayBehavior>;
+    sessionId: string;
+    voiceStates: Map<string, { channelId: string; sessionId: string; selfDeaf: boolean; selfMute: boolean }>;
+    payloads: Array<{ guildId: string; payload: GatewayVoicePayload }>;
+    /** Pass this as the Manager's `send` option. */
+    send: (guildId: string, payload: GatewayVoicePayload) => void;
+    attach(manager: Manager): this;
+    setBehavior(overrides: MockDiscordGatewayBehavior, guildId?: string): void;
+    getVoiceState(guildId: string): { channelId: string; sessionId: string; selfDeaf: boolean; selfMute: boolean } | null;
+    changeRegion(guildId: string, endpoint?: string): Promise<void>;
+    forceDisconnect(guildId: string): Promise<void>;
+    moveToChannel(guildId: string, channelId: string, options?: { serverUpdate?: boolean }): Promise<void>;
+    memberJoin(guildId: string, userId: string, channelId: string, options?: { deaf?: boolean; mute?: boolean; bot?: boolean }): Promise<void>;
+    memberLeave(guildId: string, userId: string): Promise<void>;
+    destroy(): void;
+}
+export interface MockDiscordGateway extends TypedEmitter<MockDiscordGatewayEvents> {}
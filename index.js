@@ -1,12 +1,33 @@
 const Manager = require('./src/Manager');
 const Constants = require('./src/Constants');
+const StorageAdapter = require('./src/StorageAdapter');
+const MemoryStorage = require('./src/MemoryStorage');
+const JSONFileStorage = require('./src/JSONFileStorage');
+const TrackCodec = require('./src/TrackCodec');
+const TrackCache = require('./src/TrackCache');
+const Track = require('./src/Track');
+const UnresolvedTrack = require('./src/UnresolvedTrack');
+const MockLavalinkServer = require('./src/MockLavalinkServer');
+const MockDiscordGateway = require('./src/MockDiscordGateway');
 
 module.exports = {
     Manager,
     Constants,
+    Track,
+    UnresolvedTrack,
+    // Storage adapters for `new Manager({ storage })`
+    StorageAdapter,
+    MemoryStorage,
+    JSONFileStorage,
+    // Offline `decodeTrack(encoded)` / `encodeTrack(info)` for Lavalink encoded tracks
+    TrackCodec,
+    TrackCache,
+    // In-process fake Lavalink v4 server for testing without a real node
+    MockLavalinkServer,
+    // Answers the Manager's voice payloads like the Discord gateway, for voice connection tests
+    MockDiscordGateway,
     // Expose other classes if direct interaction is desired, but Manager should be the primary entry point
     // Node: require('./src/Node'),
     // Player: require('./src/Player'),
     // Queue: require('./src/Queue'),
 };
-// dev by Royal Code Team
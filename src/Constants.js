@@ -14,23 +14,64 @@ class Constants {
         WEBSOCKET_CLOSED: 'WebSocketClosedEvent',
     };
 
+    /**
+     * Events emitted by the Manager. Events that take a `player` first are emitted on that Player too;
+     * the others (node events, `playerCreate`, `debug`, `warn`) only on the Manager.
+     */
     static CLIENT_EVENT_TYPES = {
-        NODE_CONNECT: 'nodeConnect',
-        NODE_READY: 'nodeReady',
-        NODE_DISCONNECT: 'nodeDisconnect',
-        NODE_ERROR: 'nodeError',
-        NODE_STATS: 'nodeStats',
-        PLAYER_CREATE: 'playerCreate',
-        PLAYER_DESTROY: 'playerDestroy',
-        PLAYER_MOVE: 'playerMove',
-        PLAYER_STATE_UPDATE: 'playerStateUpdate',
-        PLAYER_WEBSOCKET_CLOSED: 'playerWebsocketClosed',
-        QUEUE_END: 'queueEnd',
-        TRACK_START: 'trackStart',
-        TRACK_END: 'trackEnd',
-        TRACK_EXCEPTION: 'trackException',
-        TRACK_STUCK: 'trackStuck',
-        DEBUG: 'debug'
+        // Nodes
+        NODE_CONNECT: 'nodeConnect', // (node)
+        NODE_READY: 'nodeReady', // (node)
+        NODE_DISCONNECT: 'nodeDisconnect', // (node, code, reason)
+        NODE_ERROR: 'nodeError', // (node, error, context?)
+        NODE_STATS: 'nodeStats', // (node, stats)
+        NODE_RESUMED: 'nodeResumed', // (node, { synced, restored, failed, orphaned })
+        NODE_DRAIN_START: 'nodeDrainStart', // (node, playerCount)
+        NODE_DRAIN_PROGRESS: 'nodeDrainProgress', // (node, { player, targetNode, moved, failed, remaining })
+        NODE_DRAIN_END: 'nodeDrainEnd', // (node, { moved, failed, cancelled })
+        NODE_UNDRAIN: 'nodeUndrain', // (node)
+        // Player lifecycle & connection
+        PLAYER_CREATE: 'playerCreate', // (player)
+        PLAYER_DESTROY: 'playerDestroy', // (player)
+        PLAYER_CONNECT: 'playerConnect', // (player)
+        PLAYER_DISCONNECT: 'playerDisconnect', // (player, { destroyed })
+        PLAYER_VOICE_CHANNEL_MOVE: 'playerVoiceChannelMove', // (player, oldChannelId, newChannelId)
+        PLAYER_MOVE: 'playerMove', // (player, oldNode, newNode)
+        PLAYER_STATE_UPDATE: 'playerStateUpdate', // (player, state)
+        PLAYER_WEBSOCKET_CLOSED: 'playerWebsocketClosed', // (player, payload)
+        // Playback controls
+        PLAYER_PAUSE: 'playerPause', // (player)
+        PLAYER_RESUME: 'playerResume', // (player)
+        PLAYER_STOP: 'playerStop', // (player, stoppedTrack)
+        PLAYER_SEEK: 'playerSeek', // (player, position)
+        PLAYER_VOLUME_UPDATE: 'playerVolumeUpdate', // (player, oldVolume, newVolume)
+        PLAYER_LOOP_CHANGE: 'playerLoopChange', // (player, oldMode, newMode)
+        PLAYER_FILTERS_UPDATE: 'playerFiltersUpdate', // (player, filters)
+        // Queue
+        TRACK_ADD: 'trackAdd', // (player, tracks)
+        TRACK_REMOVE: 'trackRemove', // (player, track, index)
+        QUEUE_CLEAR: 'queueClear', // (player, removedCount)
+        QUEUE_SHUFFLE: 'queueShuffle', // (player)
+        QUEUE_END: 'queueEnd', // (player)
+        AUTOPLAY: 'autoplay', // (player, track, seedTrack)
+        VOTE_SKIP_ADD: 'voteSkipAdd', // (player, userId, votes, required)
+        VOTE_SKIP_PASS: 'voteSkipPass', // (player, track, votes, required)
+        // Voice channel members
+        LISTENER_JOIN: 'listenerJoin', // (player, userId, voiceState)
+        LISTENER_LEAVE: 'listenerLeave', // (player, userId)
+        CHANNEL_EMPTY: 'channelEmpty', // (player)
+        CHANNEL_OCCUPIED: 'channelOccupied', // (player)
+        PLAYER_AUTO_LEAVE: 'playerAutoLeave', // (player, reason) reason: 'emptyQueue' | 'emptyChannel'
+        // Tracks
+        TRACK_START: 'trackStart', // (player, track)
+        TRACK_END: 'trackEnd', // (player, track, payload)
+        TRACK_EXCEPTION: 'trackException', // (player, track, exception)
+        TRACK_STUCK: 'trackStuck', // (player, track, thresholdMs)
+        // Diagnostics
+        PLAYER_ERROR: 'playerError', // (player, error, context) Not named 'error': EventEmitter throws those when nobody listens
+        RAW: 'raw', // (node, source, payload) Lavalink payloads the client does not handle
+        WARN: 'warn', // (message)
+        DEBUG: 'debug' // (message)
     };
 
     static PLAYER_STATE = {
@@ -47,6 +88,62 @@ class Constants {
         QUEUE: 2
     };
 
+    static NODE_SELECTION_STRATEGY = {
+        PENALTY: 'penalty',
+        LEAST_PLAYERS: 'least-players',
+        LEAST_CPU: 'least-cpu',
+        ROUND_ROBIN: 'round-robin',
+        RANDOM_WEIGHTED: 'random-weighted'
+    };
+
+    // How Queue limits treat a track that is already queued
+    static DUPLICATE_POLICY = {
+        ALLOW: 'allow',
+        REJECT: 'reject', // Already current, upcoming or in history
+        REJECT_IF_UPCOMING: 'reject-if-upcoming' // Already upcoming
+    };
+
+    // Reasons reported by Queue#validate / Player#add for rejected tracks
+    static TRACK_REJECT_REASON = {
+        QUEUE_FULL: 'queueFull',
+        REQUESTER_LIMIT: 'requesterLimit',
+        TRACK_TOO_LONG: 'trackTooLong',
+        QUEUE_DURATION_LIMIT: 'queueDurationLimit',
+        DUPLICATE: 'duplicate'
+    };
+
+    // Lavalink search prefixes for common sources (the last ones need the matching Lavalink plugin)
+    static SEARCH_PLATFORM = {
+        YOUTUBE: 'ytsearch',
+        YOUTUBE_MUSIC: 'ytmsearch',
+        SOUNDCLOUD: 'scsearch',
+        APPLE_MUSIC: 'amsearch',
+        DEEZER: 'dzsearch',
+        DEEZER_ISRC: 'dzisrc',
+        SPOTIFY: 'spsearch',
+        BANDCAMP: 'bcsearch',
+        YANDEX_MUSIC: 'ymsearch',
+    };
+
+    /**
+     * Built-in filter presets for `Player.applyPreset`. Each value is a partial Lavalink filter object.
+     * More presets can be added with `Manager.registerFilterPreset`.
+     */
+    static FILTER_PRESETS = {
+        'bassboost-low': { equalizer: [{ band: 0, gain: 0.1 }, { band: 1, gain: 0.09 }, { band: 2, gain: 0.07 }, { band: 3, gain: 0.04 }, { band: 4, gain: 0.015 }] },
+        'bassboost-medium': { equalizer: [{ band: 0, gain: 0.2 }, { band: 1, gain: 0.18 }, { band: 2, gain: 0.14 }, { band: 3, gain: 0.08 }, { band: 4, gain: 0.03 }] },
+        'bassboost-high': { equalizer: [{ band: 0, gain: 0.35 }, { band: 1, gain: 0.315 }, { band: 2, gain: 0.245 }, { band: 3, gain: 0.14 }, { band: 4, gain: 0.052 }] },
+        nightcore: { timescale: { speed: 1.1, pitch: 1.15, rate: 1.0 } },
+        vaporwave: { timescale: { speed: 0.85, pitch: 0.8 }, equalizer: [{ band: 0, gain: 0.3 }, { band: 1, gain: 0.3 }], tremolo: { frequency: 14, depth: 0.3 } },
+        '8d': { rotation: { rotationHz: 0.2 } },
+        karaoke: { karaoke: { level: 1.0, monoLevel: 1.0, filterBand: 220.0, filterWidth: 100.0 } },
+        soft: { lowPass: { smoothing: 20.0 } },
+        pop: { equalizer: [-0.02, -0.01, 0.08, 0.1, 0.15, 0.1, 0.03, -0.02, -0.035, -0.05, -0.05, -0.05, -0.05, -0.05, -0.05].map((gain, band) => ({ band, gain })) },
+        treble: { equalizer: [0.1, 0.15, 0.2, 0.25, 0.25].map((gain, i) => ({ band: 10 + i, gain })) },
+        lofi: { timescale: { speed: 0.9, pitch: 0.9 }, lowPass: { smoothing: 15.0 } },
+        slowed: { timescale: { speed: 0.8, pitch: 0.85 }, lowPass: { smoothing: 5.0 }, equalizer: [{ band: 0, gain: 0.1 }, { band: 1, gain: 0.1 }] }, // Slowed + a muffled "reverb-ish" tail
+    };
+
     static DEFAULT_RECONNECT_OPTIONS = {
         maxTries: 10,
         initialDelay: 1000, // 1 second
@@ -58,16 +155,28 @@ class Constants {
         password: "youshallnotpass",
         secure: false,
         identifier: `advanced-lavalink-v4-${process.pid}`,
-        resumeKey: null,
+        resume: false, // Ask Lavalink to keep the session alive across reconnects (v4 session PATCH)
+        resumeKey: null, // Legacy (v3) option, enables `resume` when set
         resumeTimeout: 60, // seconds
         reconnect: this.DEFAULT_RECONNECT_OPTIONS,
-        retryAmount: 5 // Rest Retry Amount
+        retryAmount: 5, // Rest Retry Amount
+        regions: [] // Voice regions this node serves, e.g. ['us-east', 'us-central']
     }
 
      static DEFAULT_PLAYER_OPTIONS = {
         initialVolume: 100,
         selfDeaf: true,
         selfMute: false,
+        fairQueue: false, // Interleave queued tracks by requester
+        voteSkip: { threshold: 0.5, requesterCanSkip: true }, // threshold >= 1 is a vote count, below 1 a fraction of listeners
+        autoplay: false, // Continue with related tracks when the queue runs out
+        leaveOnEmptyQueue: null, // ms to wait after queueEnd before leaving, null = stay
+        leaveOnEmptyChannel: null, // ms to wait after the last listener left before leaving, null = stay
+        pauseOnEmptyChannel: false, // Pause while nobody is listening, resume when someone joins
+        stayConnected: false, // 24/7 mode, disables all of the above
+        fadeInDuration: 0, // ms to fade in when a track starts or resumes, 0 = off
+        fadeOutDuration: 0, // ms to fade out before skip, stop and pause, 0 = off
+        crossfadeDuration: 0, // ms window to fade between consecutive queue tracks, 0 = off
     }
 }
 
@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Persists player snapshots to a single JSON file.
+ * Writes are serialised and go through a temporary file + rename so a crash never leaves a half-written file.
+ * @extends StorageAdapter
+ */
+class JSONFileStorage extends StorageAdapter {
+    /**
+     * @param {string} filePath Path of the JSON file to read from and write to.
+     */
+    constructor(filePath) {
+        super();
+        if (typeof filePath !== 'string' || !filePath) throw new Error("JSONFileStorage requires a file path.");
+        this.filePath = path.resolve(filePath);
+        this._cache = null; // Lazily loaded file contents (guildId -> snapshot)
+        this._loading = null; // In-flight or finished load, shared so concurrent calls work on the same object
+        this._writeChain = Promise.resolve();
+    }
+
+    async get(guildId) {
+        const data = await this._load();
+        return data[guildId] ? JSON.parse(JSON.stringify(data[guildId])) : null;
+    }
+
+    async set(guildId, snapshot) {
+        const data = await this._load();
+        data[guildId] = JSON.parse(JSON.stringify(snapshot));
+        return this._write();
+    }
+
+    async delete(guildId) {
+        const data = await this._load();
+        if (!(guildId in data)) return;
+        delete data[guildId];
+        return this._write();
+    }
+
+    async keys() {
+        return Object.keys(await this._load());
+    }
+
+    /** @private */
+    _load() {
+        this._loading ??= (async () => {
+            try {
+                const raw = await fs.readFile(this.filePath, 'utf8');
+                this._cache = raw.trim() ? JSON.parse(raw) : {};
+            } catch (e) {
+                if (e.code !== 'ENOENT') {
+                    this._loading = null; // Let the next call try again
+                    throw e;
+                }
+                this._cache = {};
+            }
+            return this._cache;
+        })();
+        return this._loading;
+    }
+
+    /** @private */
+    _write() {
+        const run = async () => {
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(this._cache, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+        };
+        // Chain writes so they never interleave; a failed write does not block the next one
+        this._writeChain = this._writeChain.catch(() => {}).then(run);
+        return this._writeChain;
+    }
+}
+
+module.exports = JSONFileStorage;
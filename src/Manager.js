@@ -5,13 +5,18 @@ const EventEmitter = require('events');
 const Node = require('./Node');
 const Player = require('./Player');
 const Constants = require('./Constants');
+const NodeStrategies = require('./NodeStrategies');
+const TrackCodec = require('./TrackCodec');
+const TrackCache = require('./TrackCache');
+const Track = require('./Track');
+const StorageAdapter = require('./StorageAdapter');
 
 // --- NEW CODE: Regex constants added for loadTracks logic ---
 // Regex to check if input is likely a URL
 const URL_REGEX = /^(?:(?:https?|ftp):\/\/)/i;
-// Regex to check if input already has a known search prefix
-const SEARCH_PREFIX_REGEX = /^(?:ytsearch|ytmsearch|scsearch|amsearch|dzsearch|spsearch):/i;
 // --- END NEW CODE ---
+// getIdealNode reasons that don't place a player on the node (draining nodes may still serve these)
+const REST_ONLY_REASONS = ['loadTracks', 'decodeTrack', 'decodeTracks'];
 
 
 class Manager extends EventEmitter {
@@ -23,6 +28,16 @@ class Manager extends EventEmitter {
      * @param {Function} options.send A function required to send voice gateway payloads to Discord. `(guildId, payload) => void`
      * @param {Array<object>} [options.nodes=[]] An array of node options to automatically add upon creation.
      * @param {object} [options.playerOptions={}] Default options for players created by this manager.
+     * @param {import('./StorageAdapter')} [options.storage=null] Storage adapter used to persist player snapshots (queue, history, loop, position, volume, filters).
+     * @param {number} [options.storageDebounce=1000] Delay (ms) used to coalesce snapshot writes for the same guild.
+     * @param {string | Function} [options.nodeSelectionStrategy='penalty'] How `getIdealNode` picks a node. One of `Constants.NODE_SELECTION_STRATEGY`
+     *        or a function `(nodes, { manager, reason, guildId, region }) => Node` receiving the connected & ready nodes.
+     * @param {boolean} [options.regionMigration=false] Move already active players to a node serving their voice region when Discord assigns a new voice server.
+     * @param {string} [options.defaultSearchPlatform='ytsearch'] Search prefix used for `loadTracks` input that is neither a URL nor prefixed. See `Constants.SEARCH_PLATFORM`; other prefixes are registered.
+     * @param {object} [options.trackResolution={}] Defaults for resolving `UnresolvedTrack`s before playback
+     *        (`source`, `isrcSource`, `durationTolerance`; see `UnresolvedTrack#resolve`).
+     * @param {boolean | object} [options.trackCache=false] Cache `loadTracks` results. `true` uses the defaults, an object is passed to `TrackCache`
+     *        (`maxSize`, `searchTTL`, `urlTTL`).
      */
     constructor(options = {}) {
         super();
@@ -47,6 +62,30 @@ class Manager extends EventEmitter {
         this.players = new Map(); // guildId -> Player instance
         this.pendingGuilds = new Map(); // guildId -> { requests: [{ resolve, reject }], timeout: Timer }
         this.explicitDisconnect = null; // Track which node was explicitly disconnected by user
+        this.voiceStates = new Map(); // guildId -> Map(userId -> { userId, channelId, deaf, mute }) for non-bot users
+
+        // Node selection strategy used by getIdealNode
+        this.nodeSelectionStrategy = options.nodeSelectionStrategy ?? Constants.NODE_SELECTION_STRATEGY.PENALTY;
+        this._selectNode = this._resolveStrategy(this.nodeSelectionStrategy);
+        this._roundRobinIndex = 0;
+        this.regionMigration = options.regionMigration ?? false;
+
+        // Optional persistence of player state (see StorageAdapter)
+        this.storage = options.storage ?? null;
+        this.storageDebounce = options.storageDebounce ?? 1000;
+        this._persistTimers = new Map(); // guildId -> Timer
+
+        // Known search prefixes (without the colon); plugins can add more through registerSearchPrefix()
+        this.searchPrefixes = new Set(Object.values(Constants.SEARCH_PLATFORM));
+        this.defaultSearchPlatform = this._resolveSearchPrefix(options.defaultSearchPlatform ?? Constants.SEARCH_PLATFORM.YOUTUBE, true);
+
+        this.trackResolution = { ...options.trackResolution };
+
+        // Named filter presets for Player.applyPreset(); users can add more through registerFilterPreset()
+        this.filterPresets = new Map(Object.entries(Constants.FILTER_PRESETS));
+
+        // Optional cache of loadTracks results keyed by the processed identifier
+        this.trackCache = options.trackCache ? new TrackCache(typeof options.trackCache === 'object' ? options.trackCache : {}) : null;
 
         // --- Minor change: Moved node adding from example to constructor option (No logic change) ---
         // If nodes are passed directly in constructor options, attempt to add them now.
@@ -98,13 +137,18 @@ class Manager extends EventEmitter {
     /**
      * Removes a Lavalink node connection. Will attempt to move players first.
      * @param {string} identifier The identifier of the node to remove.
+     * @param {object} [options={}]
+     * @param {boolean} [options.drain=false] Drain the node (move players while it is still connected) before disconnecting it.
      * @returns {Promise<boolean>} True if the node was removed, false otherwise.
      */
-    // --- (removeNode - No significant change from previous correct versions) ---
-    async removeNode(identifier) {
+    async removeNode(identifier, { drain = false } = {}) {
         const node = this.nodes.get(identifier);
         if (!node) return false;
 
+        if (drain && node.connected) {
+            await this.drainNode(identifier);
+        }
+
         this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Removing node ${identifier}...`);
         node.disconnect(1000, "Manager removed node"); // Disconnect gracefully
 
@@ -115,7 +159,94 @@ class Manager extends EventEmitter {
         this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Node ${identifier} removed.`);
         return true;
     }
-    // --- (End removeNode) ---
+
+    /**
+     * Drains a node for maintenance: stops assigning new players to it and migrates its players one by one
+     * with `Player.moveToNode` while it is still connected, so playback continues without a cut.
+     * Emits NODE_DRAIN_START, NODE_DRAIN_PROGRESS after each player and NODE_DRAIN_END when done.
+     * Calling it again while a drain is running returns the same promise.
+     * Players that cannot be moved (the move failed, or no other node became available in time) stay on the node
+     * and keep playing; they are counted as `failed` and the node stays in drain mode.
+     * @param {string} identifier The identifier of the node to drain.
+     * @param {object} [options={}]
+     * @param {number} [options.retryDelay=5000] Wait (ms) before retrying when no other node can take a player.
+     * @param {number} [options.maxRetries=12] How many times to retry while no other node can take a player before giving up.
+     * @param {number} [options.timeout] Give up (ms) after this long even if players are left; no limit by default.
+     * @returns {Promise<{ moved: number, failed: number, cancelled: boolean }>} Resolves when every player was moved or given up on, or after `undrain()`.
+     * @throws {Error} If the node does not exist.
+     */
+    drainNode(identifier, { retryDelay = 5000, maxRetries = 12, timeout } = {}) {
+        const node = this.nodes.get(identifier);
+        if (!node) return Promise.reject(new Error(`Cannot drain unknown node: ${identifier}`));
+        if (node._drainPromise) return node._drainPromise;
+
+        node.draining = true;
+        node._drainPromise = this._drainNode(node, { retryDelay, maxRetries, timeout }).finally(() => {
+            node._drainPromise = null;
+        });
+        return node._drainPromise;
+    }
+
+    /** @private */
+    async _drainNode(node, { retryDelay, maxRetries, timeout }) {
+        const summary = { moved: 0, failed: 0, cancelled: false };
+        const givenUp = new Set(); // Players left on the node after a failed move
+        const remainingPlayers = () => [...this.players.values()].filter(p => p.node === node && p.state !== Constants.PLAYER_STATE.DESTROYED && !givenUp.has(p));
+        const deadline = typeof timeout === 'number' ? Date.now() + timeout : Infinity;
+        let retries = 0;
+
+        this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Draining node ${node.identifier} (${remainingPlayers().length} players).`);
+        this.emit(Constants.CLIENT_EVENT_TYPES.NODE_DRAIN_START, node, remainingPlayers().length);
+
+        while (node.draining) {
+            if (Date.now() >= deadline) {
+                this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Drain of node ${node.identifier} timed out after ${timeout}ms.`);
+                break;
+            }
+            const player = remainingPlayers().find(p => !p.moving);
+            if (!player) {
+                if (remainingPlayers().length === 0) break;
+                await new Promise(r => setTimeout(r, 250)); // A move started elsewhere is still running
+                continue;
+            }
+
+            const targetNode = this.getIdealNode({ reason: 'drain', guildId: player.guildId, region: player.voiceRegion, exclude: node });
+            if (!targetNode) {
+                if (retries >= maxRetries) {
+                    this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] No node can take players from draining node ${node.identifier} after ${retries} retries. Giving up.`);
+                    break;
+                }
+                retries++;
+                this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] No node can take players from draining node ${node.identifier}. Retrying in ${retryDelay}ms (${retries}/${maxRetries}).`);
+                await new Promise(r => setTimeout(r, Math.min(retryDelay, Math.max(0, deadline - Date.now()))));
+                continue;
+            }
+
+            try {
+                await player.moveToNode(targetNode);
+                summary.moved++;
+            } catch (moveError) {
+                summary.failed++;
+                this.emit(Constants.CLIENT_EVENT_TYPES.NODE_ERROR, targetNode, moveError, `Drain Move Failure: Player ${player.guildId} from ${node.identifier} -> ${targetNode.identifier}`);
+                // The node is still up, so the player keeps playing where it is rather than being cut off
+                if (player.node === node) givenUp.add(player);
+            }
+
+            this.emit(Constants.CLIENT_EVENT_TYPES.NODE_DRAIN_PROGRESS, node, {
+                player,
+                targetNode,
+                moved: summary.moved,
+                failed: summary.failed,
+                remaining: remainingPlayers().length,
+            });
+        }
+
+        summary.cancelled = !node.draining;
+        if (!summary.cancelled) summary.failed += remainingPlayers().length; // Given up on: no target node or timed out
+        this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Drain of node ${node.identifier} ${summary.cancelled ? 'cancelled' : 'complete'}. Moved: ${summary.moved}, Failed: ${summary.failed}.`);
+        this.emit(Constants.CLIENT_EVENT_TYPES.NODE_DRAIN_END, node, summary);
+        return summary;
+    }
 
     /**
      * Creates or retrieves a Player instance for a guild.
@@ -138,7 +269,7 @@ class Manager extends EventEmitter {
             return player;
         }
 
-        const idealNode = this.getIdealNode();
+        const idealNode = this.getIdealNode({ reason: 'createPlayer', guildId });
         if (!idealNode) {
             const totalNodes = this.nodes.size;
             // Refined check to ensure node readiness
@@ -200,30 +331,182 @@ class Manager extends EventEmitter {
         const player = this.players.get(guildId); // Get it again, might have been destroyed between call and now
         if (player) { // Check if it still exists in the map
             this.players.delete(guildId);
+            this._clearPersisted(guildId);
             this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_DESTROY, player); // Emit even if destroying again, signals cleanup intent
             this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Player reference removed for guild ${guildId}.`);
         }
     }
      // --- (End _destroyPlayer) ---
 
+    /**
+     * Writes a snapshot of the player's state to the configured storage immediately.
+     * @param {Player} player The player to persist.
+     * @returns {Promise<void>}
+     */
+    async savePlayer(player) {
+        if (!this.storage || !player || player.state === Constants.PLAYER_STATE.DESTROYED) return;
+        clearTimeout(this._persistTimers.get(player.guildId));
+        this._persistTimers.delete(player.guildId);
+        try {
+            await this.storage.set(player.guildId, player._toSnapshot());
+        } catch (e) {
+            this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Failed to persist player ${player.guildId}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Schedules a debounced snapshot write for the player. Called by Player whenever its state changes.
+     * @param {Player} player
+     * @private
+     */
+    _schedulePersist(player) {
+        if (!this.storage || this._persistTimers.has(player.guildId)) return;
+        const timer = setTimeout(() => {
+            this._persistTimers.delete(player.guildId);
+            this.savePlayer(player);
+        }, this.storageDebounce);
+        timer.unref?.(); // Never keep the process alive just to write a snapshot
+        this._persistTimers.set(player.guildId, timer);
+    }
+
+    /**
+     * Cancels pending writes and removes the stored snapshot of a guild.
+     * @param {string} guildId
+     * @private
+     */
+    _clearPersisted(guildId) {
+        clearTimeout(this._persistTimers.get(guildId));
+        this._persistTimers.delete(guildId);
+        if (!this.storage) return;
+        Promise.resolve()
+            .then(() => this.storage.delete(guildId))
+            .catch(e => this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Failed to delete stored snapshot for guild ${guildId}: ${e.message}`));
+    }
 
     /**
-     * Finds the most suitable connected and ready node based on penalty scoring.
+     * Rebuilds players from the configured storage, typically once after boot when a node is ready.
+     * Each player gets its queue, history, loop mode, volume and filters back; if it was in a voice channel
+     * it reconnects and resumes the current track at the stored position.
+     * @param {object} [options={}]
+     * @param {boolean} [options.connect=true] Whether to rejoin the stored voice channel and resume playback.
+     * @param {string[]} [options.guildIds] Guilds to restore. Defaults to `storage.keys()`; required for adapters without `keys`.
+     * @returns {Promise<Player[]>} The restored players.
+     * @throws {Error} If no storage is configured, or no guild IDs were given and the storage cannot list its keys.
+     */
+    async restorePlayers({ connect = true, guildIds } = {}) {
+        if (!this.storage) throw new Error("Cannot restore players: no storage adapter configured.");
+        if (!guildIds) {
+            if (typeof this.storage.keys !== 'function' || this.storage.keys === StorageAdapter.prototype.keys) {
+                throw new Error("Cannot restore players: the storage adapter does not implement keys(); pass the guild IDs as `guildIds`.");
+            }
+            guildIds = await this.storage.keys();
+        }
+        const restored = [];
+
+        for (const guildId of guildIds) {
+            let snapshot;
+            try {
+                snapshot = await this.storage.get(guildId);
+                if (!snapshot) continue;
+                const player = this.createPlayer(guildId);
+                await player._restoreFromSnapshot(snapshot, { connect });
+                restored.push(player);
+                this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Restored player for guild ${guildId} from storage.`);
+            } catch (e) {
+                this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Failed to restore player for guild ${guildId}: ${e.message}`);
+            }
+        }
+        return restored;
+    }
+
+
+    /**
+     * Finds the most suitable connected and ready node using the configured node selection strategy.
+     * @param {object} [context={}] Extra information passed to the strategy.
+     * @param {string} [context.reason] Why a node is needed (`createPlayer`, `loadTracks`, `decodeTrack`, `decodeTracks`, `migrate`, `region`, `drain`).
+     * @param {string} [context.guildId] The guild the node is picked for, if any.
+     * @param {Node} [context.exclude] A node that must not be picked.
+     * @param {string} [context.region] Preferred voice region; nodes tagged with it are picked first, others are the fallback.
      * @returns {Node | undefined} The ideal node or undefined if none available/ready.
      */
-    // --- (getIdealNode - Changed filtering/sorting logic for robustness) ---
-    getIdealNode() {
-        const availableNodes = [...this.nodes.values()]
-            .filter(node => node.connected && node.sessionId); // Must be connected AND have received READY (has sessionId)
+    getIdealNode(context = {}) {
+        const readyNodes = [...this.nodes.values()]
+            .filter(node => node.connected && node.sessionId) // Must be connected AND have received READY (has sessionId)
+            .filter(node => node !== context.exclude);
+        let availableNodes = readyNodes.filter(node => !node.draining);
+        // Draining nodes take no new players but can still serve REST lookups if nothing else is left
+        if (availableNodes.length === 0 && REST_ONLY_REASONS.includes(context.reason)) {
+            availableNodes = readyNodes;
+        }
+
+        if (context.region) {
+            const inRegion = availableNodes.filter(node => node.regions.includes(context.region));
+            if (inRegion.length > 0) availableNodes = inRegion;
+        }
 
         if (availableNodes.length === 0) return undefined;
+        if (availableNodes.length === 1) return availableNodes[0];
 
-        // Sort nodes by penalty score (lower is better)
-        availableNodes.sort((a, b) => a.Penalties - b.Penalties);
+        const { exclude, ...strategyContext } = context;
+        let node;
+        try {
+            node = this._selectNode(availableNodes, { ...strategyContext, manager: this });
+        } catch (e) {
+            this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Node selection strategy threw: ${e.message}. Falling back to penalty.`);
+        }
+        if (!availableNodes.includes(node)) {
+            // Custom strategies may return nothing or a node that isn't ready; never hand that out
+            node = NodeStrategies.strategies[Constants.NODE_SELECTION_STRATEGY.PENALTY](availableNodes);
+        }
+        return node;
+    }
 
-        return availableNodes[0]; // Return the node with the lowest penalty score
+    /**
+     * Changes the node selection strategy used by `getIdealNode`.
+     * @param {string | Function} strategy One of `Constants.NODE_SELECTION_STRATEGY` or a custom function.
+     * @throws {Error} If the strategy is unknown.
+     */
+    setNodeSelectionStrategy(strategy) {
+        this._selectNode = this._resolveStrategy(strategy);
+        this.nodeSelectionStrategy = strategy;
+    }
+
+    /**
+     * Routes a player to a node serving its voice region once the voice server is known.
+     * Players that are still connecting are simply re-assigned; active players are moved with `moveToNode`
+     * only when `regionMigration` is enabled. If no node serves the region the player stays where it is.
+     * @param {Player} player
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _routeByRegion(player) {
+        const region = player.voiceRegion;
+        if (!region || !player.node || player.node.regions.includes(region)) return;
+
+        const node = this.getIdealNode({ reason: 'region', guildId: player.guildId, region, exclude: player.node });
+        if (!node || !node.regions.includes(region)) {
+            this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] No node serves voice region "${region}" for guild ${player.guildId}. Keeping node ${player.node.identifier}.`);
+            return;
+        }
+
+        if (player.state === 'WAITING_FOR_SERVER') {
+            this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Assigning player ${player.guildId} to node ${node.identifier} for voice region "${region}".`);
+            player._assignNode(node);
+        } else if (this.regionMigration) {
+            this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Migrating player ${player.guildId} to node ${node.identifier} for voice region "${region}".`);
+            await player.moveToNode(node);
+        }
+    }
+
+    /** @private */
+    _resolveStrategy(strategy) {
+        if (typeof strategy === 'function') return strategy;
+        const builtIn = NodeStrategies.strategies[strategy];
+        if (!builtIn) {
+            throw new Error(`Unknown node selection strategy: ${strategy}. Use Constants.NODE_SELECTION_STRATEGY or a function.`);
+        }
+        return builtIn;
     }
-    // --- (End getIdealNode) ---
 
     /**
      * Handles voice state updates from the Discord gateway.
@@ -269,6 +552,58 @@ class Manager extends EventEmitter {
              // --- (End Refined handling) ---
              return; // Only process bot's own updates further within the player context
          }
+
+        // Other users: keep track of who is in voice (bots are not listeners)
+        if (data.member?.user?.bot) return;
+        this._setMemberVoiceState(data.guild_id, data);
+        if (player && player.state !== Constants.PLAYER_STATE.DESTROYED) {
+            player._refreshListeners();
+        }
+    }
+
+    /**
+     * Seeds voice states from a GUILD_CREATE payload so players know who is already in voice
+     * (VOICE_STATE_UPDATE is only sent for changes). Call it from your raw gateway handler like `handleVoiceStateUpdate`.
+     * @param {object} data The raw GUILD_CREATE payload (`d` property), with `voice_states` and optionally `members`.
+     */
+    handleGuildCreate(data) {
+        if (!data?.id || !Array.isArray(data.voice_states)) return;
+        const bots = new Set((data.members ?? []).filter(m => m.user?.bot).map(m => m.user.id));
+        const states = new Map();
+        this.voiceStates.set(data.id, states);
+        for (const state of data.voice_states) {
+            if (state.user_id === this.userId || bots.has(state.user_id) || state.member?.user?.bot) continue;
+            this._setMemberVoiceState(data.id, state);
+        }
+        this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Seeded ${states.size} voice states for guild ${data.id}.`);
+        this.players.get(data.id)?._refreshListeners();
+    }
+
+    /**
+     * Returns the tracked voice states of non-bot users in a guild.
+     * @param {string} guildId The guild ID.
+     * @returns {Map<string, { userId: string, channelId: string, deaf: boolean, mute: boolean }>}
+     */
+    getVoiceStates(guildId) {
+        return this.voiceStates.get(guildId) ?? new Map();
+    }
+
+    /** @private */
+    _setMemberVoiceState(guildId, data) {
+        if (!data.user_id) return;
+        let states = this.voiceStates.get(guildId);
+        if (!data.channel_id) {
+            states?.delete(data.user_id);
+            if (states?.size === 0) this.voiceStates.delete(guildId);
+            return;
+        }
+        if (!states) this.voiceStates.set(guildId, states = new Map());
+        states.set(data.user_id, {
+            userId: data.user_id,
+            channelId: data.channel_id,
+            deaf: !!(data.self_deaf || data.deaf),
+            mute: !!(data.self_mute || data.mute),
+        });
     }
 
 
@@ -323,14 +658,14 @@ class Manager extends EventEmitter {
         this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Node ${disconnectedNode.identifier} disconnected/removed. Attempting to move ${playersToMove.length} players.`);
 
         // Find a new suitable node (excluding the disconnected one)
-        let targetNode = this.getIdealNode(); // getIdealNode already filters disconnected
+        let targetNode = this.getIdealNode({ reason: 'migrate', exclude: disconnectedNode });
 
         if (!targetNode && !failedPermanently) {
             // Optionally wait briefly if the disconnect might be temporary & might self-recover
              this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] No immediate target node. Waiting briefly for potential reconnect of ${disconnectedNode.identifier}...`);
              // Wait slightly longer than initial reconnect delay of the *disconnected* node
              await new Promise(r => setTimeout(r, (disconnectedNode.options?.reconnect?.initialDelay || 1000) + 500));
-             targetNode = this.getIdealNode(); // Check again after waiting
+             targetNode = this.getIdealNode({ reason: 'migrate', exclude: disconnectedNode }); // Check again after waiting
         }
 
         if (targetNode) {
@@ -381,44 +716,59 @@ class Manager extends EventEmitter {
 
     /**
      * Load tracks using the best available *ready* node.
-     * Automatically prepends `ytsearch:` to the identifier if it's not a URL
-     * and doesn't already have a known search prefix.
+     * Automatically prepends the search prefix (`options.source` or `defaultSearchPlatform`) to the identifier
+     * if it's not a URL and doesn't already have a registered search prefix.
+     * When the track cache is enabled, successful results are served from it until they expire.
      * @param {string} identifier Track URL or search query.
      * @param {Player} [requesterPlayer=null] Optionally specify player to hint node preference.
+     * @param {object} [options={}] Load options.
+     * @param {boolean} [options.bypassCache=false] Skip the cache lookup (the fresh result is still cached).
+     * @param {string} [options.source] Search prefix to use instead of `defaultSearchPlatform` for this call. Must be a registered prefix.
      * @returns {Promise<import('./Rest').LavalinkTrackLoadResult>} Lavalink /loadtracks response object.
      * @throws {Error} If no nodes are available/ready or identifier is invalid.
      */
     // --- MODIFIED CODE: Added ytsearch auto-prefixing logic ---
-    async loadTracks(identifier, requesterPlayer = null) {
+    async loadTracks(identifier, requesterPlayer = null, options = {}) {
         if (typeof identifier !== 'string' || !identifier) {
             // Old code might have had a less specific error message
             throw new Error("Invalid identifier provided to loadTracks (must be a non-empty string).");
         }
 
-        const preferredNode = requesterPlayer?.node?.connected && requesterPlayer?.node?.sessionId ? requesterPlayer.node : null;
-        const node = preferredNode ?? this.getIdealNode();
-
-        if (!node) {
-            throw new Error("No available/ready Lavalink nodes to load tracks.");
-        }
-
         // Process the identifier logic (NEW part)
         let processedIdentifier = identifier.trim(); // Remove leading/trailing whitespace
 
         // Check if it's NOT a URL and does NOT already have a search prefix
-        if (!URL_REGEX.test(processedIdentifier) && !SEARCH_PREFIX_REGEX.test(processedIdentifier)) {
-             this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Input "${identifier}" is not a URL or known search. Prepending ytsearch:.`);
-             processedIdentifier = `ytsearch:${processedIdentifier}`;
+        if (!URL_REGEX.test(processedIdentifier) && !this._getSearchPrefix(processedIdentifier)) {
+             const prefix = options.source ? this._resolveSearchPrefix(options.source) : this.defaultSearchPlatform;
+             this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Input "${identifier}" is not a URL or known search. Prepending ${prefix}:.`);
+             processedIdentifier = `${prefix}:${processedIdentifier}`;
         } else {
              this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Input "${identifier}" is a URL or already has a search prefix. Using as is.`);
         }
         // End Process the identifier logic
 
+        const isSearch = !URL_REGEX.test(processedIdentifier) && !!this._getSearchPrefix(processedIdentifier);
+        if (this.trackCache && !options.bypassCache) {
+            const cached = this.trackCache.get(processedIdentifier);
+            if (cached) {
+                this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Cache hit for "${processedIdentifier}": ${cached.loadType}`);
+                return cached;
+            }
+        }
+
+        const preferredNode = requesterPlayer?.node?.connected && requesterPlayer?.node?.sessionId ? requesterPlayer.node : null;
+        const node = preferredNode ?? this.getIdealNode({ reason: 'loadTracks', guildId: requesterPlayer?.guildId });
+
+        if (!node) {
+            throw new Error("No available/ready Lavalink nodes to load tracks.");
+        }
+
         try {
             this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Loading tracks with identifier "${processedIdentifier}" using node ${node.identifier}`);
             // Use the processed identifier in the REST call
             const result = await node.rest.loadTracks(processedIdentifier);
              this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Loaded tracks result for "${processedIdentifier}": ${result.loadType}`);
+            this.trackCache?.set(processedIdentifier, result, isSearch);
             return result;
         } catch (e) {
             // Log the processed identifier in case of error
@@ -428,20 +778,151 @@ class Manager extends EventEmitter {
     }
     // --- END MODIFIED CODE ---
 
+    /**
+     * Searches for tracks and returns a normalized result instead of the raw Lavalink v4 response.
+     * @param {string} query Search query or URL.
+     * @param {object} [options={}] Search options.
+     * @param {string} [options.source] Search prefix to use instead of `defaultSearchPlatform` (e.g. `scsearch`). Must be a registered prefix.
+     * @param {*} [options.requester=null] Stored as `requester` on every returned track.
+     * @param {number} [options.limit] Maximum amount of tracks to return.
+     * @param {Player} [options.player=null] Player whose node should be preferred.
+     * @param {boolean} [options.bypassCache=false] Skip the track cache lookup.
+     * @returns {Promise<{ loadType: string, tracks: Array<Track>, playlist: { name: string, selectedTrack: number, pluginInfo: object } | null, exception: object | null, pluginInfo: object }>}
+     * @throws {Error} If no nodes are available/ready or the query is invalid.
+     */
+    async search(query, options = {}) {
+        const result = await this.loadTracks(query, options.player ?? null, { source: options.source, bypassCache: options.bypassCache });
+        const data = result?.data;
+        const normalized = { loadType: result?.loadType ?? 'empty', tracks: [], playlist: null, exception: null, pluginInfo: {} };
+
+        switch (normalized.loadType) {
+            case 'track':
+                normalized.tracks = [data];
+                break;
+            case 'search':
+                normalized.tracks = Array.isArray(data) ? data : [];
+                break;
+            case 'playlist':
+                normalized.tracks = data?.tracks ?? [];
+                normalized.playlist = { name: data?.info?.name ?? null, selectedTrack: data?.info?.selectedTrack ?? -1, pluginInfo: data?.pluginInfo ?? {} };
+                normalized.pluginInfo = data?.pluginInfo ?? {};
+                break;
+            case 'error':
+                normalized.exception = data ?? null;
+                break;
+        }
+
+        if (Number.isInteger(options.limit) && options.limit >= 0) {
+            normalized.tracks = normalized.tracks.slice(0, options.limit);
+        }
+        normalized.tracks = normalized.tracks.map(track => new Track(track, options.requester ?? null));
+        return normalized;
+    }
+
+    /**
+     * Registers additional search prefixes (e.g. from Lavalink plugins) so identifiers using them are passed through untouched.
+     * @param {...string} prefixes Prefixes with or without the trailing colon, e.g. `ytmsearch`, `dzisrc:`.
+     * @returns {Manager} The manager, for chaining.
+     */
+    registerSearchPrefix(...prefixes) {
+        for (const prefix of prefixes.flat()) {
+            const normalized = String(prefix).trim().replace(/:$/, '').toLowerCase();
+            if (!normalized) throw new Error(`Invalid search prefix: "${prefix}".`);
+            this.searchPrefixes.add(normalized);
+        }
+        return this;
+    }
+
+    /**
+     * Removes a registered search prefix.
+     * @param {string} prefix The prefix to remove.
+     * @returns {boolean} Whether the prefix was registered.
+     */
+    unregisterSearchPrefix(prefix) {
+        return this.searchPrefixes.delete(String(prefix).trim().replace(/:$/, '').toLowerCase());
+    }
+
+    /**
+     * Registers a named filter preset usable with `Player.applyPreset`. Replaces an existing preset with the same name.
+     * @param {string} name Preset name (case-insensitive).
+     * @param {object} filters Partial Lavalink filter object, e.g. `{ timescale: { speed: 1.25 } }`. Validated when applied.
+     * @returns {Manager} The manager, for chaining.
+     */
+    registerFilterPreset(name, filters) {
+        const key = String(name ?? '').trim().toLowerCase();
+        if (!key) throw new Error(`Invalid filter preset name: "${name}".`);
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters) || Object.keys(filters).length === 0) {
+            throw new Error(`Filter preset "${key}" must be a non-empty filter object.`);
+        }
+        this.filterPresets.set(key, JSON.parse(JSON.stringify(filters)));
+        this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Registered filter preset "${key}".`);
+        return this;
+    }
+
+    /**
+     * Removes a filter preset. Players that have it applied keep its filters until they remove it.
+     * @param {string} name The preset name.
+     * @returns {boolean} Whether the preset was registered.
+     */
+    unregisterFilterPreset(name) {
+        return this.filterPresets.delete(String(name ?? '').trim().toLowerCase());
+    }
+
+    /**
+     * Returns a copy of a registered filter preset.
+     * @param {string} name The preset name (case-insensitive).
+     * @returns {object | null} The preset's filters, or null if no such preset exists.
+     */
+    getFilterPreset(name) {
+        const preset = this.filterPresets.get(String(name ?? '').trim().toLowerCase());
+        return preset ? JSON.parse(JSON.stringify(preset)) : null;
+    }
+
+    /**
+     * Returns the registered search prefix an identifier starts with, if any.
+     * @private
+     */
+    _getSearchPrefix(identifier) {
+        const colon = identifier.indexOf(':');
+        if (colon <= 0) return null;
+        const prefix = identifier.slice(0, colon).toLowerCase();
+        return this.searchPrefixes.has(prefix) ? prefix : null;
+    }
+
+    /**
+     * Normalizes a search source to a bare prefix.
+     * Unknown prefixes are rejected, so a typo can't silently become a registered prefix; only the configured
+     * `defaultSearchPlatform` registers itself (`register`).
+     * @private
+     */
+    _resolveSearchPrefix(source, register = false) {
+        if (typeof source !== 'string' || !source.trim()) {
+            throw new Error(`Invalid search source: "${source}". Use a prefix such as Constants.SEARCH_PLATFORM.YOUTUBE.`);
+        }
+        const prefix = source.trim().replace(/:$/, '').toLowerCase();
+        if (!this.searchPrefixes.has(prefix)) {
+            if (!register) throw new Error(`Unknown search source: "${source}". Register it first with manager.registerSearchPrefix().`);
+            this.registerSearchPrefix(prefix);
+        }
+        return prefix;
+    }
+
 
     /**
      * Decode a single track string using the best available *ready* node.
+     * Falls back to the local decoder (see TrackCodec) when no node is ready.
      * @param {string} encodedTrack The Base64 encoded track string.
      * @param {Player} [requesterPlayer=null] Optionally specify player to hint node preference.
      * @returns {Promise<import('./Rest').LavalinkTrackInfo>} The decoded track info object.
-     * @throws {Error} If no nodes are available/ready or decoding fails.
+     * @throws {Error} If decoding fails.
      */
     // --- (decodeTrack - No significant change) ---
     async decodeTrack(encodedTrack, requesterPlayer = null) {
          const preferredNode = requesterPlayer?.node?.connected && requesterPlayer?.node?.sessionId ? requesterPlayer.node : null;
-         const node = preferredNode ?? this.getIdealNode();
+         const node = preferredNode ?? this.getIdealNode({ reason: 'decodeTrack', guildId: requesterPlayer?.guildId });
         if (!node) {
-            throw new Error("No available/ready Lavalink nodes to decode track.");
+            this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] No ready node, decoding track ${encodedTrack?.substring?.(0,20)}... locally`);
+            return TrackCodec.decodeTrack(encodedTrack);
         }
         try {
              this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Decoding track ${encodedTrack.substring(0,20)}... using node ${node.identifier}`);
@@ -455,21 +936,23 @@ class Manager extends EventEmitter {
 
     /**
      * Decode multiple track strings using the best available *ready* node.
+     * Falls back to the local decoder (see TrackCodec) when no node is ready.
      * @param {string[]} encodedTracks Array of Base64 encoded track strings.
      * @param {Player} [requesterPlayer=null] Optionally specify player to hint node preference.
      * @returns {Promise<Array<import('./Rest').LavalinkDecodedTrack>>} Array of decoded track objects (containing encoded string and info).
-     * @throws {Error} If no nodes are available/ready or decoding fails.
+     * @throws {Error} If decoding fails.
      */
     // --- (decodeTracks - Minor refinement checking array input) ---
      async decodeTracks(encodedTracks, requesterPlayer = null) {
-         const preferredNode = requesterPlayer?.node?.connected && requesterPlayer?.node?.sessionId ? requesterPlayer.node : null;
-         const node = preferredNode ?? this.getIdealNode();
-        if (!node) {
-            throw new Error("No available/ready Lavalink nodes to decode tracks.");
-        }
         if (!Array.isArray(encodedTracks) || encodedTracks.length === 0) {
             return []; // Return empty if no tracks provided
          }
+         const preferredNode = requesterPlayer?.node?.connected && requesterPlayer?.node?.sessionId ? requesterPlayer.node : null;
+         const node = preferredNode ?? this.getIdealNode({ reason: 'decodeTracks', guildId: requesterPlayer?.guildId });
+        if (!node) {
+            this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] No ready node, decoding ${encodedTracks.length} tracks locally`);
+            return encodedTracks.map(encoded => TrackCodec.decodeTrack(encoded));
+        }
         try {
              this.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Manager] Decoding ${encodedTracks.length} tracks using node ${node.identifier}`);
              return await node.rest.decodeTracks(encodedTracks);
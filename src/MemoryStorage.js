@@ -0,0 +1,32 @@
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Keeps player snapshots in process memory. Useful for tests or as a cache in front of another store.
+ * Snapshots do not survive a restart.
+ * @extends StorageAdapter
+ */
+class MemoryStorage extends StorageAdapter {
+    constructor() {
+        super();
+        this.data = new Map(); // guildId -> snapshot
+    }
+
+    async get(guildId) {
+        const snapshot = this.data.get(guildId);
+        return snapshot ? JSON.parse(JSON.stringify(snapshot)) : null; // Hand out copies so callers can't mutate the store
+    }
+
+    async set(guildId, data) {
+        this.data.set(guildId, JSON.parse(JSON.stringify(data)));
+    }
+
+    async delete(guildId) {
+        this.data.delete(guildId);
+    }
+
+    async keys() {
+        return [...this.data.keys()];
+    }
+}
+
+module.exports = MemoryStorage;
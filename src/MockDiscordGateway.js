@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DEFAULT_BEHAVIOR = {
+    stateDelay: 10, // ms before VOICE_STATE_UPDATE answers an OP4
+    serverDelay: 20, // ms before VOICE_SERVER_UPDATE answers an OP4 join
+    respond: true, // false swallows OP4 joins, e.g. to test connection timeouts
+    sendServerUpdate: true, // false answers joins with a voice state only
+    missingToken: false, // VOICE_SERVER_UPDATE without a token
+    missingEndpoint: false, // VOICE_SERVER_UPDATE with `endpoint: null` (Discord is still allocating a server)
+    missingSessionId: false, // VOICE_STATE_UPDATE without a session_id
+    endpoint: 'us-east1234.discord.media:443',
+};
+
+/**
+ * Stand-in for the Discord gateway in voice connection tests. Plug `gateway.send` in as the Manager's `send`
+ * option and it answers OP4 (voice state) payloads with VOICE_STATE_UPDATE and VOICE_SERVER_UPDATE dispatches,
+ * fed back through `manager.handleVoiceStateUpdate` / `handleVoiceServerUpdate` like a bot's raw event handler would.
+ *
+ * @example
+ * const gateway = new MockDiscordGateway({ userId: 'bot' });
+ * const manager = new Manager({ userId: 'bot', send: gateway.send, nodes });
+ * gateway.attach(manager);
+ * await manager.createPlayer(guildId).connect(channelId);
+ * await gateway.forceDisconnect(guildId);
+ *
+ * Emits `payload` (guildId, payload) for every OP4 received and `dispatch` (type, data) for every update sent back.
+ */
+class MockDiscordGateway extends EventEmitter {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.userId] The bot's user ID (defaults to the attached manager's `userId`).
+     * @param {Manager} [options.manager] Manager to dispatch to; can also be set later with `attach()`.
+     * @param {number} [options.stateDelay=10] ms before a VOICE_STATE_UPDATE answers an OP4.
+     * @param {number} [options.serverDelay=20] ms before a VOICE_SERVER_UPDATE answers an OP4 join.
+     * @param {boolean} [options.respond=true] Whether OP4 joins are answered at all.
+     * @param {boolean} [options.sendServerUpdate=true] Whether joins get a VOICE_SERVER_UPDATE.
+     * @param {boolean} [options.missingToken=false] Send VOICE_SERVER_UPDATEs without a token.
+     * @param {boolean} [options.missingEndpoint=false] Send VOICE_SERVER_UPDATEs with a null endpoint.
+     * @param {boolean} [options.missingSessionId=false] Send VOICE_STATE_UPDATEs without a session ID.
+     * @param {string} [options.endpoint='us-east1234.discord.media:443'] Voice server endpoint to hand out.
+     */
+    constructor(options = {}) {
+        super();
+        const { userId = null, manager = null, ...behavior } = options;
+        this.userId = userId;
+        this.manager = manager;
+        this.behavior = { ...DEFAULT_BEHAVIOR, ...behavior };
+        this.guildBehavior = new Map(); // guildId -> behavior overrides
+        this.sessionId = crypto.randomBytes(16).toString('hex'); // Gateway session, shared by all voice states
+        this.voiceStates = new Map(); // guildId -> the bot's { channelId, sessionId, selfDeaf, selfMute }
+        this.payloads = []; // OP4 payloads received, as { guildId, payload }
+        this._timers = new Set();
+
+        /** The `send` function to pass to the Manager. */
+        this.send = (guildId, payload) => this._handlePayload(guildId, payload);
+    }
+
+    /**
+     * Sets the manager updates are dispatched to.
+     * @param {Manager} manager The manager.
+     * @returns {MockDiscordGateway} The gateway, for chaining.
+     */
+    attach(manager) {
+        this.manager = manager;
+        return this;
+    }
+
+    /**
+     * Changes how OP4 payloads are answered, for every guild or for one guild only.
+     * @param {object} overrides Any of the behavior options accepted by the constructor.
+     * @param {string} [guildId] Limit the overrides to this guild.
+     */
+    setBehavior(overrides, guildId) {
+        if (guildId) this.guildBehavior.set(guildId, { ...this.guildBehavior.get(guildId), ...overrides });
+        else Object.assign(this.behavior, overrides);
+    }
+
+    /** Returns the bot's simulated voice state in a guild, or null when it is not in a channel. */
+    getVoiceState(guildId) {
+        return this.voiceStates.get(guildId) ?? null;
+    }
+
+    /**
+     * Sends a new VOICE_SERVER_UPDATE (fresh token), as Discord does when the voice server or region changes.
+     * @param {string} guildId The guild.
+     * @param {string} [endpoint] The new endpoint (defaults to the configured one).
+     * @returns {Promise<void>}
+     */
+    changeRegion(guildId, endpoint) {
+        return this._dispatchVoiceServer(guildId, { endpoint: endpoint ?? this._behavior(guildId).endpoint });
+    }
+
+    /**
+     * Disconnects the bot as if a moderator kicked it from the channel.
+     * @param {string} guildId The guild.
+     * @returns {Promise<void>}
+     */
+    forceDisconnect(guildId) {
+        const state = this.voiceStates.get(guildId);
+        this.voiceStates.delete(guildId);
+        return this._dispatchVoiceState(guildId, { channelId: null, sessionId: state?.sessionId ?? this.sessionId });
+    }
+
+    /**
+     * Moves the bot to another channel as if someone dragged it there.
+     * @param {string} guildId The guild.
+     * @param {string} channelId The new channel.
+     * @param {object} [options={}]
+     * @param {boolean} [options.serverUpdate=false] Also send a VOICE_SERVER_UPDATE, as happens when the new channel uses another server.
+     * @returns {Promise<void>}
+     */
+    async moveToChannel(guildId, channelId, { serverUpdate = false } = {}) {
+        const state = this.voiceStates.get(guildId) ?? { sessionId: this.sessionId, selfDeaf: false, selfMute: false };
+        this.voiceStates.set(guildId, { ...state, channelId });
+        await this._dispatchVoiceState(guildId, this.voiceStates.get(guildId));
+        if (serverUpdate) await this.changeRegion(guildId);
+    }
+
+    /**
+     * Sends a VOICE_STATE_UPDATE for another user joining (or moving to) a channel.
+     * @param {string} guildId The guild.
+     * @param {string} userId The user.
+     * @param {string} channelId The channel.
+     * @param {object} [options={}]
+     * @param {boolean} [options.deaf=false] Whether the user is (self-)deafened.
+     * @param {boolean} [options.mute=false] Whether the user is (self-)muted.
+     * @param {boolean} [options.bot=false] Whether the user is a bot.
+     * @returns {Promise<void>}
+     */
+    memberJoin(guildId, userId, channelId, { deaf = false, mute = false, bot = false } = {}) {
+        return this._dispatch('VOICE_STATE_UPDATE', this._voiceStateData(guildId, userId, {
+            channelId, sessionId: crypto.randomBytes(16).toString('hex'), selfDeaf: deaf, selfMute: mute, bot,
+        }));
+    }
+
+    /**
+     * Sends a VOICE_STATE_UPDATE for another user leaving voice.
+     * @param {string} guildId The guild.
+     * @param {string} userId The user.
+     * @returns {Promise<void>}
+     */
+    memberLeave(guildId, userId) {
+        return this._dispatch('VOICE_STATE_UPDATE', this._voiceStateData(guildId, userId, { channelId: null, sessionId: null }));
+    }
+
+    /** Cancels pending answers. */
+    destroy() {
+        for (const timer of this._timers) clearTimeout(timer);
+        this._timers.clear();
+        this.removeAllListeners();
+    }
+
+    /** @private */
+    _behavior(guildId) {
+        return { ...this.behavior, ...this.guildBehavior.get(guildId) };
+    }
+
+    /** @private */
+    _handlePayload(guildId, payload) {
+        this.payloads.push({ guildId, payload });
+        this.emit('payload', guildId, payload);
+        if (payload?.op !== 4) return;
+
+        const { channel_id: channelId, self_deaf: selfDeaf = false, self_mute: selfMute = false } = payload.d ?? {};
+        const behavior = this._behavior(guildId);
+        const previous = this.voiceStates.get(guildId);
+
+        if (!channelId) {
+            if (!previous) return; // Discord sends nothing when the bot wasn't in a channel
+            this.voiceStates.delete(guildId);
+            this._later(behavior.stateDelay, () => this._dispatchVoiceState(guildId, { channelId: null, sessionId: previous.sessionId }));
+            return;
+        }
+        if (!behavior.respond) return;
+
+        const state = { channelId, sessionId: this.sessionId, selfDeaf, selfMute };
+        this.voiceStates.set(guildId, state);
+        this._later(behavior.stateDelay, () => this._dispatchVoiceState(guildId, {
+            ...state, sessionId: behavior.missingSessionId ? null : state.sessionId,
+        }));
+        // Joining a channel allocates a voice server; moves and self deaf/mute changes only update the state
+        if (!previous && behavior.sendServerUpdate) {
+            this._later(behavior.serverDelay, () => this._dispatchVoiceServer(guildId, {
+                endpoint: behavior.missingEndpoint ? null : behavior.endpoint,
+                token: behavior.missingToken ? null : undefined,
+            }));
+        }
+    }
+
+    /** @private */
+    _later(delay, fn) {
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            fn();
+        }, delay);
+        this._timers.add(timer);
+    }
+
+    /** @private */
+    _dispatchVoiceState(guildId, state) {
+        return this._dispatch('VOICE_STATE_UPDATE', this._voiceStateData(guildId, this.userId ?? this.manager?.userId, state));
+    }
+
+    /** @private */
+    _dispatchVoiceServer(guildId, { endpoint, token }) {
+        return this._dispatch('VOICE_SERVER_UPDATE', {
+            token: token === undefined ? crypto.randomBytes(8).toString('hex') : token,
+            guild_id: guildId,
+            endpoint,
+        });
+    }
+
+    /** @private */
+    _voiceStateData(guildId, userId, { channelId, sessionId, selfDeaf = false, selfMute = false, bot }) {
+        const data = {
+            guild_id: guildId,
+            channel_id: channelId,
+            user_id: userId,
+            session_id: sessionId,
+            deaf: false,
+            mute: false,
+            self_deaf: selfDeaf,
+            self_mute: selfMute,
+            self_video: false,
+            suppress: false,
+            request_to_speak_timestamp: null,
+        };
+        if (bot !== undefined) data.member = { user: { id: userId, bot } };
+        return data;
+    }
+
+    /** @private */
+    async _dispatch(type, data) {
+        this.emit('dispatch', type, data);
+        if (!this.manager) return;
+        try {
+            if (type === 'VOICE_STATE_UPDATE') await this.manager.handleVoiceStateUpdate(data);
+            else await this.manager.handleVoiceServerUpdate(data);
+        } catch (error) {
+            if (this.listenerCount('error') > 0) this.emit('error', error);
+        }
+    }
+}
+
+module.exports = MockDiscordGateway;
@@ -0,0 +1,546 @@
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+const Constants = require('./Constants');
+const TrackCodec = require('./TrackCodec');
+
+const TRACK_END_REASONS_THAT_CLEAR = ['finished', 'loadFailed', 'stopped', 'cleanup']; // 'replaced' leaves the new track playing
+
+/**
+ * In-process fake Lavalink v4 server (REST + `/v4/websocket`) for exercising Manager, Node and Player offline.
+ * It keeps sessions and players in memory, answers `loadtracks` from tracks added with `addTrack` (or scripted
+ * results), and can be told to emit track events or drop connections.
+ *
+ * @example
+ * const server = new MockLavalinkServer();
+ * await server.start();
+ * const manager = new Manager({ nodes: [server.nodeOptions], send, userId });
+ * server.addTrack({ title: 'Song', author: 'Artist', length: 180000, identifier: 'abc' });
+ * // ... play, then end the track:
+ * server.emitTrackEnd(guildId);
+ * await server.stop();
+ *
+ * Emits `request` ({ method, path, query, body }) for every REST call and `connection` / `disconnect` (session) for sockets.
+ */
+class MockLavalinkServer extends EventEmitter {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.host='127.0.0.1'] Interface to listen on.
+     * @param {number} [options.port=0] Port to listen on (0 picks a free one, see `port` after `start()`).
+     * @param {string} [options.password='youshallnotpass'] Expected `Authorization` header.
+     * @param {number} [options.statsInterval=0] ms between `stats` ops (0 only sends them on connect and via `sendStats()`).
+     * @param {number} [options.playerUpdateInterval=0] ms between `playerUpdate` ops (0 only sends them via `sendPlayerUpdate()`).
+     * @param {boolean} [options.autoFinish=false] End tracks with `TrackEndEvent` (`finished`) once their length has been played.
+     */
+    constructor(options = {}) {
+        super();
+        this.host = options.host ?? '127.0.0.1';
+        this.port = options.port ?? 0;
+        this.password = options.password ?? 'youshallnotpass';
+        this.statsInterval = options.statsInterval ?? 0;
+        this.playerUpdateInterval = options.playerUpdateInterval ?? 0;
+        this.autoFinish = options.autoFinish ?? false;
+
+        this.sessions = new Map(); // sessionId -> { id, resuming, timeout, socket, players: Map(guildId -> player), expiryTimer }
+        this.tracks = []; // Tracks known to loadtracks, see addTrack()
+        this.loadResults = new Map(); // identifier -> scripted loadtracks response
+        this.requests = []; // Log of REST requests, newest last
+        this.server = null;
+        this.wss = null;
+        this._timers = [];
+        this._startedAt = Date.now();
+    }
+
+    /** Node options pointing at this server, for `new Manager({ nodes: [server.nodeOptions] })`. */
+    get nodeOptions() {
+        return { host: this.host, port: this.port, password: this.password, identifier: `mock-${this.port}` };
+    }
+
+    /**
+     * Starts listening.
+     * @returns {Promise<{ host: string, port: number }>} The address in use.
+     */
+    async start() {
+        if (this.server) return { host: this.host, port: this.port };
+        this.server = http.createServer((req, res) => this._handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        this.port = this.server.address().port;
+        this._startedAt = Date.now();
+
+        if (this.statsInterval > 0) this._timers.push(setInterval(() => this.sendStats(), this.statsInterval).unref());
+        if (this.playerUpdateInterval > 0) {
+            this._timers.push(setInterval(() => {
+                for (const session of this.sessions.values()) {
+                    for (const guildId of session.players.keys()) this.sendPlayerUpdate(guildId, session.id);
+                }
+            }, this.playerUpdateInterval).unref());
+        }
+        return { host: this.host, port: this.port };
+    }
+
+    /**
+     * Closes all sockets and stops listening. Sessions and players are discarded.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this._timers.forEach(clearInterval);
+        this._timers = [];
+        for (const session of this.sessions.values()) this._discardSession(session);
+        this.sessions.clear();
+        for (const client of this.wss?.clients ?? []) client.terminate();
+        this.wss?.close();
+        if (this.server) {
+            this.server.closeAllConnections?.();
+            await new Promise(resolve => this.server.close(() => resolve()));
+        }
+        this.server = null;
+        this.wss = null;
+    }
+
+    // --- Scripting ---
+
+    /**
+     * Makes a track known to `loadtracks` (by identifier, URI and search) and `decodetrack`.
+     * @param {object} info Track info; `title` is required, `author`, `identifier`, `sourceName` and `length` get defaults.
+     * @returns {{ encoded: string, info: object, pluginInfo: object, userData: object }} The Lavalink track.
+     */
+    addTrack(info) {
+        const full = {
+            author: 'Unknown',
+            identifier: crypto.randomBytes(6).toString('hex'),
+            sourceName: 'youtube',
+            length: 0,
+            isStream: false,
+            isSeekable: !info.isStream,
+            uri: null,
+            artworkUrl: null,
+            isrc: null,
+            position: 0,
+            ...info,
+        };
+        const track = { encoded: TrackCodec.encodeTrack(full), info: full, pluginInfo: {}, userData: {} };
+        this.tracks.push(track);
+        return track;
+    }
+
+    /**
+     * Scripts the `loadtracks` response for an identifier (exact match, e.g. `ytsearch:foo`).
+     * @param {string} identifier The identifier as sent by the client.
+     * @param {object | null} result A Lavalink load result, or null to remove the script.
+     */
+    setLoadResult(identifier, result) {
+        if (result === null) this.loadResults.delete(identifier);
+        else this.loadResults.set(identifier, result);
+    }
+
+    /** Returns the server-side player state, or null. */
+    getPlayer(guildId, sessionId) {
+        return this._findPlayer(guildId, sessionId)?.player ?? null;
+    }
+
+    /** Sends a `TrackEndEvent` for the current track. Reasons other than `replaced` leave the player without a track. */
+    emitTrackEnd(guildId, reason = 'finished', sessionId) {
+        const { session, player } = this._requirePlayer(guildId, sessionId);
+        const track = player.track;
+        if (TRACK_END_REASONS_THAT_CLEAR.includes(reason)) this._clearTrack(player);
+        this._sendEvent(session, guildId, { type: Constants.LAVA_EVENT_TYPES.TRACK_END, track, reason });
+    }
+
+    /** Sends a `TrackExceptionEvent`, followed by a `TrackEndEvent` with reason `loadFailed` like Lavalink does. */
+    emitTrackException(guildId, exception = {}, sessionId) {
+        const { session, player } = this._requirePlayer(guildId, sessionId);
+        const track = player.track;
+        this._sendEvent(session, guildId, {
+            type: Constants.LAVA_EVENT_TYPES.TRACK_EXCEPTION,
+            track,
+            exception: { message: 'Something broke', severity: 'common', cause: 'MockLavalinkServer', ...exception },
+        });
+        this.emitTrackEnd(guildId, 'loadFailed', session.id);
+    }
+
+    /** Sends a `TrackStuckEvent` for the current track. */
+    emitTrackStuck(guildId, thresholdMs = 10000, sessionId) {
+        const { session, player } = this._requirePlayer(guildId, sessionId);
+        this._sendEvent(session, guildId, { type: Constants.LAVA_EVENT_TYPES.TRACK_STUCK, track: player.track, thresholdMs });
+    }
+
+    /** Sends a `WebSocketClosedEvent` as if Discord closed the voice connection. */
+    emitWebSocketClosed(guildId, code = 4006, reason = 'Session is no longer valid.', byRemote = true, sessionId) {
+        const { session, player } = this._requirePlayer(guildId, sessionId);
+        player.state.connected = false;
+        this._sendEvent(session, guildId, { type: Constants.LAVA_EVENT_TYPES.WEBSOCKET_CLOSED, code, reason, byRemote });
+    }
+
+    /** Sends a `playerUpdate` op with the player's current position. */
+    sendPlayerUpdate(guildId, sessionId) {
+        const { session, player } = this._requirePlayer(guildId, sessionId);
+        this._send(session, { op: Constants.LAVA_OP_CODES.PLAYER_UPDATE, guildId, state: this._playerState(player) });
+    }
+
+    /** Sends a `stats` op to every connected session. */
+    sendStats(overrides = {}) {
+        const stats = { op: Constants.LAVA_OP_CODES.STATS, ...this._stats(), ...overrides };
+        for (const session of this.sessions.values()) this._send(session, stats);
+    }
+
+    /**
+     * Drops WebSocket connections without a close handshake, like a crash or network loss.
+     * Sessions with resuming enabled survive for their timeout; others are discarded with their players.
+     * @param {object} [options={}]
+     * @param {number} [options.code] Close with this code (a normal close frame) instead of terminating the socket.
+     * @param {string} [options.reason=''] Close reason, used with `code`.
+     * @param {string} [options.sessionId] Only drop this session's connection.
+     */
+    dropConnections({ code, reason = '', sessionId } = {}) {
+        for (const session of [...this.sessions.values()]) {
+            if (sessionId && session.id !== sessionId) continue;
+            if (!session.socket) continue;
+            if (code) session.socket.close(code, reason);
+            else session.socket.terminate();
+        }
+    }
+
+    // --- WebSocket ---
+
+    /** @private */
+    _handleUpgrade(req, socket, head) {
+        const reject = (status, message) => {
+            socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+        };
+        if (new URL(req.url, 'http://localhost').pathname !== '/v4/websocket') return reject(404, 'Not Found');
+        if (req.headers.authorization !== this.password) return reject(401, 'Unauthorized');
+        if (!req.headers['user-id']) return reject(400, 'Bad Request');
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            const requested = this.sessions.get(req.headers['session-id']);
+            const resumed = !!(requested && requested.resuming && !requested.socket);
+            const session = resumed ? requested : this._createSession();
+            clearTimeout(session.expiryTimer);
+            session.expiryTimer = null;
+            session.socket = ws;
+
+            ws.on('close', () => this._handleSocketClose(session, ws));
+            ws.on('error', () => {}); // Closing is handled above; errors only happen on dropped sockets
+            this._send(session, { op: Constants.LAVA_OP_CODES.READY, resumed, sessionId: session.id });
+            this._send(session, { op: Constants.LAVA_OP_CODES.STATS, ...this._stats() });
+            this.emit('connection', session, resumed);
+        });
+    }
+
+    /** @private */
+    _createSession() {
+        const session = { id: crypto.randomBytes(8).toString('hex'), resuming: false, timeout: 60, socket: null, players: new Map(), expiryTimer: null };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /** @private */
+    _handleSocketClose(session, ws) {
+        if (session.socket !== ws) return;
+        session.socket = null;
+        this.emit('disconnect', session);
+        if (!session.resuming) {
+            this._discardSession(session);
+            this.sessions.delete(session.id);
+            return;
+        }
+        session.expiryTimer = setTimeout(() => {
+            this._discardSession(session);
+            this.sessions.delete(session.id);
+        }, session.timeout * 1000).unref();
+    }
+
+    /** @private */
+    _discardSession(session) {
+        clearTimeout(session.expiryTimer);
+        for (const player of session.players.values()) clearTimeout(player.endTimer);
+        session.players.clear();
+    }
+
+    /** @private */
+    _send(session, payload) {
+        if (session.socket?.readyState === 1) session.socket.send(JSON.stringify(payload));
+    }
+
+    /** @private */
+    _sendEvent(session, guildId, event) {
+        this._send(session, { op: Constants.LAVA_OP_CODES.EVENT, guildId, ...event });
+    }
+
+    // --- REST ---
+
+    /** @private */
+    async _handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname;
+        let body = null;
+        try {
+            const raw = await new Promise((resolve, reject) => {
+                let data = '';
+                req.on('data', chunk => { data += chunk; });
+                req.on('end', () => resolve(data));
+                req.on('error', reject);
+            });
+            body = raw ? JSON.parse(raw) : null;
+        } catch {
+            return this._sendError(res, 400, 'Invalid JSON body', path);
+        }
+
+        const query = Object.fromEntries(url.searchParams);
+        this.requests.push({ method: req.method, path, query, body });
+        this.emit('request', { method: req.method, path, query, body });
+
+        if (req.headers.authorization !== this.password) return this._sendError(res, 401, 'Unauthorized', path);
+
+        try {
+            this._route(req.method, path, query, body, res);
+        } catch (error) {
+            this._sendError(res, error.status ?? 500, error.message, path);
+        }
+    }
+
+    /** @private */
+    _route(method, path, query, body, res) {
+        if (method === 'GET' && path === '/version') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end('4.0.0-mock');
+        }
+        if (method === 'GET' && path === '/v4/info') return this._sendJSON(res, 200, this._info());
+        if (method === 'GET' && path === '/v4/stats') return this._sendJSON(res, 200, this._stats());
+        if (method === 'GET' && path === '/v4/loadtracks') return this._sendJSON(res, 200, this._loadTracks(query.identifier ?? ''));
+        if (method === 'GET' && path === '/v4/decodetrack') return this._sendJSON(res, 200, this._decode(query.encodedTrack));
+        if (method === 'POST' && path === '/v4/decodetracks') {
+            if (!Array.isArray(body)) throw httpError(400, 'Expected an array of encoded tracks');
+            return this._sendJSON(res, 200, body.map(encoded => this._decode(encoded)));
+        }
+
+        const match = path.match(/^\/v4\/sessions\/([^/]+)(?:\/players(?:\/([^/]+))?)?$/);
+        if (!match) throw httpError(404, 'Not Found');
+        const session = this.sessions.get(match[1]);
+        if (!session) throw httpError(404, `Session not found: ${match[1]}`);
+        const [, , guildId] = match;
+        const isPlayersPath = path.includes('/players');
+
+        if (!isPlayersPath && method === 'PATCH') {
+            if (typeof body?.resuming === 'boolean') session.resuming = body.resuming;
+            if (typeof body?.timeout === 'number') session.timeout = body.timeout;
+            return this._sendJSON(res, 200, { resuming: session.resuming, timeout: session.timeout });
+        }
+        if (isPlayersPath && !guildId && method === 'GET') {
+            return this._sendJSON(res, 200, [...session.players.values()].map(p => this._serializePlayer(p)));
+        }
+        if (guildId && method === 'GET') {
+            const player = session.players.get(guildId);
+            if (!player) throw httpError(404, `Player not found: ${guildId}`);
+            return this._sendJSON(res, 200, this._serializePlayer(player));
+        }
+        if (guildId && method === 'PATCH') {
+            const player = this._updatePlayer(session, guildId, body ?? {}, query.noReplace === 'true');
+            return this._sendJSON(res, 200, this._serializePlayer(player));
+        }
+        if (guildId && method === 'DELETE') {
+            const player = session.players.get(guildId);
+            if (player) clearTimeout(player.endTimer);
+            session.players.delete(guildId);
+            res.writeHead(204);
+            return res.end();
+        }
+        throw httpError(405, 'Method Not Allowed');
+    }
+
+    /** @private */
+    _loadTracks(identifier) {
+        if (this.loadResults.has(identifier)) return this.loadResults.get(identifier);
+
+        const colon = identifier.indexOf(':');
+        const isSearch = colon > 0 && !/^https?:/i.test(identifier);
+        if (isSearch) {
+            const query = identifier.slice(colon + 1).trim().toLowerCase();
+            const results = this.tracks.filter(t => `${t.info.author} ${t.info.title}`.toLowerCase().includes(query)
+                || `${t.info.author} - ${t.info.title}`.toLowerCase().includes(query)
+                || t.info.isrc?.toLowerCase() === query.replace(/"/g, ''));
+            return results.length ? { loadType: 'search', data: results } : { loadType: 'empty', data: {} };
+        }
+        const track = this.tracks.find(t => t.info.uri === identifier || t.info.identifier === identifier);
+        return track ? { loadType: 'track', data: track } : { loadType: 'empty', data: {} };
+    }
+
+    /** @private */
+    _decode(encoded) {
+        try {
+            return TrackCodec.decodeTrack(encoded);
+        } catch (e) {
+            throw httpError(400, `Invalid encoded track: ${e.message}`);
+        }
+    }
+
+    /** @private */
+    _updatePlayer(session, guildId, body, noReplace) {
+        let player = session.players.get(guildId);
+        if (!player) {
+            player = { guildId, track: null, volume: 100, paused: false, filters: {}, voice: null, position: 0, startedAt: null, endTime: null, endTimer: null, state: { connected: false } };
+            session.players.set(guildId, player);
+        }
+        if (body.voice) {
+            player.voice = { ...body.voice };
+            player.state.connected = !!(body.voice.token && body.voice.endpoint && body.voice.sessionId);
+        }
+        if (typeof body.volume === 'number') player.volume = body.volume;
+        if (body.filters && typeof body.filters === 'object') player.filters = JSON.parse(JSON.stringify(body.filters));
+
+        const trackUpdate = body.track ?? ('encodedTrack' in body ? { encoded: body.encodedTrack } : undefined);
+        if (trackUpdate !== undefined && 'encoded' in trackUpdate) {
+            if (trackUpdate.encoded === null) {
+                if (player.track) {
+                    const ended = player.track;
+                    this._clearTrack(player);
+                    this._sendEvent(session, guildId, { type: Constants.LAVA_EVENT_TYPES.TRACK_END, track: ended, reason: 'stopped' });
+                }
+            } else if (!(noReplace && player.track)) {
+                const next = { ...this._decode(trackUpdate.encoded), userData: trackUpdate.userData ?? {} };
+                const replaced = player.track;
+                player.track = next;
+                player.position = body.position ?? 0;
+                player.startedAt = Date.now();
+                player.endTime = body.endTime ?? null;
+                if (replaced) this._sendEvent(session, guildId, { type: Constants.LAVA_EVENT_TYPES.TRACK_END, track: replaced, reason: 'replaced' });
+                this._sendEvent(session, guildId, { type: Constants.LAVA_EVENT_TYPES.TRACK_START, track: next });
+            }
+        } else if (typeof body.position === 'number' && player.track) {
+            player.position = body.position;
+            player.startedAt = Date.now();
+        }
+        if ('endTime' in body && trackUpdate === undefined) player.endTime = body.endTime;
+
+        if (typeof body.paused === 'boolean' && body.paused !== player.paused) {
+            player.position = this._position(player);
+            player.startedAt = Date.now();
+            player.paused = body.paused;
+        }
+        this._schedulePlaybackEnd(session, player);
+        return player;
+    }
+
+    /** @private */
+    _schedulePlaybackEnd(session, player) {
+        clearTimeout(player.endTimer);
+        player.endTimer = null;
+        if (!this.autoFinish || !player.track || player.paused || player.track.info.isStream) return;
+        const end = player.endTime ?? player.track.info.length;
+        const remaining = Math.max(0, end - this._position(player));
+        player.endTimer = setTimeout(() => {
+            player.endTimer = null;
+            if (session.players.get(player.guildId) === player && player.track) this.emitTrackEnd(player.guildId, 'finished', session.id);
+        }, remaining).unref();
+    }
+
+    /** @private */
+    _clearTrack(player) {
+        clearTimeout(player.endTimer);
+        player.endTimer = null;
+        player.track = null;
+        player.position = 0;
+        player.startedAt = null;
+        player.endTime = null;
+    }
+
+    /** @private */
+    _position(player) {
+        if (!player.track) return 0;
+        const elapsed = player.paused || !player.startedAt ? 0 : Date.now() - player.startedAt;
+        const position = player.position + elapsed;
+        return player.track.info.isStream ? position : Math.min(position, player.track.info.length);
+    }
+
+    /** @private */
+    _playerState(player) {
+        return { time: Date.now(), position: this._position(player), connected: player.state.connected, ping: player.state.connected ? 1 : -1 };
+    }
+
+    /** @private */
+    _serializePlayer(player) {
+        return {
+            guildId: player.guildId,
+            track: player.track ? { ...player.track, info: { ...player.track.info, position: this._position(player) } } : null,
+            volume: player.volume,
+            paused: player.paused,
+            state: this._playerState(player),
+            voice: player.voice ?? { token: '', endpoint: '', sessionId: '' },
+            filters: player.filters,
+        };
+    }
+
+    /** @private */
+    _findPlayer(guildId, sessionId) {
+        const sessions = sessionId ? [this.sessions.get(sessionId)].filter(Boolean) : [...this.sessions.values()];
+        for (const session of sessions) {
+            const player = session.players.get(guildId);
+            if (player) return { session, player };
+        }
+        return null;
+    }
+
+    /** @private */
+    _requirePlayer(guildId, sessionId) {
+        const found = this._findPlayer(guildId, sessionId);
+        if (!found) throw new Error(`MockLavalinkServer has no player for guild ${guildId}.`);
+        return found;
+    }
+
+    /** @private */
+    _stats() {
+        const players = [...this.sessions.values()].flatMap(s => [...s.players.values()]);
+        return {
+            players: players.length,
+            playingPlayers: players.filter(p => p.track && !p.paused).length,
+            uptime: Date.now() - this._startedAt,
+            memory: { free: 0, used: 0, allocated: 0, reservable: 0 },
+            cpu: { cores: 1, systemLoad: 0, lavalinkLoad: 0 },
+            frameStats: null,
+        };
+    }
+
+    /** @private */
+    _info() {
+        return {
+            version: { semver: '4.0.0-mock', major: 4, minor: 0, patch: 0, preRelease: 'mock', build: null },
+            buildTime: this._startedAt,
+            git: { branch: 'mock', commit: 'mock', commitTime: this._startedAt },
+            jvm: 'mock',
+            lavaplayer: 'mock',
+            sourceManagers: ['youtube', 'soundcloud'],
+            filters: ['volume', 'equalizer', 'karaoke', 'timescale', 'tremolo', 'vibrato', 'distortion', 'rotation', 'channelMix', 'lowPass'],
+            plugins: [],
+        };
+    }
+
+    /** @private */
+    _sendJSON(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    /** @private */
+    _sendError(res, status, message, path) {
+        this._sendJSON(res, status, { timestamp: Date.now(), status, error: http.STATUS_CODES[status] ?? 'Error', message, path });
+    }
+}
+
+/** @private */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = MockLavalinkServer;
@@ -6,6 +6,7 @@ const EventEmitter = require('events');
 const Rest = require('./Rest');
 const Constants = require('./Constants');
 // --- End Original Dependencies ---
+const { calculatePenalty } = require('./NodeStrategies');
 
 class Node extends EventEmitter {
     constructor(manager, options = {}) {
@@ -14,34 +15,28 @@ class Node extends EventEmitter {
         this.options = { ...Constants.DEFAULT_NODE_OPTIONS, ...options };
         if (!this.options.host) throw new Error("Node requires a host option.");
         this.identifier = this.options.identifier;
+        this.regions = (this.options.regions ?? []).map(region => String(region).toLowerCase());
         this.stats = null;
         this.connected = false; // Will be true ONLY after READY payload is received
         this.ws = null;
         this.resumeKey = this.options.resumeKey;
+        this.resuming = !!(this.options.resume || this.options.resumeKey); // Keep the session across reconnects
         this.resumeTimeout = this.options.resumeTimeout;
         this.sessionId = null; // Lavalink Session ID
         this.rest = new Rest(this);
         this.reconnectAttempt = 0;
         this.reconnectTimer = null;
         this.players = new Map();
+        this.draining = false; // When true, no new players are assigned to this node
+        this._drainPromise = null;
         this.WebSocket = WebSocket;
         this._connect(); // Initial connection attempt
     }
 
+    /** Load penalty used by the `penalty` node selection strategy (lower is better). */
     get Penalties() {
-        if (!this.connected || !this.stats) return Infinity;
-
-        let penalty = 0;
-        penalty += this.stats.players;
-        penalty += Math.round(Math.pow(1.05, 100 * this.stats.cpu.systemLoad / (this.stats.cpu.cores || 1)) * 10 - 10);
-        if (this.stats.memory?.used) {
-             penalty += Math.round(this.stats.memory.used / 1024 / 1024);
-        }
-        if (this.stats.frameStats) {
-            penalty += (this.stats.frameStats.deficit / 3000);
-            penalty += (this.stats.frameStats.nulled / 3000 * 2);
-        }
-        return penalty;
+        if (!this.connected) return Infinity;
+        return calculatePenalty(this);
     }
 
 
@@ -66,12 +61,10 @@ class Node extends EventEmitter {
             'Client-Name': `royal-lava/${this.manager.userId}` // Use actual package name?
         };
 
-        if (this.sessionId) { // Resuming a specific session ID
+        // Lavalink v4 resumes by Session-Id; the session must have been configured with `resuming: true` beforehand
+        if (this.sessionId && this.resuming) {
             headers['Session-Id'] = this.sessionId;
             this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Attempting to resume session ${this.sessionId}`);
-        } else if (this.resumeKey) { // Fresh connect but indicating willingness to resume using key
-            headers['Resume-Key'] = this.resumeKey;
-            this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Attempting to connect with resume key ${this.resumeKey}`);
         }
 
         const wsUrl = `ws${this.options.secure ? 's' : ''}://${this.options.host}:${this.options.port}/v4/websocket`;
@@ -127,6 +120,7 @@ class Node extends EventEmitter {
 
         switch (payload.op) {
             case Constants.LAVA_OP_CODES.READY:
+                const previousSessionId = this.sessionId;
                 this.sessionId = payload.sessionId;
                  this.rest.setSessionId(this.sessionId);
                 // --- MODIFIED CODE: Set connected = true ONLY here ---
@@ -135,8 +129,8 @@ class Node extends EventEmitter {
                 this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Received Ready. Session ID: ${this.sessionId}, Resumed: ${payload.resumed}`);
 
                  // --- NEW CODE: Configure resumption ONLY AFTER receiving ready if it's a NEW session ---
-                if (!payload.resumed && this.resumeKey) {
-                     this.configureResuming(this.resumeKey, this.resumeTimeout)
+                if (!payload.resumed && this.resuming) {
+                     this.configureResuming()
                          .catch(err => this.manager.emit(Constants.CLIENT_EVENT_TYPES.NODE_ERROR, this, new Error(`Failed to configure session resumption post-ready: ${err.message}`)));
                  }
                 // --- END NEW CODE ---
@@ -145,6 +139,15 @@ class Node extends EventEmitter {
                  this.reconnectAttempt = 0;
                  clearTimeout(this.reconnectTimer);
                  this.reconnectTimer = null;
+
+                // Bring local players back in line with the server (resumed session) or re-create them (session lost)
+                if (payload.resumed || (previousSessionId && this.players.size > 0)) {
+                    this._reconcilePlayers(payload.resumed)
+                        .then(results => {
+                            if (payload.resumed) this.manager.emit(Constants.CLIENT_EVENT_TYPES.NODE_RESUMED, this, results);
+                        })
+                        .catch(err => this.manager.emit(Constants.CLIENT_EVENT_TYPES.NODE_ERROR, this, err, 'Failed to reconcile players after READY'));
+                }
                 break;
 
             case Constants.LAVA_OP_CODES.STATS:
@@ -179,12 +182,12 @@ class Node extends EventEmitter {
          this.connected = false; // Mark as disconnected
         // --- END MODIFIED CODE ---
 
-         // Keep sessionId only if resumeKey is set, allowing potential future resumption
-         if (!this.resumeKey) {
+         // Keep sessionId only if resuming is enabled, allowing potential future resumption
+         if (!this.resuming) {
             this.sessionId = null;
              this.rest.setSessionId(null);
          } else {
-             this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] WebSocket closed, but keeping sessionId ${this.sessionId} due to resumeKey.`);
+             this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] WebSocket closed, but keeping sessionId ${this.sessionId} for resumption.`);
          }
 
         this.manager.emit(Constants.CLIENT_EVENT_TYPES.NODE_DISCONNECT, this, code, reason);
@@ -243,7 +246,7 @@ class Node extends EventEmitter {
 
         this.reconnectTimer = setTimeout(() => {
              this.reconnectTimer = null; // Clear timer before attempting connect
-             // Keep existing sessionId if resumeKey is enabled, connect will handle it
+             // Keep existing sessionId if resuming is enabled, connect will handle it
              this._connect();
         }, delay);
     }
@@ -279,16 +282,63 @@ class Node extends EventEmitter {
     }
 
 
-    configureResuming(key = this.resumeKey, timeout = this.resumeTimeout) {
+    /**
+     * Enables (or disables) resumption of the current session via `PATCH /v4/sessions/{sessionId}`.
+     * While enabled, Lavalink keeps players running for `timeout` seconds after the WebSocket drops
+     * and the next connection resumes the session by sending its `Session-Id`.
+     * The legacy v3 signature `(key, timeout)` is still accepted: a key string enables resuming (v4 has no keys)
+     * and `null` keeps the current setting.
+     * @param {boolean} [resuming=true] Whether the session should be resumable.
+     * @param {number} [timeout=this.resumeTimeout] Seconds Lavalink waits for the client to resume.
+     * @returns {Promise<object>} The updated session info returned by Lavalink.
+     */
+    configureResuming(resuming = true, timeout = this.resumeTimeout) {
         if (!this.sessionId) {
             this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Cannot configure resuming: no session ID established.`);
              return Promise.reject(new Error('Cannot configure resuming without a Session ID.'));
         }
-         if (key) this.resumeKey = key;
+        if (typeof resuming === 'string') {
+            this.manager.emit(Constants.CLIENT_EVENT_TYPES.WARN, `[Node ${this.identifier}] configureResuming(key, timeout) is deprecated; Lavalink v4 resumes by session ID. Pass a boolean instead.`);
+            this.resumeKey = resuming;
+        }
+         this.resuming = resuming === null ? this.resuming : !!resuming;
          if (timeout) this.resumeTimeout = timeout;
-         this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Configuring session resumption via REST: Key=${this.resumeKey}, Timeout=${this.resumeTimeout}s`);
-        // Update Lavalink server with the desired timeout. Resuming itself is handled by headers/ready op.
-        return this.rest.updateSession(undefined, this.resumeTimeout);
+         this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Configuring session resumption via REST: Resuming=${this.resuming}, Timeout=${this.resumeTimeout}s`);
+        return this.rest.updateSession(this.resuming, this.resumeTimeout);
+    }
+
+    /**
+     * Reconciles local players with the players Lavalink holds for this session.
+     * Players known to the server are synced from it; players missing on the server get their state re-sent.
+     * @param {boolean} resumed Whether the READY op reported a resumed session.
+     * @returns {Promise<{ synced: string[], restored: string[], failed: Array<{ guildId: string, error: Error }>, orphaned: string[] }>}
+     * @private
+     */
+    async _reconcilePlayers(resumed) {
+        const remotePlayers = resumed ? await this.rest.getPlayers() : [];
+        const remoteByGuild = new Map((remotePlayers ?? []).map(p => [p.guildId, p]));
+        const results = { synced: [], restored: [], failed: [], orphaned: [] };
+
+        for (const player of [...this.players.values()]) {
+            const remote = remoteByGuild.get(player.guildId);
+            remoteByGuild.delete(player.guildId);
+            try {
+                if (remote) {
+                    player._syncFromLavalink(remote);
+                    results.synced.push(player.guildId);
+                } else {
+                    await player._restoreOnNode();
+                    results.restored.push(player.guildId);
+                }
+            } catch (error) {
+                results.failed.push({ guildId: player.guildId, error });
+            }
+        }
+        // Players Lavalink still runs for this session but nothing local owns
+        results.orphaned = [...remoteByGuild.keys()];
+
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Reconciled players (resumed: ${resumed}). Synced: ${results.synced.length}, Restored: ${results.restored.length}, Failed: ${results.failed.length}, Orphaned: ${results.orphaned.length}`);
+        return results;
     }
 
 
@@ -309,12 +359,32 @@ class Node extends EventEmitter {
          }
          this.ws = null; // Nullify immediately
          // Clear session details immediately upon explicit disconnect request unless resuming is desired
-        if (!this.resumeKey) {
+        if (!this.resuming) {
              this.sessionId = null;
              this.rest.setSessionId(null);
         }
     }
 
+    /**
+     * Puts the node into maintenance mode: no new players are assigned and existing ones are moved away.
+     * Shortcut for `manager.drainNode(node.identifier)`.
+     * @param {object} [options] See `Manager.drainNode`.
+     * @returns {Promise<{ moved: number, failed: number, cancelled: boolean }>} Resolves when the node holds no players.
+     */
+    drain(options) {
+        return this.manager.drainNode(this.identifier, options);
+    }
+
+    /**
+     * Leaves maintenance mode. The node gets new players again; an in-flight drain stops after the current move.
+     */
+    undrain() {
+        if (!this.draining) return;
+        this.draining = false;
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Drain mode disabled.`);
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.NODE_UNDRAIN, this);
+    }
+
     destroy() {
         this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Node ${this.identifier}] Destroying node instance.`);
         this.disconnect(1000, "Node destroyed");
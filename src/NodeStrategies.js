@@ -0,0 +1,81 @@
+// Built-in node selection strategies used by Manager.getIdealNode().
+// Every strategy receives the list of connected & ready nodes (never empty) and a context object
+// `{ manager, reason, guildId }`, and returns the node to use.
+
+/**
+ * Load penalty of a node derived from its Lavalink stats (lower is better).
+ * Follows the usual Lavalink client formula: playing players, exponential CPU load and frame deficit/nulled penalties.
+ * Memory is left out on purpose: raw heap size says little about how busy a node is.
+ * @param {Node} node
+ * @returns {number} The penalty, or Infinity if the node has no stats yet.
+ */
+function calculatePenalty(node) {
+    const stats = node.stats;
+    if (!stats) return Infinity;
+
+    let penalty = stats.playingPlayers ?? stats.players ?? 0;
+    const systemLoad = Math.max(0, Math.min(stats.cpu?.systemLoad ?? 0, 1)); // Already a 0-1 fraction across all cores
+    penalty += Math.pow(1.05, 100 * systemLoad) * 10 - 10;
+    if (stats.frameStats) {
+        const deficit = Math.max(0, stats.frameStats.deficit ?? 0);
+        const nulled = Math.max(0, stats.frameStats.nulled ?? 0);
+        penalty += Math.pow(1.03, 500 * (deficit / 3000)) * 600 - 600;
+        penalty += (Math.pow(1.03, 500 * (nulled / 3000)) * 300 - 300) * 2;
+    }
+    return Math.round(penalty);
+}
+
+/**
+ * Extracts the voice region from a Discord voice endpoint.
+ * `us-east1234.discord.media` -> `us-east`, `c-fra04-1a2b3c4d.discord.media` -> `fra`.
+ * @param {string | null} endpoint The voice server endpoint (with or without port/protocol).
+ * @returns {string | null} The lower-cased region, or null if it can't be determined.
+ */
+function getVoiceRegion(endpoint) {
+    if (typeof endpoint !== 'string' || !endpoint) return null;
+    const label = endpoint.replace(/^wss?:\/\//, '').split(/[.:]/)[0].toLowerCase();
+    const airport = label.match(/^c-([a-z]+)\d*-/);
+    if (airport) return airport[1];
+    return label.replace(/\d+$/, '') || null;
+}
+
+const byLowest = (score) => (nodes) => nodes.reduce((best, node) => (score(node) < score(best) ? node : best));
+
+const penalty = byLowest(calculatePenalty);
+
+const leastPlayers = byLowest(node => node.stats?.players ?? node.players.size);
+
+const leastCpu = byLowest(node => node.stats?.cpu?.systemLoad ?? Infinity);
+
+function roundRobin(nodes, { manager }) {
+    const sorted = [...nodes].sort((a, b) => String(a.identifier).localeCompare(String(b.identifier)));
+    const node = sorted[manager._roundRobinIndex % sorted.length];
+    manager._roundRobinIndex = (manager._roundRobinIndex + 1) % Number.MAX_SAFE_INTEGER;
+    return node;
+}
+
+// Picks randomly, weighted by the inverse of each node's penalty; nodes without stats get the smallest weight.
+function randomWeighted(nodes) {
+    const weights = nodes.map(node => {
+        const p = calculatePenalty(node);
+        return Number.isFinite(p) ? 1 / (1 + p) : 1e-6;
+    });
+    let roll = Math.random() * weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < nodes.length; i++) {
+        roll -= weights[i];
+        if (roll <= 0) return nodes[i];
+    }
+    return nodes[nodes.length - 1];
+}
+
+module.exports = {
+    calculatePenalty,
+    getVoiceRegion,
+    strategies: {
+        'penalty': penalty,
+        'least-players': leastPlayers,
+        'least-cpu': leastCpu,
+        'round-robin': roundRobin,
+        'random-weighted': randomWeighted,
+    },
+};
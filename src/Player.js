@@ -1,14 +1,22 @@
 // src/Player.js
 const EventEmitter = require('events');
-// Assume Queue supports: add, poll, clear, removeAt, insertAt, shuffle, setLoop, get entries(), get history(), get current, get size, get isEmpty, get loop
 const Queue = require('./Queue');
+const Track = require('./Track');
+const UnresolvedTrack = require('./UnresolvedTrack');
 // Assume Constants includes: PLAYER_STATE, LOOP_MODE, DEFAULT_PLAYER_OPTIONS, CLIENT_EVENT_TYPES, LAVA_EVENT_TYPES, etc.
 const Constants = require('./Constants');
-// Assume you might have a Track utility or class for richer track objects
-// const TrackUtils = require('./TrackUtils'); // Example
+const { getVoiceRegion } = require('./NodeStrategies');
 
+// Interval between volume updates while fading
+const FADE_STEP_MS = 100;
+// Tracks shorter than this many crossfade windows play without crossfade
+const CROSSFADE_MIN_TRACK_WINDOWS = 3;
 // Timeout for voice connection attempts
 const VOICE_CONNECT_TIMEOUT_MS = 20000; // Increased to 20 seconds for robustness
+// States in which the voice connection is established and a voice server change must be forwarded to Lavalink
+const VOICE_ACTIVE_STATES = [Constants.PLAYER_STATE.PLAYING, Constants.PLAYER_STATE.PAUSED, Constants.PLAYER_STATE.STOPPED, 'DISCONNECTED_LAVALINK'];
+// Standardize endpoint: Remove port, remove protocol prefix
+const cleanVoiceEndpoint = (endpoint) => endpoint?.replace(/(:\d+)?$/, '')?.replace(/^wss?:\/\//, '') || null;
 const DEFAULT_FILTER_DATA = { // Define default filter values (all off)
     volume: 1.0, // Separate from player volume, part of Lavalink filter chain
     equalizer: null, // Array of { band: number, gain: number }
@@ -20,7 +28,92 @@ const DEFAULT_FILTER_DATA = { // Define default filter values (all off)
     distortion: null, // { sinOffset?: number, sinScale?: number, cosOffset?: number, cosScale?: number, tanOffset?: number, tanScale?: number, offset?: number, scale?: number }
     channelMix: null, // { leftToLeft?: number, leftToRight?: number, rightToLeft?: number, rightToRight?: number }
     lowPass: null, // { smoothing?: number }
-    // pluginFilters: {} // For Lavalink v4 plugins if used
+    pluginFilters: {}, // Plugin name -> settings, for Lavalink plugins such as LavaDSPX
+};
+// Allowed properties and their [min, max] for each object filter. Lavalink rejects unknown properties.
+const FILTER_RANGES = {
+    karaoke: { level: [0, 1], monoLevel: [0, 1], filterBand: [0, Infinity], filterWidth: [0, Infinity] },
+    timescale: { speed: [0, Infinity], pitch: [0, Infinity], rate: [0, Infinity] },
+    tremolo: { frequency: [0, Infinity, true], depth: [0, 1, true] }, // true: the minimum itself is excluded
+    vibrato: { frequency: [0, 14, true], depth: [0, 1, true] },
+    rotation: { rotationHz: [-Infinity, Infinity] },
+    distortion: Object.fromEntries(['sinOffset', 'sinScale', 'cosOffset', 'cosScale', 'tanOffset', 'tanScale', 'offset', 'scale'].map(k => [k, [-Infinity, Infinity]])),
+    channelMix: { leftToLeft: [0, 1], leftToRight: [0, 1], rightToLeft: [0, 1], rightToRight: [0, 1] },
+    lowPass: { smoothing: [0, Infinity] },
+};
+
+/**
+ * Throws if `value` is not valid for the Lavalink filter `name`. `null` (filter off) is always valid.
+ * @param {string} name Filter name.
+ * @param {*} value Filter settings.
+ */
+function validateFilter(name, value) {
+    if (value === null) return;
+    if (name === 'volume') {
+        if (typeof value !== 'number' || !(value >= 0 && value <= 5)) throw new Error("Invalid filter volume. Must be a number from 0 to 5.");
+        return;
+    }
+    if (name === 'equalizer') {
+        if (!Array.isArray(value)) throw new Error("Invalid equalizer bands provided. Must be an array of {band, gain} objects or null.");
+        if (value.some(b => typeof b?.band !== 'number' || b.band < 0 || b.band > 14 || typeof b.gain !== 'number' || b.gain < -0.25 || b.gain > 1.0)) {
+            throw new Error("Invalid band settings in equalizer array. Ensure band is 0-14 and gain is -0.25 to 1.0.");
+        }
+        return;
+    }
+    if (name === 'pluginFilters') {
+        if (typeof value !== 'object' || Array.isArray(value)) throw new Error("Invalid pluginFilters. Must be an object mapping plugin names to their settings.");
+        return;
+    }
+    const ranges = FILTER_RANGES[name];
+    if (!ranges) throw new Error(`Unknown filter '${name}'. Use pluginFilters for plugin filters.`);
+    if (typeof value !== 'object' || Array.isArray(value)) throw new Error(`Invalid ${name} settings provided. Must be an object or null.`);
+    for (const [prop, setting] of Object.entries(value)) {
+        if (!(prop in ranges)) throw new Error(`Unknown ${name} property '${prop}'. Allowed: ${Object.keys(ranges).join(', ')}.`);
+        const [min, max, exclusiveMin] = ranges[prop];
+        if (typeof setting !== 'number' || !Number.isFinite(setting) || setting < min || setting > max || (exclusiveMin && setting === min)) {
+            const range = max === Infinity ? (min === -Infinity ? 'any number' : `${exclusiveMin ? '>' : '>='} ${min}`) : `${exclusiveMin ? '>' : '>='} ${min} and <= ${max}`;
+            throw new Error(`Invalid ${name} setting for '${prop}'. Must be ${range}.`);
+        }
+    }
+}
+
+/**
+ * Stacks `preset` on top of `changes` (a partial filter object): equalizer bands and the properties
+ * of object filters are merged, later values winning. Mutates and returns `changes`.
+ */
+const stackFilters = (changes, preset) => {
+    for (const [name, value] of Object.entries(preset)) {
+        const current = changes[name];
+        if (name === 'equalizer' && Array.isArray(current) && Array.isArray(value)) {
+            const bands = new Map([...current, ...value].map(b => [b.band, b]));
+            changes[name] = [...bands.values()].sort((a, b) => a.band - b.band);
+        } else if (current && value && typeof current === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+            changes[name] = { ...current, ...value };
+        } else {
+            changes[name] = JSON.parse(JSON.stringify(value));
+        }
+    }
+    return changes;
+};
+
+/** Deep copy of `filters` with every default key present. */
+const normalizeFilters = (filters) => {
+    const normalized = { ...JSON.parse(JSON.stringify(DEFAULT_FILTER_DATA)), ...JSON.parse(JSON.stringify(filters ?? {})) };
+    if (normalized.volume === null) normalized.volume = 1.0;
+    if (!normalized.pluginFilters) normalized.pluginFilters = {};
+    return normalized;
+};
+
+/** Lavalink filter payload for `filters`: only active filters, without nulls or an empty `pluginFilters`. */
+const buildFilterPayload = (filters) => {
+    const payload = {};
+    for (const [name, value] of Object.entries(filters ?? {})) {
+        if (value === null || value === undefined) continue;
+        if (name === 'volume' && value === 1.0) continue;
+        if (name === 'pluginFilters' && Object.keys(value).length === 0) continue;
+        payload[name] = JSON.parse(JSON.stringify(value));
+    }
+    return payload;
 };
 
 /**
@@ -39,6 +132,22 @@ class Player extends EventEmitter {
      * @param {boolean} [options.selfMute=false] - Whether the bot should join muted.
      * @param {number} [options.initialVolume=100] - Initial volume (0-1000).
      * @param {Queue} [options.queue] - An existing Queue instance to use.
+     * @param {boolean} [options.fairQueue=false] - Interleave queued tracks round-robin by requester.
+     * @param {object} [options.queueLimits] - Limits checked by `add()`, see `Queue#setLimits`.
+     * @param {object} [options.voteSkip] - Vote skip settings, see `voteSkip()`.
+     * @param {number} [options.voteSkip.threshold=0.5] - Votes needed: an absolute count (>= 1) or a fraction of the listeners (< 1).
+     * @param {boolean} [options.voteSkip.requesterCanSkip=true] - Whether the requester of the current track skips it with a single vote.
+     * @param {number} [options.leaveOnEmptyQueue=null] - Leave (destroy the player) this many ms after the queue ended. `null` disables it.
+     * @param {number} [options.leaveOnEmptyChannel=null] - Leave this many ms after the last listener left the channel. `null` disables it.
+     * @param {boolean} [options.pauseOnEmptyChannel=false] - Pause while the channel is empty and resume once someone joins.
+     * @param {boolean} [options.stayConnected=false] - 24/7 mode: never leave or pause automatically.
+     * @param {number} [options.fadeInDuration=0] - Fade in over this many ms when a track starts or playback resumes.
+     * @param {number} [options.fadeOutDuration=0] - Fade out over this many ms before skip, stop and pause.
+     * @param {number} [options.crossfadeDuration=0] - Crossfade window in ms: the last half fades the ending track out,
+     *        the first half of the next queued track fades in. Streams and short tracks are not crossfaded.
+     * @param {boolean} [options.autoplay=false] - Keep playing related tracks once the queue runs out.
+     * @param {Function} [options.autoplayRecommender] - `(seedTrack, player) => Promise<Array<Track | object>>` returning candidate tracks.
+     *        Defaults to the YouTube mix (`RD<videoId>`) of the last played track.
      */
     constructor(manager, node, guildId, options = {}) {
         super();
@@ -51,7 +160,7 @@ class Player extends EventEmitter {
         this.guildId = guildId;
         this.options = { ...Constants.DEFAULT_PLAYER_OPTIONS, ...options };
         // Use provided queue or create a new one
-        this.queue = options.queue instanceof Queue ? options.queue : new Queue();
+        this.queue = options.queue instanceof Queue ? options.queue : new Queue({ fair: this.options.fairQueue, limits: this.options.queueLimits });
         this.state = Constants.PLAYER_STATE.INSTANTIATED; // Initial state
 
         // --- Voice Connection State ---
@@ -68,10 +177,16 @@ class Player extends EventEmitter {
         this.position = 0;          // Last known track position from Lavalink (ms)
         this._lastPositionUpdateTimestamp = 0; // Local timestamp when 'position' was last updated
         this.volume = Math.max(0, Math.min(Math.round(this.options.initialVolume), 1000)); // Initial volume, clamped
+        this._appliedVolume = 100; // Volume Lavalink is actually using (differs from `volume` during fades); 100 is Lavalink's default
+        this._fadeToken = null; // Identifies the running fade; replaced to cancel it
+        this._crossfadeTimer = null; // Fires when the current track enters the crossfade window
+        this._pendingFadeIn = 0; // Fade-in (ms) requested for the next track start by a crossfade
+        this._crossfading = false;
         this.loop = this.queue.loop || Constants.LOOP_MODE.NONE; // Sync with queue's loop mode
 
         // --- Filters State ---
         this.filters = JSON.parse(JSON.stringify(DEFAULT_FILTER_DATA)); // Deep clone default filters
+        this._activePresets = new Map(); // preset name -> filters, in the order they were applied
 
         // --- Internal State ---
         this.moving = false; // Flag to prevent conflicts during node transfers
@@ -81,6 +196,23 @@ class Player extends EventEmitter {
         this._connectionTimeout = null;
         this._disconnecting = false; // Flag to avoid redundant disconnect logic
 
+        // --- Voice Members / Vote Skip ---
+        this._listenerIds = new Set(); // Listener IDs as of the last refresh, used to emit join/leave transitions
+        this.voteSkipOptions = { ...Constants.DEFAULT_PLAYER_OPTIONS.voteSkip, ...this.options.voteSkip };
+        this._skipVotes = new Set(); // userIds that voted to skip `_skipVoteTrack`
+        this._skipVoteTrack = null;
+
+        // --- Auto Leave ---
+        this.stayConnected = !!this.options.stayConnected;
+        this._emptyQueueTimer = null;
+        this._emptyChannelTimer = null;
+        this._pausedForEmptyChannel = false; // Only resume automatically what we paused automatically
+        this._channelEmpty = null; // Last empty/occupied state acted on, null = not known yet
+
+        // --- Autoplay ---
+        this.autoplay = !!this.options.autoplay;
+        this.autoplayRecommender = typeof this.options.autoplayRecommender === 'function' ? this.options.autoplayRecommender : null;
+
         // --- Auto-Replay Feature (Optional) ---
         // this.autoReplay = options.autoReplay ?? false; // Replay track on certain errors (configurable)
 
@@ -119,6 +251,8 @@ class Player extends EventEmitter {
         // Ensure position doesn't exceed duration and isn't negative
         return Math.max(0, Math.min(estimatedPosition, currentTrackDuration));
     }
+    /** Voice region derived from the Discord voice endpoint (e.g. `us-east`), or null before the voice server is known. */
+    get voiceRegion() { return getVoiceRegion(this.voiceEndpoint); }
     /** The current volume level (0-1000). */
     get currentVolume() { return this.volume; }
     /** The current loop mode (NONE, TRACK, QUEUE). */
@@ -250,6 +384,7 @@ class Player extends EventEmitter {
          const wasConnectedToChannel = !!this.voiceChannelId;
          const oldState = this.state;
         this._debugLog(`Disconnecting from channel ${this.voiceChannelId}${destroy ? ' and destroying player' : ''}... Old state: ${oldState}`);
+        this._clearAutoLeaveTimers();
 
         // Stop local playback immediately if playing/paused
         if (this.isPlaying || this.isPaused) {
@@ -290,6 +425,8 @@ class Player extends EventEmitter {
         // Clear local voice variables *after* potentially sending disconnect OP4
         this.connected = false;
         this.voiceChannelId = null;
+        this._listenerIds.clear();
+        this._channelEmpty = null;
         this.voiceSessionId = null;
         this.voiceToken = null;
         this.voiceEndpoint = null;
@@ -333,6 +470,7 @@ class Player extends EventEmitter {
         const wasInChannel = !!this.voiceChannelId;
         const oldState = this.state;
         this.state = Constants.PLAYER_STATE.DESTROYED; // Set final state immediately
+        this._clearAutoLeaveTimers();
 
         // Clear any pending connection attempt
         this._clearConnectionPromise(new Error("Player destroyed."));
@@ -340,7 +478,7 @@ class Player extends EventEmitter {
         // Stop local playback state and clear queue entirely
         this.playing = false;
         this.paused = false;
-        this.queue.clear(); // Also clears current track
+        this.queue.clear(); // Also clears current track and history
         this.timestamp = null;
         this.position = 0;
         this._lastPositionUpdateTimestamp = 0;
@@ -361,6 +499,8 @@ class Player extends EventEmitter {
         // Clear local voice variables
         this.connected = false;
         this.voiceChannelId = null;
+        this._listenerIds.clear();
+        this._channelEmpty = null;
         this.voiceSessionId = null;
         this.voiceToken = null;
         this.voiceEndpoint = null;
@@ -385,13 +525,12 @@ class Player extends EventEmitter {
              currentNode?._removePlayer(this);
              // Detach from the node
              this.node = null; // Crucial to prevent further interaction attempts
-            // Remove player from manager's map (MUST be last action involving manager)
+            // Remove player from manager's map (MUST be last action involving manager); emits PLAYER_DESTROY on the manager
             this.manager._destroyPlayer(this.guildId);
-            // Remove all event listeners specific to this player instance
-            this.removeAllListeners();
              this._debugLog(`Player destroyed successfully.`);
-             // Emit destroy event AFTER cleanup
-             this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_DESTROY, this); // Manager level event
+            // Emit destroy event AFTER cleanup, then drop the listeners specific to this player instance
+            this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_DESTROY, this);
+            this.removeAllListeners();
          }
     }
 
@@ -401,37 +540,40 @@ class Player extends EventEmitter {
     /**
      * Adds a track or multiple tracks to the end of the queue.
      * If nothing is playing and the queue was empty, it will start playing the first added track.
+     * In fair queue mode the requester decides where the tracks end up (see `setFairQueue`).
+     * Tracks breaking the queue limits (see `setQueueLimits`) are not added.
      * @param {Track | string | Array<Track | string>} trackOrTracks - A single track object/encoded string, or an array of them.
-     * @param {User} [requester=null] - The user who requested the track(s) (for storing metadata).
-     * @returns {Promise<void>}
-     * @throws {Error} If player is destroyed.
+     * @param {User} [requester=null] - The user who requested the track(s), stored as `track.requester`.
+     * @returns {Promise<{ accepted: Array<Track>, rejected: Array<{ track: Track, reason: string }> }>} The added tracks and the rejected ones
+     *          with a `Constants.TRACK_REJECT_REASON`.
+     * @throws {Error} If player is destroyed or a track is invalid.
      */
     async add(trackOrTracks, requester = null) {
          if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
 
          const tracks = Array.isArray(trackOrTracks) ? trackOrTracks : [trackOrTracks];
-         if (tracks.length === 0) return;
-
-         // Add requester info if available (assuming Track objects can store it)
-         const tracksToAdd = tracks.map(t => {
-             if (typeof t === 'object' && t.info && requester) {
-                 t.requester = requester; // Add requester to track metadata
-             } else if (typeof t === 'object' && !t.requester) {
-                 t.requester = null; // Ensure property exists maybe
-             }
-            return t;
-         });
+         if (tracks.length === 0) return { accepted: [], rejected: [] };
+
+         // Plain Lavalink objects are wrapped (not mutated); encoded strings are decoded locally
+         const result = this.queue.validate(tracks.map(t => Track.from(t, requester)));
+         const tracksToAdd = result.accepted;
+         if (result.rejected.length > 0) {
+             this._debugLog(`Rejected ${result.rejected.length} track(s) due to queue limits: ${[...new Set(result.rejected.map(r => r.reason))].join(', ')}`);
+         }
+         if (tracksToAdd.length === 0) return result;
 
-        this.queue.add(...tracksToAdd);
+        this.queue.add(tracksToAdd);
          this._debugLog(`Added ${tracksToAdd.length} track(s) to the queue. New size: ${this.queueSize}`);
         this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_ADD, this, tracksToAdd);
         this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_ADD, this, tracksToAdd);
+        this.manager._schedulePersist(this);
 
         // If not currently playing anything and connected, start playback.
         if (this.isConnected && !this.playing && !this.current) {
              this._debugLog(`Queue was empty and player idle, starting playback automatically.`);
             await this.play().catch(e => this._emitError(e, "Failed to auto-play after adding track(s)"));
         }
+        return result;
     }
 
     /**
@@ -452,6 +594,7 @@ class Player extends EventEmitter {
              this._debugLog(`Removed track at index ${index}: ${removedTrack?.info?.title}`);
              this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_REMOVE, this, removedTrack, index);
              this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_REMOVE, this, removedTrack, index);
+             this.manager._schedulePersist(this);
              return removedTrack;
         }
         return null;
@@ -470,12 +613,13 @@ class Player extends EventEmitter {
             throw new Error(`Invalid jump index: ${index}. Queue size is ${this.queue.size}.`);
         }
 
-        const targetTrack = this.queue.tracks[index]; // Assumes direct access for inspection
+        const targetTrack = this.queue.tracks[index];
          this._debugLog(`Jumping to track at index ${index}: ${targetTrack?.info?.title}`);
 
         // Remove tracks before the target index
-        const removed = this.queue.removeRange(0, index); // remove range [0, index-1]
-        this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_CLEAR, this, removed.length); // partial clear event
+        const removed = this.queue.removeRange(0, index); // removes [0, index)
+        this.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_CLEAR, this, removed.length); // partial clear event
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_CLEAR, this, removed.length);
 
          // The target track is now at index 0. Poll it and play.
         await this.play() // Play will poll the (new) index 0 track
@@ -494,10 +638,11 @@ class Player extends EventEmitter {
          if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
          const removedCount = this.queue.size;
         if (removedCount > 0) {
-            this.queue.clear(); // Keeps 'current' but clears upcoming tracks
+            this.queue.clearUpcoming(); // Keeps 'current' and history
             this._debugLog(`Queue cleared. Removed ${removedCount} track(s).`);
             this.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_CLEAR, this, removedCount);
             this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_CLEAR, this, removedCount);
+            this.manager._schedulePersist(this);
          }
          return removedCount;
     }
@@ -518,6 +663,7 @@ class Player extends EventEmitter {
         this._debugLog(`Queue shuffled.`);
         this.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_SHUFFLE, this);
         this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_SHUFFLE, this);
+        this.manager._schedulePersist(this);
         return true;
     }
 
@@ -531,8 +677,8 @@ class Player extends EventEmitter {
         if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
         if (!this.isConnected) throw new Error("Player is not connected.");
 
-        // Assumes queue.previous() handles history logic and adds current back to front of queue
-         const previousTrack = this.queue.previous(); // Method needs to exist in Queue class
+        // queue.previous() rewinds the history and puts the current track back at the front of the queue
+         const previousTrack = this.queue.previous();
          if (!previousTrack) {
             throw new Error("No previous track available in history.");
          }
@@ -586,15 +732,16 @@ class Player extends EventEmitter {
 
         let trackToPlay;
         let isNewTrackExplicitlyProvided = false;
+        const replacedTrack = this.queue.current; // Track being replaced (if any), recorded in history once the new one is set
 
          if (track) { // Track provided
-             // Basic validation (check for encoded or info.uri)
-            if (typeof track !== 'string' && !(typeof track === 'object' && track.info?.uri)) {
-                 throw new Error("Invalid track provided. Must be encoded string or track object with info.");
+             try {
+                 trackToPlay = Track.from(track);
+             } catch (e) {
+                 throw new Error(`Invalid track provided. Must be encoded string or track object with info. (${e.message})`);
              }
-             trackToPlay = track;
              isNewTrackExplicitlyProvided = true;
-             this._debugLog(`Explicit track provided: ${typeof track === 'string' ? track.substring(0, 30) + '...' : track.info.title}`);
+             this._debugLog(`Explicit track provided: ${trackToPlay.info.title}`);
         } else { // No track provided, use queue
              this._debugLog(`No explicit track provided, polling queue.`);
              trackToPlay = this.queue.poll(); // Get next from queue, may return null
@@ -623,24 +770,48 @@ class Player extends EventEmitter {
              // Only emit queue end if we were previously in a playing/paused/stopped state
              if ([Constants.PLAYER_STATE.PLAYING, Constants.PLAYER_STATE.PAUSED, Constants.PLAYER_STATE.STOPPED].includes(this.state)) {
                  this._debugLog(`Emitting QUEUE_END.`);
-                this.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
-                this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
+                this._emitQueueEnd();
                  // Optionally ensure Lavalink is stopped if nothing else to play. Use stop(false).
                 await this.stop(false).catch(e => this._emitWarn(`Error ensuring stop after queue end: ${e.message}`));
             }
             return; // Nothing to play
         }
 
+        // --- Resolve Unresolved Tracks ---
+        let unresolved = null;
+        if (trackToPlay instanceof UnresolvedTrack) {
+            unresolved = trackToPlay;
+            try {
+                trackToPlay = await unresolved.resolve(this.manager, { ...this.manager.trackResolution, player: this });
+                this._debugLog(`Resolved "${unresolved.title}" to ${trackToPlay.info.sourceName} track "${trackToPlay.title}".`);
+            } catch (e) {
+                const exception = { message: e.message, severity: 'common', cause: 'Unresolved track could not be resolved' };
+                this._debugLog(`Failed to resolve "${unresolved.title}": ${e.message}`);
+                this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, unresolved, exception);
+                this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, unresolved, exception);
+                if (isNewTrackExplicitlyProvided) throw e;
+
+                // Skip it: drop it from `current` and continue with the next queued track
+                if (replacedTrack && replacedTrack !== unresolved) this.queue.addToHistory(replacedTrack);
+                this.queue.current = null;
+                return this.play(undefined, { pause });
+            }
+            if (!isNewTrackExplicitlyProvided) this.queue.current = trackToPlay; // Replace the polled placeholder
+        }
+
         // --- Set Queue's Current Track ---
         // `queue.poll()` automatically sets `queue.current`
         // If an explicit track was given, set it as current
         if (isNewTrackExplicitlyProvided && trackToPlay) {
             this.queue.current = trackToPlay; // Set current immediately
          }
+        if (trackToPlay && replacedTrack && replacedTrack !== trackToPlay && replacedTrack !== unresolved) { // Never record the placeholder that was just resolved
+            this.queue.addToHistory(replacedTrack);
+        }
 
 
          // --- Prepare Lavalink Payload ---
-         const encodedTrackString = typeof trackToPlay === 'string' ? trackToPlay : trackToPlay.encoded;
+         const encodedTrackString = trackToPlay.encoded;
          if (!encodedTrackString) {
              // This should theoretically not happen if track validation passed, but safeguard anyway
              this._emitError(new Error("Cannot play: Resolved track is invalid or missing encoded string."));
@@ -652,9 +823,12 @@ class Player extends EventEmitter {
 
         const payload = {
             encodedTrack: encodedTrackString,
-            // volume: this.volume, // Don't send volume on play, use setVolume separately or filters.volume
             paused: pause, // Start paused if requested
         };
+        // Start silent when fading in; otherwise undo any fade-out left over from the previous track
+        this._cancelFade();
+        const startVolume = (this.options.fadeInDuration > 0 || this._pendingFadeIn > 0) && !pause ? 0 : this.volume;
+        if (startVolume !== this._appliedVolume) payload.volume = startVolume;
 
          // Add position controls only if valid numbers are provided
          if (typeof startTime === 'number' && startTime >= 0) {
@@ -675,10 +849,11 @@ class Player extends EventEmitter {
 
          // --- Send Update to Lavalink ---
         try {
-             const isReplacing = isCurrentlyPlaying; // Simplification: Send noReplace flag if we think we are playing. Lavalink handles the rest.
+             const isReplacing = isCurrentlyPlaying;
             this._debugLog(`Sending play/replace request to node ${this.node.identifier}. Replacing: ${isReplacing}. Payload: ${JSON.stringify({...payload, encodedTrack: '...'})}`);
 
-             await this.node.updatePlayer(this.guildId, payload, isReplacing);
+             await this.node.updatePlayer(this.guildId, payload, noReplace);
+             if (payload.volume !== undefined) this._appliedVolume = payload.volume;
 
             // Update local state partially for immediate feedback (position/pause).
             // Full playing state confirmation comes via TRACK_START event.
@@ -686,6 +861,7 @@ class Player extends EventEmitter {
             this.position = payload.position ?? 0; // Optimistically set position
             this._lastPositionUpdateTimestamp = Date.now(); // Use local time as estimate until first player update
             this.state = pause ? Constants.PLAYER_STATE.PAUSED : (isReplacing ? this.state : Constants.PLAYER_STATE.PLAYING); // Tentative state
+            this.manager._schedulePersist(this);
 
 
              // We *don't* set `this.playing = true` here. Wait for TRACK_START from Lavalink.
@@ -711,7 +887,10 @@ class Player extends EventEmitter {
         const wasPlayingOrPaused = this.isPlaying || this.isPaused || this.state === Constants.PLAYER_STATE.PLAYING || this.state === Constants.PLAYER_STATE.PAUSED;
          this._debugLog(`Stop command received. Clear queue: ${clearQueue}. Was playing/paused: ${wasPlayingOrPaused}`);
 
+         this._cancelFade(); // A running fade must not keep changing the volume after the stop
+         if (wasPlayingOrPaused) await this._fadeOutForTransition();
          const stoppedTrack = this.current; // Keep track of what was stopped
+         if (stoppedTrack) this.queue.addToHistory(stoppedTrack);
 
          // --- Reset Local Playback State Immediately ---
          this.playing = false;
@@ -752,6 +931,7 @@ class Player extends EventEmitter {
          if (wasPlayingOrPaused) {
             this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_STOP, this, stoppedTrack);
              this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_STOP, this, stoppedTrack);
+             this.manager._schedulePersist(this);
          }
     }
 
@@ -781,8 +961,13 @@ class Player extends EventEmitter {
         // Sending an explicit 'stop' then 'play' can be slightly slower and cause more events.
         // Sending 'play' with the *next* track is cleaner. Lavalink handles the transition.
 
-        // Poll the *next* track without modifying `this.current` yet.
-         const nextTrack = this.queue.peek(); // Assumes peek() gets next without removing
+        await this._fadeOutForTransition();
+
+        // Take the *next* track off the queue. `play()` records the skipped track in history when it replaces it.
+         const nextTrack = this.queue.removeAt(0);
+         if (skippedTrack && this.loop === Constants.LOOP_MODE.QUEUE) {
+             this.queue.tracks.push(skippedTrack); // Keep skipped tracks in the rotation when looping the queue (appended like poll() does, never fairly placed)
+         }
 
          if (nextTrack) {
             this._debugLog(`Skipping to next track in queue: ${nextTrack.info.title}. Sending play command.`);
@@ -798,6 +983,108 @@ class Player extends EventEmitter {
          return skippedTrack; // Return the track that was playing before skip initiated
     }
 
+    /**
+     * Non-bot users in the player's voice channel, including deafened ones.
+     * @type {Map<string, { userId: string, channelId: string, deaf: boolean, mute: boolean }>}
+     */
+    get listeners() {
+        const listeners = new Map();
+        if (!this.voiceChannelId) return listeners;
+        for (const [userId, state] of this.manager.getVoiceStates(this.guildId)) {
+            if (state.channelId === this.voiceChannelId) listeners.set(userId, state);
+        }
+        return listeners;
+    }
+
+    /** Number of non-bot, non-deafened users in the player's voice channel. */
+    get activeListenerCount() {
+        let count = 0;
+        for (const state of this.listeners.values()) {
+            if (!state.deaf) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Registers a vote to skip the current track and skips it once the threshold is reached.
+     * Only listeners in the player's voice channel can vote (votes from anyone else are not added), and their
+     * vote is dropped when they leave. Votes belong to the current track and are reset when the next track starts.
+     * @param {string} userId The voting user's ID.
+     * @returns {Promise<{ added: boolean, votes: number, required: number, passed: boolean }>} The vote state after this vote.
+     * @throws {Error} If player is destroyed, not connected, or nothing is playing.
+     */
+    async voteSkip(userId) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        if (!this.isConnected) throw new Error("Player is not connected.");
+        const track = this.current;
+        if (!track) throw new Error("Nothing is playing.");
+        if (this._skipVoteTrack !== track) this._resetSkipVotes();
+        if (!this._listenerIds.has(String(userId))) {
+            this._debugLog(`Ignoring skip vote from ${userId}: not listening in ${this.voiceChannelId}.`);
+            return { added: false, votes: this._skipVotes.size, required: this.requiredSkipVotes, passed: false };
+        }
+
+        const { requesterCanSkip } = this.voteSkipOptions;
+        const requesterId = track.requester && typeof track.requester === 'object' ? track.requester.id : track.requester;
+        const added = !this._skipVotes.has(userId);
+        this._skipVotes.add(userId);
+        const votes = this._skipVotes.size;
+        const required = this.requiredSkipVotes;
+        const passed = votes >= required || (requesterCanSkip && requesterId != null && String(requesterId) === String(userId));
+
+        if (added) {
+            this._debugLog(`Skip vote from ${userId} (${votes}/${required}) for ${track.info?.title}`);
+            this.emit(Constants.CLIENT_EVENT_TYPES.VOTE_SKIP_ADD, this, userId, votes, required);
+            this.manager.emit(Constants.CLIENT_EVENT_TYPES.VOTE_SKIP_ADD, this, userId, votes, required);
+        }
+        if (passed) await this._passSkipVote(track, votes, required);
+        return { added, votes, required, passed };
+    }
+
+    /** Votes needed to skip the current track, based on `voteSkip.threshold` and the listener count. */
+    get requiredSkipVotes() {
+        const { threshold } = this.voteSkipOptions;
+        if (threshold >= 1) return Math.floor(threshold);
+        return Math.max(1, Math.ceil(this.activeListenerCount * threshold));
+    }
+
+    /** Votes registered for the current track. */
+    get skipVotes() {
+        return this._skipVoteTrack === this.current ? [...this._skipVotes] : [];
+    }
+
+    /** @private */
+    _resetSkipVotes() {
+        this._skipVotes.clear();
+        this._skipVoteTrack = this.current;
+    }
+
+    /** Emits VOTE_SKIP_PASS and skips the track the votes were for. @private */
+    async _passSkipVote(track, votes, required) {
+        this._debugLog(`Vote skip passed for ${track.info?.title}.`);
+        this.emit(Constants.CLIENT_EVENT_TYPES.VOTE_SKIP_PASS, this, track, votes, required);
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.VOTE_SKIP_PASS, this, track, votes, required);
+        this._resetSkipVotes();
+        await this.skip();
+    }
+
+    /**
+     * Drops the votes of users that left and skips if the remaining votes now reach the (lower) threshold.
+     * @private
+     */
+    _recheckSkipVotes() {
+        const track = this.current;
+        if (!track || this._skipVoteTrack !== track) return;
+        for (const userId of this._skipVotes) {
+            if (!this._listenerIds.has(String(userId))) this._skipVotes.delete(userId);
+        }
+        const votes = this._skipVotes.size;
+        const required = this.requiredSkipVotes;
+        if (votes > 0 && votes >= required && this.isConnected) {
+            this._passSkipVote(track, votes, required).catch(e => this._emitError(e, "Failed to skip after listeners left"));
+        }
+    }
+
     /**
      * Pauses or resumes the current playback.
      * @param {boolean} [pause=true] Set to `true` to pause, `false` to resume. Default true.
@@ -833,8 +1120,17 @@ class Player extends EventEmitter {
 
          this._debugLog(`Setting pause state to: ${pause}`);
         try {
+            this._cancelFade(); // Pausing or resuming ends any running fade (the fade-out below starts a new one)
+            if (pause) await this._fadeOutForTransition();
+            // When resuming, start silent for a fade-in or restore the volume a fade-out left behind
+            const update = { paused: pause };
+            const resumeVolume = this.options.fadeInDuration > 0 ? 0 : this.volume;
+            if (!pause && resumeVolume !== this._appliedVolume) update.volume = resumeVolume;
+
              // --- Send Update to Lavalink ---
-            await this.node.updatePlayer(this.guildId, { paused: pause });
+            await this.node.updatePlayer(this.guildId, update);
+            if (update.volume !== undefined) this._appliedVolume = update.volume;
+            if (!pause && this.options.fadeInDuration > 0) this._fadeInForTransition();
 
             // --- Update Local State AFTER successful API call ---
             const previouslyPaused = this.paused;
@@ -872,6 +1168,7 @@ class Player extends EventEmitter {
             if (pause !== previouslyPaused || this.state === Constants.PLAYER_STATE.PLAYING || this.state === Constants.PLAYER_STATE.PAUSED) {
                  this.emit(pause ? Constants.CLIENT_EVENT_TYPES.PLAYER_PAUSE : Constants.CLIENT_EVENT_TYPES.PLAYER_RESUME, this);
                  this.manager.emit(pause ? Constants.CLIENT_EVENT_TYPES.PLAYER_PAUSE : Constants.CLIENT_EVENT_TYPES.PLAYER_RESUME, this);
+                 this.manager._schedulePersist(this);
              }
 
         } catch (error) {
@@ -923,6 +1220,7 @@ class Player extends EventEmitter {
 
             this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_SEEK, this, targetPosition);
             this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_SEEK, this, targetPosition);
+            this.manager._schedulePersist(this);
             this._debugLog(`Seek successful.`);
 
         } catch (error) {
@@ -965,7 +1263,8 @@ class Player extends EventEmitter {
          // Clamp volume between 0 and 1000
         const targetVolume = Math.max(0, Math.min(Math.round(volume), 1000));
 
-        if (targetVolume === this.volume) return; // No change needed
+        this._cancelFade(); // An explicit volume wins over any running fade
+        if (targetVolume === this.volume && targetVolume === this._appliedVolume) return; // No change needed
 
         this._debugLog(`Setting volume to ${targetVolume}.`);
         try {
@@ -973,14 +1272,19 @@ class Player extends EventEmitter {
             // Important: Send BOTH player volume AND filter volume if using filters extensively,
             // otherwise just player volume. Assuming filters.volume controls gain within the chain,
             // and this `volume` controls the master output post-filters.
-            await this.node.updatePlayer(this.guildId, { volume: targetVolume });
+            if (targetVolume !== this._appliedVolume) { // Already applied when a fade just ended on it
+                await this.node.updatePlayer(this.guildId, { volume: targetVolume });
+                this._appliedVolume = targetVolume;
+            }
 
             // --- Update Local State ---
             const oldVolume = this.volume;
+            if (oldVolume === targetVolume) return; // Only the applied volume was off (e.g. after a fade)
             this.volume = targetVolume;
 
             this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_VOLUME_UPDATE, this, oldVolume, targetVolume);
             this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_VOLUME_UPDATE, this, oldVolume, targetVolume);
+            this.manager._schedulePersist(this);
             this._debugLog(`Volume updated successfully.`);
 
         } catch (error) {
@@ -989,6 +1293,47 @@ class Player extends EventEmitter {
         }
     }
 
+    /**
+     * Sets the crossfade window between consecutive queue tracks.
+     * @param {number} duration Window in ms (0 disables crossfading).
+     * @throws {Error} If the player is destroyed or the duration is invalid.
+     */
+    setCrossfade(duration) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        if (typeof duration !== 'number' || !isFinite(duration) || duration < 0) throw new Error("Invalid crossfade duration. Must be a number >= 0.");
+        this.options.crossfadeDuration = duration;
+        this._clearTimer('_crossfadeTimer');
+        this._scheduleCrossfade();
+        this._debugLog(`Crossfade set to ${duration}ms.`);
+    }
+
+    /**
+     * Gradually changes the volume, cancelling any fade already in progress.
+     * @param {number} target Target volume (0-1000), or the `filters.volume` multiplier (0-5) when `options.filter` is set.
+     * @param {number} [duration=1000] Fade duration in milliseconds.
+     * @param {object} [options={}]
+     * @param {boolean} [options.filter=false] Fade the `filters.volume` multiplier instead of the player volume.
+     * @returns {Promise<boolean>} True if the fade completed, false if another fade or volume change cancelled it.
+     * @throws {Error} If the player is destroyed, the node has no session, or the target is invalid.
+     */
+    async fadeVolume(target, duration = 1000, options = {}) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        if (!this.node?.sessionId) throw new Error("Lavalink node has no active session.");
+        if (typeof target !== 'number' || !isFinite(target)) throw new Error("Invalid fade target. Must be a finite number.");
+
+        if (options.filter) {
+            const to = Math.max(0, Math.min(target, 5));
+            const completed = await this._fade(this.filters.volume ?? 1.0, to, duration, { filter: true });
+            if (completed) await this.updateFilters({ volume: to });
+            return completed;
+        }
+
+        const to = Math.max(0, Math.min(Math.round(target), 1000));
+        const completed = await this._fade(this._appliedVolume, to, duration);
+        if (completed) await this.setVolume(to); // Commits the new volume and emits PLAYER_VOLUME_UPDATE once
+        return completed;
+    }
+
     /**
      * Sets the loop mode for the player/queue.
      * - NONE: No looping. Queue proceeds normally.
@@ -1015,15 +1360,84 @@ class Player extends EventEmitter {
         if (oldMode !== mode) {
             this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_LOOP_CHANGE, this, oldMode, mode);
             this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_LOOP_CHANGE, this, oldMode, mode);
+            this.manager._schedulePersist(this);
+        }
+    }
+
+
+    /**
+     * Replaces the limits checked by `add()`. Tracks already queued are kept, and so are the tracks the queue loop
+     * puts back or a snapshot restores: only newly added tracks count against the limits.
+     * @param {object} [limits={}] See `Queue#setLimits` (`maxSize`, `maxPerRequester`, `maxTrackDuration`, `maxTotalDuration`, `duplicates`).
+     * @throws {Error} If the player is destroyed or the duplicate policy is unknown.
+     */
+    setQueueLimits(limits = {}) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        this.queue.setLimits(limits);
+        this._debugLog(`Queue limits set: ${JSON.stringify(this.queue.limits)}`);
+    }
+
+    /**
+     * Enables or disables fair queue mode, where added tracks are placed round-robin by requester
+     * (each requester's own order is kept). Manual re-ordering is kept; see `Queue#setFair`. No tracks are dropped when switching.
+     * @param {boolean} enabled Whether fair mode is on.
+     * @throws {Error} If the player is destroyed.
+     */
+    setFairQueue(enabled) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        this.queue.setFair(enabled);
+        this._debugLog(`Fair queue ${this.queue.fair ? 'enabled' : 'disabled'}.`);
+        this.manager._schedulePersist(this);
+    }
+
+    /**
+     * Enables or disables 24/7 mode. While enabled the player never leaves or pauses on its own;
+     * disabling it re-arms the auto-leave checks for the current situation.
+     * @param {boolean} enabled Whether to stay connected.
+     * @throws {Error} If the player is destroyed.
+     */
+    setStayConnected(enabled) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        this.stayConnected = !!enabled;
+        this._debugLog(`24/7 mode ${this.stayConnected ? 'enabled' : 'disabled'}.`);
+        if (this.stayConnected) {
+            this._clearAutoLeaveTimers();
+            return;
         }
+        if (!this.current && this.queue.size === 0) this._scheduleEmptyQueueLeave();
+        if (this.voiceChannelId) this._handleChannelActivity(this._listenerIds.size === 0, true);
+    }
+
+    /**
+     * Enables or disables autoplay. When enabled, a related track is played once the queue runs out
+     * instead of emitting `queueEnd`.
+     * @param {boolean} enabled Whether autoplay is on.
+     * @param {Function} [recommender] Replaces the recommender, see the `autoplayRecommender` option.
+     * @throws {Error} If the player is destroyed.
+     */
+    setAutoplay(enabled, recommender) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        this.autoplay = !!enabled;
+        if (typeof recommender === 'function') this.autoplayRecommender = recommender;
+        this._debugLog(`Autoplay ${this.autoplay ? 'enabled' : 'disabled'}.`);
+        this.manager._schedulePersist(this);
     }
 
 
     // --- Filters / Audio Effects ---
 
+    /**
+     * Returns a copy of the filters currently applied to this player.
+     * Every Lavalink filter key is present (`null` when the filter is off); `pluginFilters` maps plugin names to their settings.
+     * @returns {object} The effective filter state.
+     */
+    getFilters() {
+        return normalizeFilters(this.filters);
+    }
+
      /**
-      * Applies a full set of Lavalink filters. Replaces all existing filters.
-      * For modifying specific filters, use methods like `setEqualizer`, `setTimescale`, etc., or get current filters, modify, and set again.
+      * Applies a full set of Lavalink filters. Replaces all existing filters; filters that are omitted or `null` are turned off.
+      * For modifying specific filters, use `updateFilters` or setters like `setEqualizer`, `setTimescale`, etc.
       * @param {object} filters - The Lavalink filter object. See Lavalink documentation for structure.
       * @returns {Promise<void>}
       * @throws {Error} If player is destroyed, not connected, or filter object is invalid.
@@ -1035,26 +1449,28 @@ class Player extends EventEmitter {
          if (typeof filters !== 'object' || filters === null) {
             throw new Error("Invalid filters object provided.");
          }
+         for (const [name, value] of Object.entries(filters)) validateFilter(name, value);
+         if (filters.timescale) {
+             for (const prop of ['speed', 'pitch', 'rate']) {
+                 if (filters.timescale[prop] === 0) {
+                    this._emitWarn(`Timescale property '${prop}' set to 0, which might silence audio or behave unexpectedly. Recommended > 0.`);
+                 }
+             }
+         }
 
-         // Deep merge with defaults might be complex. Simplest is direct set.
-         // User is responsible for providing the full filter object structure.
-         // Alternatively, provide specific setter methods.
-
-         this._debugLog(`Setting filters: ${JSON.stringify(filters)}`);
-
-         // Apply a basic structure check? Depends on how strict you want to be.
-         // Example: Ensure volume is a number if present.
+         const normalized = normalizeFilters(filters);
+         const payload = buildFilterPayload(normalized); // Lavalink replaces the whole filter chain, so nulls need not be sent
+         this._debugLog(`Setting filters: ${JSON.stringify(payload)}`);
 
          try {
-             await this.node.updatePlayer(this.guildId, { filters: filters });
+             await this.node.updatePlayer(this.guildId, { filters: payload });
 
              // --- Update Local State AFTER success ---
-             // Need a robust way to store this. Deep clone the incoming object?
-             // Store *exactly* what was sent.
-             this.filters = JSON.parse(JSON.stringify(filters)); // Store a copy
+             this.filters = normalized;
 
-             this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_FILTERS_UPDATE, this, this.filters);
-             this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_FILTERS_UPDATE, this, this.filters);
+             this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_FILTERS_UPDATE, this, this.getFilters());
+             this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_FILTERS_UPDATE, this, this.getFilters());
+             this.manager._schedulePersist(this);
              this._debugLog(`Filters updated successfully.`);
 
          } catch (error) {
@@ -1063,18 +1479,45 @@ class Player extends EventEmitter {
          }
     }
 
+    /**
+     * Changes only the given filters and keeps all others as they are.
+     * A `null` value turns that filter off (`volume` goes back to 1.0). `pluginFilters` is merged per plugin,
+     * and a plugin set to `null` is removed.
+     * @param {object} changes - Partial Lavalink filter object, e.g. `{ timescale: { speed: 1.2 }, karaoke: null }`.
+     * @returns {Promise<void>}
+     * @throws {Error} If player is destroyed, not connected, or a filter value is invalid.
+     */
+    async updateFilters(changes) {
+        if (typeof changes !== 'object' || changes === null) {
+            throw new Error("Invalid filter changes provided. Must be an object.");
+        }
+        const merged = normalizeFilters(this.filters);
+        for (const [name, value] of Object.entries(changes)) {
+            if (name !== 'pluginFilters') {
+                merged[name] = value;
+                continue;
+            }
+            if (value === null) {
+                merged.pluginFilters = {};
+                continue;
+            }
+            validateFilter(name, value);
+            for (const [plugin, settings] of Object.entries(value)) {
+                if (settings === null) delete merged.pluginFilters[plugin];
+                else merged.pluginFilters[plugin] = settings;
+            }
+        }
+        await this.setFilters(merged);
+    }
+
      /**
-      * Clears all applied filters, resetting them to Lavalink defaults.
+      * Clears all applied filters and presets, resetting them to Lavalink defaults.
       * @returns {Promise<void>}
       */
     async clearFilters() {
-         // Reset local state to defaults FIRST (avoids race condition if API call fails)
-        this.filters = JSON.parse(JSON.stringify(DEFAULT_FILTER_DATA)); // Reset to deep clone of defaults
-         // Now send empty object to Lavalink to clear server-side
         this._debugLog(`Clearing all filters.`);
-         // Note: We send an empty object `{}` which signals Lavalink to clear filters.
-         // Setting individual filters to null/defaults requires sending the whole default structure.
-         await this.setFilters({}); // Use setFilters to send the clearing payload
+         await this.setFilters({}); // An empty filter object turns every filter off
+         this._activePresets.clear();
      }
 
      /**
@@ -1085,63 +1528,175 @@ class Player extends EventEmitter {
       * @returns {Promise<void>}
       */
     async setEqualizer(bands) {
-        if (bands !== null && !Array.isArray(bands)) {
-            throw new Error("Invalid equalizer bands provided. Must be an array of {band, gain} objects or null.");
-        }
-         // Basic validation of bands
-        if (Array.isArray(bands)) {
-             if (bands.some(b => typeof b.band !== 'number' || b.band < 0 || b.band > 14 || typeof b.gain !== 'number' || b.gain < -0.25 || b.gain > 1.0)) {
-                 throw new Error("Invalid band settings in equalizer array. Ensure band is 0-14 and gain is -0.25 to 1.0.");
-             }
-         }
-
-         const newFilters = JSON.parse(JSON.stringify(this.filters)); // Clone current filters
-         newFilters.equalizer = (bands && bands.length > 0) ? bands : null; // Set or clear EQ
-
-         // Keep other filters intact by merging
-         // In this case, setFilters handles the full object update
-        await this.setFilters(newFilters);
+        await this.updateFilters({ equalizer: Array.isArray(bands) && bands.length === 0 ? null : bands });
     }
 
-
     /**
-     * Applies timescale filter settings (speed, pitch, rate).
-     * Provide an object with the desired properties. Omitted properties remain unchanged from defaults (or current Lavalink state).
+     * Applies timescale filter settings (speed, pitch, rate). Replaces any previous timescale settings.
      * Set to `null` to clear/reset the timescale filter specifically.
      * @param {{ speed?: number, pitch?: number, rate?: number } | null} timescaleSettings - Timescale settings or null to reset.
      *        Constraints (apply >=0, recommended > 0): speed > 0, pitch > 0, rate > 0
      * @returns {Promise<void>}
      */
     async setTimescale(timescaleSettings) {
-        if (timescaleSettings !== null && typeof timescaleSettings !== 'object') {
-            throw new Error("Invalid timescaleSettings provided. Must be an object or null.");
-         }
+        await this.updateFilters({ timescale: timescaleSettings });
+    }
 
-         // Validate properties if object provided
-         if (timescaleSettings) {
-             const props = ['speed', 'pitch', 'rate'];
-             for (const prop of props) {
-                 if (timescaleSettings[prop] !== undefined && (typeof timescaleSettings[prop] !== 'number' || timescaleSettings[prop] < 0)) {
-                     throw new Error(`Invalid timescale setting for '${prop}'. Must be a number >= 0.`);
-                 }
-                 if (timescaleSettings[prop] === 0) {
-                    this._emitWarn(`Timescale property '${prop}' set to 0, which might silence audio or behave unexpectedly. Recommended > 0.`);
-                 }
-             }
-         }
+    /**
+     * Sets the filter chain volume multiplier (0-5, default 1.0). Independent of the player volume set with `setVolume`.
+     * @param {number | null} volume - The multiplier, or null to reset it to 1.0.
+     * @returns {Promise<void>}
+     */
+    async setFilterVolume(volume) {
+        await this.updateFilters({ volume });
+    }
+
+    /**
+     * Applies the karaoke filter, which removes vocals in the given frequency band.
+     * @param {{ level?: number, monoLevel?: number, filterBand?: number, filterWidth?: number } | null} settings - `level` and `monoLevel` are 0-1; null turns the filter off.
+     * @returns {Promise<void>}
+     */
+    async setKaraoke(settings) {
+        await this.updateFilters({ karaoke: settings });
+    }
+
+    /**
+     * Applies the tremolo filter (oscillating volume).
+     * @param {{ frequency?: number, depth?: number } | null} settings - `frequency` > 0, `depth` 0-1 (exclusive of 0); null turns the filter off.
+     * @returns {Promise<void>}
+     */
+    async setTremolo(settings) {
+        await this.updateFilters({ tremolo: settings });
+    }
+
+    /**
+     * Applies the vibrato filter (oscillating pitch).
+     * @param {{ frequency?: number, depth?: number } | null} settings - `frequency` 0-14 (exclusive of 0), `depth` 0-1 (exclusive of 0); null turns the filter off.
+     * @returns {Promise<void>}
+     */
+    async setVibrato(settings) {
+        await this.updateFilters({ vibrato: settings });
+    }
+
+    /**
+     * Applies the rotation filter, panning the audio around the stereo field (the "8D audio" effect).
+     * @param {{ rotationHz?: number } | null} settings - Rotation frequency in Hz (e.g. 0.2); null turns the filter off.
+     * @returns {Promise<void>}
+     */
+    async setRotation(settings) {
+        await this.updateFilters({ rotation: settings });
+    }
+
+    /**
+     * Applies the distortion filter.
+     * @param {{ sinOffset?: number, sinScale?: number, cosOffset?: number, cosScale?: number, tanOffset?: number, tanScale?: number, offset?: number, scale?: number } | null} settings - Null turns the filter off.
+     * @returns {Promise<void>}
+     */
+    async setDistortion(settings) {
+        await this.updateFilters({ distortion: settings });
+    }
+
+    /**
+     * Applies the channel mix filter. All factors are 0-1; `{ leftToRight: 0.5, rightToLeft: 0.5, leftToLeft: 0.5, rightToRight: 0.5 }` produces mono.
+     * @param {{ leftToLeft?: number, leftToRight?: number, rightToLeft?: number, rightToRight?: number } | null} settings - Null turns the filter off.
+     * @returns {Promise<void>}
+     */
+    async setChannelMix(settings) {
+        await this.updateFilters({ channelMix: settings });
+    }
+
+    /**
+     * Applies the low pass filter, which suppresses high frequencies.
+     * @param {{ smoothing?: number } | null} settings - `smoothing` > 1 enables the filter (e.g. 20); null turns the filter off.
+     * @returns {Promise<void>}
+     */
+    async setLowPass(settings) {
+        await this.updateFilters({ lowPass: settings });
+    }
+
+    /**
+     * Sets or removes the settings of a Lavalink plugin filter (e.g. `echo` from LavaDSPX).
+     * Other plugin filters and all built-in filters are kept.
+     * @param {string} name - The plugin filter name, as expected by the plugin.
+     * @param {object | null} settings - The plugin's filter settings, or null to remove it.
+     * @returns {Promise<void>}
+     */
+    async setPluginFilter(name, settings) {
+        if (typeof name !== 'string' || !name) throw new Error("Plugin filter name must be a non-empty string.");
+        await this.updateFilters({ pluginFilters: { [name]: settings } });
+    }
+
+    // --- Filter Presets ---
+
+    /** Names of the presets applied with `applyPreset`, in the order they were applied. */
+    get activePresets() {
+        return [...this._activePresets.keys()];
+    }
 
-         const newFilters = JSON.parse(JSON.stringify(this.filters)); // Clone current
-         newFilters.timescale = timescaleSettings; // Set timescale object or null
+    /**
+     * Applies a filter preset registered on the manager (see `Manager.registerFilterPreset` and `Constants.FILTER_PRESETS`).
+     * By default the preset stacks on the active ones: filters they share are merged, the newest preset winning
+     * (equalizer bands are merged per band). Filters no preset touches are left alone.
+     * @param {string} name The preset name (case-insensitive).
+     * @param {object} [options={}]
+     * @param {boolean} [options.replace=false] Remove all active presets first instead of stacking.
+     * @returns {Promise<void>}
+     * @throws {Error} If the preset is unknown, its filters are invalid, or the filters cannot be applied.
+     */
+    async applyPreset(name, { replace = false } = {}) {
+        const key = String(name ?? '').trim().toLowerCase();
+        const preset = this.manager.getFilterPreset(key);
+        if (!preset) throw new Error(`Unknown filter preset "${name}".`);
+
+        const presets = new Map(replace ? [] : this._activePresets);
+        presets.delete(key); // Re-applying a preset moves it to the top of the stack
+        presets.set(key, preset);
+        await this._applyPresetStack(presets, replace ? [...this._activePresets.values()] : []);
+        this._debugLog(`Applied filter preset "${key}"${replace ? ' (replacing others)' : ''}. Active: ${this.activePresets.join(', ')}`);
+    }
 
-         await this.setFilters(newFilters);
+    /**
+     * Removes an active preset. Filters it set are turned off, or recomputed from the remaining presets that also set them.
+     * @param {string} name The preset name (case-insensitive).
+     * @returns {Promise<boolean>} Whether the preset was active.
+     */
+    async removePreset(name) {
+        const key = String(name ?? '').trim().toLowerCase();
+        if (!this._activePresets.has(key)) return false;
+
+        const presets = new Map(this._activePresets);
+        presets.delete(key);
+        await this._applyPresetStack(presets, [this._activePresets.get(key)]);
+        this._debugLog(`Removed filter preset "${key}".`);
+        return true;
     }
 
-    // --- Add more specific filter setters as needed (e.g., setKaraoke, setTremolo, etc.) ---
-    // Example:
-    // async setKaraoke(settings) { ... }
-    // async setDistortion(settings) { ... }
+    /**
+     * Turns off the filters set by `dropped` presets, then reapplies the `presets` stack on top.
+     * @param {Map<string, object>} presets The presets that should be active afterwards.
+     * @param {object[]} dropped Filters of presets that are being removed.
+     * @private
+     */
+    async _applyPresetStack(presets, dropped) {
+        const changes = {};
+        for (const filters of dropped) {
+            for (const [name, value] of Object.entries(filters)) {
+                changes[name] = name === 'pluginFilters'
+                    ? { ...changes.pluginFilters, ...Object.fromEntries(Object.keys(value ?? {}).map(plugin => [plugin, null])) }
+                    : null;
+            }
+        }
+        // Filters shared with the new stack are rebuilt from scratch rather than merged into the dropped values
+        for (const filters of presets.values()) {
+            for (const name of Object.keys(filters)) if (changes[name] === null) delete changes[name];
+        }
+        for (const filters of presets.values()) stackFilters(changes, filters);
+
+        await this.updateFilters(changes);
+        this._activePresets = presets;
+    }
 
-    /** Helper for Bass Boost using EQ */
+    /** Helper for Bass Boost using EQ with an arbitrary level. See the `bassboost-*` presets for stackable versions. */
      async setBassBoost(level = 0.2) { // level 0 to ~0.5+
         if (typeof level !== 'number' || level < 0) level = 0;
         level = Math.min(level, 1.0); // Cap gain to 1.0 per band
@@ -1156,7 +1711,7 @@ class Player extends EventEmitter {
         this._debugLog(`Applied Bass Boost (EQ) with level ~${level}`);
      }
 
-     /** Helper for a simple Nightcore effect (speed + pitch) */
+     /** Helper for a simple Nightcore effect (speed + pitch). The `nightcore` preset applies the defaults. */
     async setNightcore(speed = 1.1, pitch = 1.15) {
         if (typeof speed !== 'number' || speed <= 0) speed = 1.1;
         if (typeof pitch !== 'number' || pitch <= 0) pitch = 1.15;
@@ -1166,11 +1721,7 @@ class Player extends EventEmitter {
 
      /** Helper to reset common effects (Bass Boost EQ, Timescale) */
     async resetCommonEffects() {
-        const newFilters = JSON.parse(JSON.stringify(this.filters)); // Clone current
-        newFilters.equalizer = null; // Clear EQ
-        newFilters.timescale = null; // Clear Timescale
-        // Optionally clear others like Karaoke if you have helpers for them
-        await this.setFilters(newFilters);
+        await this.updateFilters({ equalizer: null, timescale: null });
         this._debugLog(`Reset common effects (EQ, Timescale).`);
      }
 
@@ -1197,27 +1748,7 @@ class Player extends EventEmitter {
          this._debugLog(`Moving player from Node ${oldNodeIdentifier} to Node ${targetNode.identifier}...`);
 
         // --- Store Current State (crucially, use calculated currentPosition) ---
-         const currentTrack = this.current; // Store before potential changes
-        const calculatedPosition = this.currentPosition; // Get best estimate NOW
-        const stateToRestore = {
-            encodedTrack: currentTrack?.encoded,
-            position: calculatedPosition > 0 ? calculatedPosition : 0, // Ensure non-negative
-            volume: this.volume, // Player volume
-            paused: this.paused, // Current pause state
-            filters: JSON.parse(JSON.stringify(this.filters)), // Deep clone current filters
-             voice: { // Need voice state too!
-                token: this.voiceToken,
-                endpoint: this.voiceEndpoint,
-                 sessionId: this.voiceSessionId
-            }
-         };
-
-        // Remove undefined/null properties only if Lavalink version requires it
-         Object.keys(stateToRestore).forEach(key => stateToRestore[key] === undefined && delete stateToRestore[key]);
-         Object.keys(stateToRestore.filters).forEach(key => stateToRestore.filters[key] === null && delete stateToRestore.filters[key]);
-         if(Object.keys(stateToRestore.filters).length === 0) delete stateToRestore.filters; // Remove empty filters object
-         if(!stateToRestore.voice.token || !stateToRestore.voice.endpoint || !stateToRestore.voice.sessionId) delete stateToRestore.voice; // Don't send invalid voice state
-         if(!stateToRestore.encodedTrack) delete stateToRestore.position; // Don't send position if no track
+        const stateToRestore = this._buildRestorePayload();
 
          this._debugLog(`State to restore on new node: ${JSON.stringify({...stateToRestore, encodedTrack: '...', filters: '...', voice: '...'})}`);
 
@@ -1296,6 +1827,167 @@ class Player extends EventEmitter {
         }
     }
 
+    /**
+     * Builds the Lavalink PATCH payload that recreates this player's state (track, position, volume, pause, filters, voice) on a node.
+     * @returns {object} The player update payload.
+     * @private
+     */
+    _buildRestorePayload() {
+         const currentTrack = this.current; // Store before potential changes
+        const calculatedPosition = this.currentPosition; // Get best estimate NOW
+        const stateToRestore = {
+            encodedTrack: currentTrack?.encoded,
+            position: calculatedPosition > 0 ? calculatedPosition : 0, // Ensure non-negative
+            volume: this.volume, // Player volume
+            paused: this.paused, // Current pause state
+            filters: buildFilterPayload(this.filters), // Active filters only
+             voice: { // Need voice state too!
+                token: this.voiceToken,
+                endpoint: this.voiceEndpoint,
+                 sessionId: this.voiceSessionId
+            }
+         };
+
+        // Remove undefined/null properties only if Lavalink version requires it
+         Object.keys(stateToRestore).forEach(key => stateToRestore[key] === undefined && delete stateToRestore[key]);
+         if(Object.keys(stateToRestore.filters).length === 0) delete stateToRestore.filters; // Remove empty filters object
+         if(!stateToRestore.voice.token || !stateToRestore.voice.endpoint || !stateToRestore.voice.sessionId) delete stateToRestore.voice; // Don't send invalid voice state
+         if(!stateToRestore.encodedTrack) delete stateToRestore.position; // Don't send position if no track
+        return stateToRestore;
+    }
+
+    /**
+     * Re-sends the full local state to the current node, e.g. after the node lost its session.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _restoreOnNode() {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) return;
+        const payload = this._buildRestorePayload();
+        if (!payload.voice) {
+            this._debugLog(`Skipping state restore on node ${this.node.identifier}: voice state incomplete.`);
+            return;
+        }
+        this._debugLog(`Restoring player state on node ${this.node.identifier} after session change.`);
+        await this.node.updatePlayer(this.guildId, payload, false);
+        this._appliedVolume = this.volume;
+        this._lastPositionUpdateTimestamp = Date.now();
+    }
+
+    /**
+     * Applies the state Lavalink reports for this player (`GET /v4/sessions/{id}/players`) to the local player.
+     * Used after a session resume so the local view matches what the node kept playing.
+     * @param {object} remote The Lavalink player object.
+     * @private
+     */
+    _syncFromLavalink(remote) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) return;
+
+        if (remote.track) {
+            if (this.current?.encoded !== remote.track.encoded) {
+                this._debugLog(`Resync: node is playing a different track (${remote.track.info?.title}). Adopting it.`);
+                this.queue.current = Track.from(remote.track);
+            }
+            this.playing = true;
+            this.paused = !!remote.paused;
+            this.state = this.paused ? Constants.PLAYER_STATE.PAUSED : Constants.PLAYER_STATE.PLAYING;
+        } else if (this.playing) {
+            // The track ended while we were away; the replayed TrackEndEvent drives the queue
+            this.playing = false;
+            this.paused = false;
+        }
+
+        if (typeof remote.volume === 'number') this.volume = this._appliedVolume = remote.volume;
+        if (remote.filters) this.filters = normalizeFilters(remote.filters);
+        if (remote.voice?.token && remote.voice?.endpoint && remote.voice?.sessionId) {
+            this.voiceToken = remote.voice.token;
+            this.voiceEndpoint = remote.voice.endpoint;
+            this.voiceSessionId = remote.voice.sessionId;
+        }
+        if (remote.state) {
+            this.timestamp = remote.state.time ?? this.timestamp;
+            this.position = remote.state.position ?? this.position;
+            this._lastPositionUpdateTimestamp = Date.now();
+            this.connected = !!remote.state.connected;
+            this.ping = typeof remote.state.ping === 'number' && remote.state.ping >= 0 ? remote.state.ping : -1;
+        }
+        this._debugLog(`Resynced from node ${this.node?.identifier}. State: ${this.state}, Position: ${this.position}ms, Volume: ${this.volume}`);
+        this.manager._schedulePersist(this);
+    }
+
+    // --- Persistence ---
+
+    /**
+     * Builds a JSON-serialisable snapshot of the player's state for a storage adapter.
+     * @returns {object} The snapshot.
+     * @private
+     */
+    _toSnapshot() {
+        return JSON.parse(JSON.stringify({
+            guildId: this.guildId,
+            node: this.node?.identifier ?? null,
+            voiceChannelId: this.voiceChannelId,
+            queue: {
+                tracks: this.queue.tracks,
+                previousTracks: this.queue.previousTracks,
+                current: this.queue.current,
+                loop: this.queue.loop,
+                fair: this.queue.fair,
+            },
+            position: this.currentPosition,
+            paused: this.paused,
+            volume: this.volume,
+            filters: this.filters,
+            activePresets: this.activePresets,
+            autoplay: this.autoplay,
+            stayConnected: this.stayConnected,
+            savedAt: Date.now(),
+        }));
+    }
+
+    /**
+     * Restores state from a snapshot created by `_toSnapshot()`.
+     * Queue, history and loop mode are restored locally; volume, filters and the current track are
+     * sent to Lavalink once the voice connection is re-established.
+     * @param {object} snapshot The stored snapshot.
+     * @param {object} [options={}]
+     * @param {boolean} [options.connect=true] Whether to rejoin the stored voice channel and resume the current track.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _restoreFromSnapshot(snapshot, { connect = true } = {}) {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) throw new Error("Player is destroyed.");
+        const { queue = {} } = snapshot;
+
+        this.queue.tracks = Array.isArray(queue.tracks) ? queue.tracks.map(t => Track.from(t)) : [];
+        this.queue.previousTracks = Array.isArray(queue.previousTracks) ? queue.previousTracks.map(t => Track.from(t)) : [];
+        this.setLoop(queue.loop ?? Constants.LOOP_MODE.NONE);
+        if (typeof snapshot.autoplay === 'boolean') this.autoplay = snapshot.autoplay;
+        if (typeof snapshot.stayConnected === 'boolean') this.stayConnected = snapshot.stayConnected;
+        if (typeof queue.fair === 'boolean') this.queue.fair = queue.fair; // Stored order is already interleaved
+        const activePresets = Array.isArray(snapshot.activePresets) ? snapshot.activePresets : [];
+        this._activePresets = new Map(activePresets.map(name => [name, this.manager.getFilterPreset(name)]).filter(([, filters]) => filters));
+
+        if (!connect || !snapshot.voiceChannelId) {
+            // Keep the last track at the front of the queue so the next play() picks it up again
+            if (queue.current) this.queue.tracks.unshift(Track.from(queue.current));
+            if (typeof snapshot.volume === 'number') this.volume = snapshot.volume;
+            if (snapshot.filters) this.filters = normalizeFilters(snapshot.filters);
+            this._debugLog(`Restored queue from snapshot without connecting (${this.queue.size} tracks).`);
+            return;
+        }
+
+        await this.connect(snapshot.voiceChannelId);
+        if (typeof snapshot.volume === 'number') await this.setVolume(snapshot.volume);
+        if (snapshot.filters && Object.keys(buildFilterPayload(snapshot.filters)).length > 0) {
+            await this.setFilters(snapshot.filters);
+        }
+        if (queue.current) {
+            await this.play(queue.current, { startTime: snapshot.position ?? 0, pause: !!snapshot.paused });
+        }
+        this._debugLog(`Restored player from snapshot (${this.queue.size} queued, current: ${queue.current?.info?.title ?? 'none'}).`);
+    }
+
     // --- Internal Event Handlers ---
 
     /** Handles PLAYER_UPDATE event from Lavalink. @private */
@@ -1343,9 +2035,12 @@ class Player extends EventEmitter {
          this.ping = typeof state.ping === 'number' && state.ping >= 0 ? state.ping : -1;
 
 
+        this._scheduleCrossfade();
+
         // Emit general state update event
         this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_STATE_UPDATE, this, state);
         this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_STATE_UPDATE, this, state);
+        this.manager._schedulePersist(this);
     }
 
     /** Handles VOICE_STATE_UPDATE from Discord Gateway. @private */
@@ -1365,7 +2060,9 @@ class Player extends EventEmitter {
          // --- Handle Disconnection/Channel NULL ---
         if (this.voiceChannelId === null) {
             // Bot was disconnected from voice (kicked, moved, left)
-             if (oldState !== 'DISCONNECTING' && this.state !== Constants.PLAYER_STATE.DESTROYED) {
+             this._listenerIds.clear();
+             this._channelEmpty = null;
+             if (this.state !== 'DISCONNECTING' && this.state !== Constants.PLAYER_STATE.DESTROYED) {
                  this._debugLog(`Voice state update indicates disconnection (channel_id is null). Cleaning up player.`);
                  // If we were trying to connect, fail the connection attempt
                  if (this.state === 'CONNECTING' || this.state === 'WAITING_FOR_SERVER') {
@@ -1378,6 +2075,8 @@ class Player extends EventEmitter {
         }
 
 
+         this._refreshListeners(); // Joined or moved: the listeners are whoever is in the new channel
+
          // --- Handle Connecting State ---
         if (this.state === 'CONNECTING') {
              if (this.voiceChannelId && this.voiceSessionId) { // Check if we got the session ID we needed
@@ -1425,14 +2124,55 @@ class Player extends EventEmitter {
     }
 
 
+    /**
+     * Compares the current listeners with the last known ones and emits join/leave and
+     * empty/occupied transitions. Called on member voice updates and when the bot changes channel.
+     * @private
+     */
+    _refreshListeners() {
+        if (this.state === Constants.PLAYER_STATE.DESTROYED) return;
+        const listeners = this.listeners;
+        const wasEmpty = this._listenerIds.size === 0;
+
+        for (const userId of this._listenerIds) {
+            if (listeners.has(userId)) continue;
+            this._listenerIds.delete(userId);
+            this.emit(Constants.CLIENT_EVENT_TYPES.LISTENER_LEAVE, this, userId);
+            this.manager.emit(Constants.CLIENT_EVENT_TYPES.LISTENER_LEAVE, this, userId);
+        }
+        for (const [userId, state] of listeners) {
+            if (this._listenerIds.has(userId)) continue;
+            this._listenerIds.add(userId);
+            this.emit(Constants.CLIENT_EVENT_TYPES.LISTENER_JOIN, this, userId, state);
+            this.manager.emit(Constants.CLIENT_EVENT_TYPES.LISTENER_JOIN, this, userId, state);
+        }
+
+        this._recheckSkipVotes();
+        const isEmpty = this._listenerIds.size === 0;
+        this._handleChannelActivity(isEmpty);
+        if (isEmpty && !wasEmpty) {
+            this._debugLog(`Voice channel ${this.voiceChannelId} is now empty.`);
+            this.emit(Constants.CLIENT_EVENT_TYPES.CHANNEL_EMPTY, this);
+            this.manager.emit(Constants.CLIENT_EVENT_TYPES.CHANNEL_EMPTY, this);
+        } else if (!isEmpty && wasEmpty) {
+            this._debugLog(`Voice channel ${this.voiceChannelId} is now occupied (${this._listenerIds.size} listeners).`);
+            this.emit(Constants.CLIENT_EVENT_TYPES.CHANNEL_OCCUPIED, this);
+            this.manager.emit(Constants.CLIENT_EVENT_TYPES.CHANNEL_OCCUPIED, this);
+        }
+    }
+
     /** Handles VOICE_SERVER_UPDATE from Discord Gateway. @private */
      async _handleVoiceServerUpdate(data) {
-        // Ignore if destroyed, or not waiting for this, or not for this guild
+        if (data.guild_id !== this.guildId) return; // Not for us
+        // Voice server changed while already connected (region change, Discord failover)
+        if (VOICE_ACTIVE_STATES.includes(this.state)) {
+            return this._handleVoiceServerChange(data);
+        }
+        // Ignore if destroyed, or not waiting for this
         if (this.state !== 'WAITING_FOR_SERVER') {
              this._debugLog(`Ignoring Voice Server Update (State is ${this.state}, not WAITING_FOR_SERVER).`);
              return;
         }
-        if (data.guild_id !== this.guildId) return; // Not for us
 
 
         // --- Validate Data ---
@@ -1449,8 +2189,7 @@ class Player extends EventEmitter {
 
         // Store validated data
         this.voiceToken = data.token;
-        // Standardize endpoint: Remove port, remove protocol prefix
-        this.voiceEndpoint = data.endpoint?.replace(/(:\d+)?$/, '')?.replace(/^wss?:\/\//, '') ?? null; // Robust parsing
+        this.voiceEndpoint = cleanVoiceEndpoint(data.endpoint);
 
          if (!this.voiceEndpoint) { // Check if endpoint parsing somehow failed
             const errorMsg = `Failed to parse voice server endpoint: ${data.endpoint}. Failing connection.`;
@@ -1464,6 +2203,9 @@ class Player extends EventEmitter {
 
         this._debugLog(`Received Voice Server Update. Endpoint: ${this.voiceEndpoint}, Token: [hidden]. Sending voice update to Lavalink.`);
 
+        // Prefer a node serving this voice region (no-op unless nodes are tagged with `regions`)
+        await this.manager._routeByRegion(this).catch(e => this._emitWarn(`Region routing failed, keeping node ${this.node?.identifier}: ${e.message}`));
+
 
          // --- Send Update to Lavalink ---
         try {
@@ -1490,6 +2232,39 @@ class Player extends EventEmitter {
     }
 
 
+    /** Handles a VOICE_SERVER_UPDATE received while the voice connection is already established. @private */
+    async _handleVoiceServerChange(data) {
+        if (!data.token || !data.endpoint) {
+            // Discord sends a null endpoint while it allocates a new voice server; the real one follows
+            this._debugLog(`Voice server is being reallocated (endpoint missing). Waiting for the next update.`);
+            return;
+        }
+
+        const oldEndpoint = this.voiceEndpoint;
+        this.voiceToken = data.token;
+        this.voiceEndpoint = cleanVoiceEndpoint(data.endpoint);
+        this._debugLog(`Voice server changed from ${oldEndpoint} to ${this.voiceEndpoint}.`);
+
+        const nodeBefore = this.node;
+        await this.manager._routeByRegion(this).catch(e => this._emitWarn(`Region migration failed: ${e.message}`));
+        if (this.state === Constants.PLAYER_STATE.DESTROYED || this.node !== nodeBefore) return; // moveToNode already sent the voice state
+
+        await this._sendVoiceUpdate()
+            .catch(err => this._debugLog(`Failed to forward voice server change to Lavalink: ${err.message}`));
+    }
+
+    /**
+     * Re-binds the player to another node without transferring state. Only safe while the node holds no state for this player yet.
+     * @param {Node} node The node to use from now on.
+     * @private
+     */
+    _assignNode(node) {
+        this.node?._removePlayer(this);
+        this.node = node;
+        this.node._addPlayer(this);
+        this.manager._schedulePersist(this);
+    }
+
     /** Sends the current voice state (token, endpoint, session) to the assigned Lavalink node. @private */
     _sendVoiceUpdate() {
         // Pre-checks
@@ -1547,9 +2322,15 @@ class Player extends EventEmitter {
                  // Verify track info matches if needed
                  // const startedTrack = TrackUtils.build(payload.track); // Assuming build decodes and adds structure
                 const startedTrack = this.queue.current; // Should already be set by play() or poll()
+                this._resetSkipVotes(); // Votes only ever apply to the track that is playing
+                this._clearTimer('_emptyQueueTimer'); // Activity resumed
+                const fadeIn = this._pendingFadeIn || this.options.fadeInDuration;
+                this._pendingFadeIn = 0;
+                if (fadeIn > 0) this._fadeInForTransition(fadeIn);
 
                  this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_START, this, startedTrack);
                  this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_START, this, startedTrack);
+                 this.manager._schedulePersist(this);
                  this._debugLog(`Event: TrackStart (${startedTrack?.info?.title ?? 'Unknown Track'})`);
                 break;
 
@@ -1557,7 +2338,11 @@ class Player extends EventEmitter {
             case Constants.LAVA_EVENT_TYPES.TRACK_END:
                  // Get reason before potential async operations change state
                  const reason = payload.reason ?? 'UNKNOWN';
-                this._debugLog(`Event: TrackEnd (${previousTrack?.info?.title ?? 'Unknown Track'}, Reason: ${reason})`);
+                 // On 'replaced', play() has already swapped `current` to the new track (and recorded the old one in history)
+                 const endedTrack = reason === 'replaced' && previousTrack?.encoded !== payload.track?.encoded
+                     ? await this.queue.buildTrackFromEncoded(payload.track)
+                     : previousTrack;
+                this._debugLog(`Event: TrackEnd (${endedTrack?.info?.title ?? 'Unknown Track'}, Reason: ${reason})`);
 
                  // Store previous track in history *before* clearing current/polling next
                  if (previousTrack && reason !== 'replaced') { // Don't store if just replaced instantly
@@ -1577,22 +2362,20 @@ class Player extends EventEmitter {
                     if (this.state !== Constants.PLAYER_STATE.DESTROYED && this.state !== 'DISCONNECTING') {
                          this.state = Constants.PLAYER_STATE.STOPPED;
                      }
-                 } else {
-                     // If 'replaced', current track should be updated by the new TRACK_START soon.
-                     // Keep state as PLAYING (or PAUSED if new track starts paused). Position handled by TRACK_START.
-                    this.queue.current = null; // Clear current reference, new one set by play/poll/start
-                }
+                 }
+                 // If 'replaced', `current` already points at the new track set by play(); the new TRACK_START follows.
 
 
-                this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_END, this, previousTrack, payload);
-                this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_END, this, previousTrack, payload);
+                this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_END, this, endedTrack, payload);
+                this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_END, this, endedTrack, payload);
+                this.manager._schedulePersist(this);
 
 
                 // --- Trigger Queue Handling ---
                  // Avoid processing queue if player was destroyed *during* the event emission/handling
                 if (this.state !== Constants.PLAYER_STATE.DESTROYED) {
                      try {
-                        await this._handleTrackEnd(payload, previousTrack); // Pass previous track for context if needed
+                        await this._handleTrackEnd(payload, endedTrack); // Pass previous track for context if needed
                      } catch (e) {
                         this._emitError(e, "Error during post-TrackEnd queue handling");
                     }
@@ -1603,11 +2386,11 @@ class Player extends EventEmitter {
             // --- Playback Problem Events ---
              case Constants.LAVA_EVENT_TYPES.TRACK_EXCEPTION:
                  const exception = payload.exception ?? { message: 'Unknown exception', severity: 'UNKNOWN' };
-                 const exceptionTrack = previousTrack ?? this.queue.buildTrackFromEncoded(payload.encodedTrack); // Try to identify track
+                 const exceptionTrack = previousTrack ?? await this.queue.buildTrackFromEncoded(payload.track ?? payload.encodedTrack); // Try to identify track
                 this._debugLog(`Event: TrackException (${exceptionTrack?.info?.title ?? 'Unknown Track'}, Severity: ${exception.severity}, Message: ${exception.message})`);
 
                 // Emit before potential state changes
-                this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, exceptionTrack, payload);
+                this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, exceptionTrack, exception);
                 this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, exceptionTrack, exception);
 
 
@@ -1644,11 +2427,11 @@ class Player extends EventEmitter {
                 break;
 
             case Constants.LAVA_EVENT_TYPES.TRACK_STUCK:
-                 const stuckTrack = previousTrack ?? this.queue.buildTrackFromEncoded(payload.encodedTrack);
+                 const stuckTrack = previousTrack ?? await this.queue.buildTrackFromEncoded(payload.track ?? payload.encodedTrack);
                 this._debugLog(`Event: TrackStuck (${stuckTrack?.info?.title ?? 'Unknown Track'}, Threshold: ${payload.thresholdMs}ms)`);
 
-                this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_STUCK, this, stuckTrack, payload);
-                 this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_STUCK, this, stuckTrack, payload.thresholdMs);
+                this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_STUCK, this, stuckTrack, payload.thresholdMs);
+                this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_STUCK, this, stuckTrack, payload.thresholdMs);
 
                  // Similar state reset to Exception/End
                  this.playing = false;
@@ -1703,7 +2486,8 @@ class Player extends EventEmitter {
              // --- Unknown Event ---
              default:
                  this._emitWarn(`Received unknown player event type: ${payload.type}`);
-                 this.manager.emit(Constants.CLIENT_EVENT_TYPES.RAW, this.node, `player:${this.guildId}`, payload); // Emit raw event for debugging
+                 this.emit(Constants.CLIENT_EVENT_TYPES.RAW, this.node, `player:${this.guildId}`, payload); // Emit raw event for debugging
+                 this.manager.emit(Constants.CLIENT_EVENT_TYPES.RAW, this.node, `player:${this.guildId}`, payload);
          }
     }
 
@@ -1746,8 +2530,7 @@ class Player extends EventEmitter {
             // Check if the queue is *now* totally empty (no current, no upcoming) and emit QUEUE_END if so.
              if (!this.current && this.queue.isEmpty) {
                  this._debugLog(`_handleTrackEnd: Track ended via ${reason} and queue is now empty. Emitting QUEUE_END.`);
-                 this.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
-                 this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
+                 this._emitQueueEnd();
              } else {
                 this._debugLog(`_handleTrackEnd: Track ended via ${reason}. Queue progression stopped.`);
             }
@@ -1757,13 +2540,16 @@ class Player extends EventEmitter {
         // --- 3. Handle Loop Mode: QUEUE ---
         // If QUEUE loop active, poll should handle adding previous track back to end.
          if (this.loop === Constants.LOOP_MODE.QUEUE) {
-             // queue.poll() should internally handle moving `current` (or `previousTrack`) to the end
-             // if loop mode is QUEUE, then returns the *new* first track.
-            const nextTrack = this.queue.poll(); // IMPORTANT: Assumes queue.poll() handles QUEUE loop logic
+             // `current` was already cleared by the TRACK_END handler, so re-queue the finished track here
+             // before polling the *new* first track.
+             // Appended like poll() does: a finished track is not placed by fair mode again.
+             if (previousTrack && reason === 'finished') this.queue.tracks.push(previousTrack);
+            const nextTrack = this.queue.peek();
              if (nextTrack) {
                  this._debugLog(`_handleTrackEnd: Playing next track due to QUEUE loop: ${nextTrack?.info?.title}`);
                  if (this.isConnected) {
-                     await this.play(nextTrack) // Play the polled track (which might be the one just ended if queue was size 1)
+                     // play() polls itself so unresolvable tracks are skipped (might be the one just ended if queue was size 1)
+                     await this.play()
                         .catch(e => this._emitError(e, `Error playing next looped (QUEUE) track`));
                  } else {
                      this._emitWarn(`_handleTrackEnd: Cannot play next track (QUEUE loop), player disconnected.`);
@@ -1779,17 +2565,20 @@ class Player extends EventEmitter {
 
         // --- 4. Default Behavior: Play Next (No Loop or Queue Loop returned empty) ---
          // This handles: finished, loadFailed, cleanup (if not returned above), stuck, exception
-         const nextTrack = this.queue.poll(); // Poll next track (without loop considerations)
+         const nextTrack = this.queue.peek(); // play() polls it, so unresolvable tracks are skipped and history stays right
         if (nextTrack) {
             this._debugLog(`_handleTrackEnd: Playing next track from queue (default progression): ${nextTrack?.info?.title}`);
             if (this.isConnected) {
-                 await this.play(nextTrack)
+                 await this.play()
                     .catch(e => this._emitError(e, `Error playing next track from queue`));
             } else {
                 this._emitWarn(`_handleTrackEnd: Cannot play next track (default), player disconnected.`);
              }
         } else {
             // --- 5. Queue Truly Empty ---
+             if (this.autoplay && this.isConnected && await this._playAutoplay(previousTrack ?? this.queue.history[0])) {
+                 return;
+             }
              this._debugLog(`_handleTrackEnd: Queue finished. No more tracks.`);
             // Ensure state is stopped (should be already from TRACK_END/Exception handler)
             if (this.state !== Constants.PLAYER_STATE.DESTROYED) {
@@ -1797,11 +2586,10 @@ class Player extends EventEmitter {
             }
              this.playing = false;
              this.paused = false;
-             this.current = null; // Make sure current is null
+             this.queue.current = null; // Make sure current is null
 
             // Emit QUEUE_END event
-            this.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
-             this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
+            this._emitQueueEnd();
 
             // Explicitly tell Lavalink to stop *just in case* it wasn't fully stopped by the event that triggered this.
              if (this.isConnected && this.node && this.node.connected && this.node.sessionId) {
@@ -1812,6 +2600,246 @@ class Player extends EventEmitter {
     }
 
 
+    /**
+     * Picks a related track for the seed (skipping recently played ones) and plays it.
+     * @param {Track} seedTrack The track recommendations are based on.
+     * @returns {Promise<boolean>} Whether an autoplay track was started.
+     * @private
+     */
+    async _playAutoplay(seedTrack) {
+        if (!seedTrack) return false;
+        try {
+            const candidates = this.autoplayRecommender
+                ? await this.autoplayRecommender(seedTrack, this)
+                : await this._recommendFromYouTubeMix(seedTrack);
+
+            const recent = new Set([seedTrack, ...this.queue.history].map(t => t?.info?.identifier).filter(Boolean));
+            const next = (candidates ?? []).map(t => Track.from(t)).find(t => t.encoded && !recent.has(t.info.identifier));
+            if (!next) {
+                this._debugLog(`Autoplay: no new related track found for "${seedTrack.info?.title}".`);
+                return false;
+            }
+
+            next.userData = { ...next.userData, autoplay: true };
+            this._debugLog(`Autoplay: playing "${next.info.title}" (seed: "${seedTrack.info?.title}").`);
+            this.emit(Constants.CLIENT_EVENT_TYPES.AUTOPLAY, this, next, seedTrack);
+            this.manager.emit(Constants.CLIENT_EVENT_TYPES.AUTOPLAY, this, next, seedTrack);
+            await this.play(next);
+            return true;
+        } catch (e) {
+            this._emitWarn(`Autoplay failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Default autoplay recommender: the YouTube mix (`RD<videoId>`) of the seed. Non-YouTube seeds are
+     * matched to a YouTube video first.
+     * @private
+     */
+    async _recommendFromYouTubeMix(seedTrack) {
+        let videoId = seedTrack.info?.sourceName === 'youtube' ? seedTrack.info.identifier : null;
+        if (!videoId) {
+            const query = seedTrack.info?.author ? `${seedTrack.info.author} - ${seedTrack.info.title}` : seedTrack.info?.title;
+            if (!query) return [];
+            const { tracks } = await this.manager.search(query, { source: Constants.SEARCH_PLATFORM.YOUTUBE, player: this, limit: 1 });
+            videoId = tracks[0]?.info?.identifier;
+            if (!videoId) return [];
+        }
+        const { tracks } = await this.manager.search(`https://www.youtube.com/watch?v=${videoId}&list=RD${videoId}`, { player: this });
+        return tracks;
+    }
+
+
+    // --- Volume Fades ---
+
+    /**
+     * Steps the applied volume (or filter volume) from `from` to `to` without touching `this.volume`.
+     * @returns {Promise<boolean>} Whether the fade ran to completion.
+     * @private
+     */
+    async _fade(from, to, duration, { filter = false } = {}) {
+        const token = {};
+        this._fadeToken = token;
+        const steps = Math.max(1, Math.round(duration / FADE_STEP_MS));
+        for (let i = 1; i <= steps; i++) {
+            await new Promise(resolve => setTimeout(resolve, duration / steps));
+            if (this._fadeToken !== token || this.state === Constants.PLAYER_STATE.DESTROYED || !this.node?.sessionId) return false;
+            const value = from + (to - from) * (i / steps);
+            if (filter) {
+                await this.node.updatePlayer(this.guildId, { filters: { ...buildFilterPayload(this.filters), volume: Math.round(value * 100) / 100 } });
+            } else {
+                await this.node.updatePlayer(this.guildId, { volume: Math.round(value) });
+                this._appliedVolume = Math.round(value);
+            }
+        }
+        if (this._fadeToken === token) this._fadeToken = null;
+        return true;
+    }
+
+    /** @private */
+    _cancelFade() {
+        this._fadeToken = null;
+    }
+
+    /** Fades out to silence before a skip, stop or pause if `fadeOutDuration` is set. @private */
+    async _fadeOutForTransition() {
+        const duration = this.options.fadeOutDuration;
+        if (!(duration > 0) || !this.isPlaying || this._appliedVolume === 0) return;
+        this._debugLog(`Fading out over ${duration}ms.`);
+        await this._fade(this._appliedVolume, 0, duration).catch(e => this._emitWarn(`Fade out failed: ${e.message}`));
+    }
+
+    /** Fades from the applied volume up to `this.volume` (not awaited by callers). @private */
+    _fadeInForTransition(duration = this.options.fadeInDuration) {
+        if (this._appliedVolume === this.volume) return;
+        this._fade(this._appliedVolume, this.volume, duration)
+            .catch(e => this._emitWarn(`Fade in failed: ${e.message}`));
+    }
+
+
+    /**
+     * (Re)arms the crossfade timer from the latest known position. Called on every player update.
+     * @private
+     */
+    _scheduleCrossfade() {
+        this._clearTimer('_crossfadeTimer');
+        const half = this.options.crossfadeDuration / 2;
+        if (!this._canCrossfade()) return;
+        const remaining = this.current.info.length - this.currentPosition;
+        this._crossfadeTimer = setTimeout(() => {
+            this._crossfadeTimer = null;
+            this._crossfade().catch(e => this._emitError(e, "Crossfade failed"));
+        }, Math.max(0, remaining - half));
+        this._crossfadeTimer.unref?.();
+    }
+
+    /** Whether the current situation allows a crossfade into the next queued track. @private */
+    _canCrossfade() {
+        const window = this.options.crossfadeDuration;
+        const track = this.current;
+        if (!(window > 0) || !track || !this.isPlaying || this._crossfading || this._pendingFadeIn > 0) return false;
+        if (track.info.isStream || !track.info.length || track.info.length < window * CROSSFADE_MIN_TRACK_WINDOWS) return false;
+        if (this.loop === Constants.LOOP_MODE.TRACK || !this.queue.peek()) return false;
+        const next = this.queue.peek();
+        return !(next.info?.isStream || (next.info?.length && next.info.length < window * CROSSFADE_MIN_TRACK_WINDOWS));
+    }
+
+    /**
+     * Fades the ending track out and starts the next one, which fades in on TRACK_START.
+     * @private
+     */
+    async _crossfade() {
+        const half = this.options.crossfadeDuration / 2;
+        const track = this.current;
+        // Re-check: the player may have been paused, seeked or skipped since the timer was armed
+        if (!this._canCrossfade()) return;
+        if (track.info.length - this.currentPosition > half + FADE_STEP_MS * 2) return this._scheduleCrossfade();
+
+        this._debugLog(`Crossfading out of "${track.info.title}" over ${this.options.crossfadeDuration}ms.`);
+        this._crossfading = true;
+        try {
+            const completed = await this._fade(this._appliedVolume, 0, half);
+            if (!completed || this.current !== track) return; // Cancelled by a volume change or the track changed meanwhile
+            this._pendingFadeIn = half;
+            await this.skip();
+        } catch (e) {
+            this._pendingFadeIn = 0;
+            throw e;
+        } finally {
+            this._crossfading = false;
+        }
+    }
+
+
+    // --- Auto Leave ---
+
+    /** Emits QUEUE_END and arms the empty-queue leave timer. @private */
+    _emitQueueEnd() {
+        this.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.QUEUE_END, this);
+        this._scheduleEmptyQueueLeave();
+    }
+
+    /** @private */
+    _scheduleEmptyQueueLeave() {
+        const delay = this.options.leaveOnEmptyQueue;
+        if (this.stayConnected || typeof delay !== 'number' || this._emptyQueueTimer) return;
+        this._debugLog(`Queue ended. Leaving in ${delay}ms unless playback resumes.`);
+        this._emptyQueueTimer = setTimeout(() => {
+            this._emptyQueueTimer = null;
+            if (!this.current && this.queue.size === 0) this._autoLeave('emptyQueue');
+        }, delay);
+        this._emptyQueueTimer.unref?.();
+    }
+
+    /**
+     * Reacts to the channel becoming empty or occupied: pauses/resumes and arms/cancels the leave timer.
+     * Only acts when the state changed, so a user resuming playback in an empty channel is not paused again
+     * by the next unrelated voice update.
+     * @param {boolean} isEmpty Whether no listeners are left.
+     * @param {boolean} [force=false] Act even if the state did not change (used when 24/7 mode is turned off).
+     * @private
+     */
+    _handleChannelActivity(isEmpty, force = false) {
+        if (!this.voiceChannelId || this.state === Constants.PLAYER_STATE.DESTROYED) return;
+        if (isEmpty === this._channelEmpty && !force) return;
+        this._channelEmpty = isEmpty;
+        if (this.stayConnected) return;
+
+        if (!isEmpty) {
+            if (this._emptyChannelTimer) this._debugLog(`Listener joined, cancelling empty channel leave.`);
+            this._clearTimer('_emptyChannelTimer');
+            if (this._pausedForEmptyChannel) {
+                this._pausedForEmptyChannel = false;
+                if (this.isPaused) this.pause(false).catch(e => this._emitWarn(`Failed to resume after listener joined: ${e.message}`));
+            }
+            return;
+        }
+
+        if (this.options.pauseOnEmptyChannel && this.isPlaying) {
+            this._pausedForEmptyChannel = true;
+            this.pause(true).catch(e => this._emitWarn(`Failed to pause on empty channel: ${e.message}`));
+        }
+        const delay = this.options.leaveOnEmptyChannel;
+        if (typeof delay === 'number' && !this._emptyChannelTimer) {
+            this._debugLog(`Voice channel empty. Leaving in ${delay}ms unless someone joins.`);
+            this._emptyChannelTimer = setTimeout(() => {
+                this._emptyChannelTimer = null;
+                if (this._listenerIds.size === 0) this._autoLeave('emptyChannel');
+            }, delay);
+            this._emptyChannelTimer.unref?.();
+        }
+    }
+
+    /**
+     * Emits PLAYER_AUTO_LEAVE and destroys the player.
+     * @param {'emptyQueue' | 'emptyChannel'} reason Why the player leaves.
+     * @private
+     */
+    async _autoLeave(reason) {
+        if (this.stayConnected || this.state === Constants.PLAYER_STATE.DESTROYED) return;
+        this._debugLog(`Leaving voice automatically (${reason}).`);
+        this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_AUTO_LEAVE, this, reason);
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_AUTO_LEAVE, this, reason);
+        await this.destroy().catch(e => this._emitError(e, `Failed to leave after ${reason}`));
+    }
+
+    /** @private */
+    _clearTimer(name) {
+        if (this[name]) clearTimeout(this[name]);
+        this[name] = null;
+    }
+
+    /** @private */
+    _clearAutoLeaveTimers() {
+        this._clearTimer('_crossfadeTimer');
+        this._clearTimer('_emptyQueueTimer');
+        this._clearTimer('_emptyChannelTimer');
+        this._pausedForEmptyChannel = false;
+    }
+
+
     // --- Utility / Logging ---
 
     /** Log debugging messages via the manager. @private */
@@ -1819,32 +2847,32 @@ class Player extends EventEmitter {
         this.manager.emit(Constants.CLIENT_EVENT_TYPES.DEBUG, `[Player:${this.guildId}] ${message}`);
     }
 
-     /** Log warning messages. @private */
+     /** Log warning messages (manager level, like debug). @private */
      _emitWarn(message) {
          this.manager.emit(Constants.CLIENT_EVENT_TYPES.WARN, `[Player:${this.guildId}] ${message}`);
-         // Optionally emit on the player itself too
-         // this.emit('warn', message);
      }
 
     /** Log and emit error messages. @private */
     _emitError(error, context = "") {
-        const errorMessage = context ? `${context}: ${error.message}` : error.message;
-        this.manager.emit(Constants.CLIENT_EVENT_TYPES.ERROR, error, `[Player:${this.guildId}] ${errorMessage}`);
-         // Optionally emit on the player itself too
-         this.emit('error', error, context); // Player specific error event
+        this.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_ERROR, this, error, context);
+        this.manager.emit(Constants.CLIENT_EVENT_TYPES.PLAYER_ERROR, this, error, context);
+         // Player specific error event; EventEmitter throws 'error' events nobody listens to
+         if (this.listenerCount('error') > 0) this.emit('error', error, context);
      }
 
      /** Log and emit node-specific errors. @private */
      _emitNodeError(node, error, context = "") {
          this.manager.emit(Constants.CLIENT_EVENT_TYPES.NODE_ERROR, node ?? this.node, error, `[Player:${this.guildId}] ${context}`);
-         this.emit('error', error, `NodeError: ${context}`); // Emit on player too
+         if (this.listenerCount('error') > 0) this.emit('error', error, `NodeError: ${context}`); // Emit on player too
      }
 
     /** Emit track exception events. @private */
      _emitTrackException(track, error, context = "") {
         this._emitError(error, context); // Emit generic error too
-         this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, track, error);
-         this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, track, error); // Pass full error object maybe? Adjust constants signature
+        // Same shape as a Lavalink exception so trackException listeners only handle one type; the Error itself went out with playerError
+        const exception = { message: error?.message ?? String(error), severity: 'common', cause: context || error?.name || 'Error' };
+         this.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, track, exception);
+         this.manager.emit(Constants.CLIENT_EVENT_TYPES.TRACK_EXCEPTION, this, track, exception);
     }
 }
 
@@ -1,25 +1,36 @@
 const Constants = require('./Constants');
+const TrackCodec = require('./TrackCodec');
+const Track = require('./Track');
+
+const MAX_HISTORY_SIZE = 20;
 
 class Queue {
-    constructor() {
+    /**
+     * @param {object} [options={}] Queue options.
+     * @param {Function} [options.decoder=TrackCodec.decodeTrack] Resolves an encoded track string to a track object. `(encoded) => Promise<Track> | Track`
+     * @param {number} [options.maxHistory=20] Maximum amount of tracks kept in the history.
+     * @param {boolean} [options.fair=false] Interleave upcoming tracks round-robin by requester (see `setFair`).
+     * @param {object} [options.limits={}] Limits enforced by `validate` (see `setLimits`).
+     */
+    constructor(options = {}) {
         this.tracks = [];
         this.previousTracks = [];
         this._current = null;
         this.loop = Constants.LOOP_MODE.NONE;
+        this.decoder = typeof options.decoder === 'function' ? options.decoder : TrackCodec.decodeTrack;
+        this.maxHistory = options.maxHistory ?? MAX_HISTORY_SIZE;
+        this.fair = !!options.fair;
+        this.limits = {};
+        this.setLimits(options.limits);
     }
 
     get current() {
         return this._current;
     }
 
+    // History is pushed explicitly through addToHistory() so replacing the current track does not record it twice.
     set current(track) {
-        if (this._current) {
-            this.previousTracks.unshift(this._current);
-            if (this.previousTracks.length > 20) { // Limit history size
-                 this.previousTracks.pop();
-            }
-        }
-        this._current = track;
+        this._current = track ?? null;
     }
 
     get upcoming() {
@@ -39,7 +50,7 @@ class Queue {
     }
 
      get duration() {
-         const currentDuration = this.current?.info.length || 0;
+         const currentDuration = this.current?.info?.length || 0;
          const upcomingDuration = this.tracks.reduce((acc, cur) => acc + (cur.info?.length || 0), 0);
          return currentDuration + upcomingDuration;
     }
@@ -48,20 +59,44 @@ class Queue {
          return this.tracks.length === 0 && !this.current;
     }
 
+    /** Returns a shallow copy of the upcoming tracks. */
+    entries() {
+        return [...this.tracks];
+    }
+
+    /** Returns the next upcoming track without removing it. */
+    peek() {
+        return this.tracks[0] ?? null;
+    }
+
+    /**
+     * Adds track(s) to the upcoming tracks. Plain Lavalink objects and encoded strings are converted to `Track`s.
+     * In fair mode tracks added without a `position` go to their requester's next turn (see `setFair`);
+     * tracks already queued are never moved, so manual re-ordering is kept.
+     * Does not check the limits: run the tracks through `validate` first (`Player#add` does).
+     * @param {Track | object | string | Array<Track | object | string>} track The track(s) to add.
+     * @param {number} [position] Index to insert at, also in fair mode; appended (or fairly placed) when omitted or out of range.
+     * @throws {Error} If a track is invalid.
+     */
     add(track, position) {
-        if (Array.isArray(track)) {
-             if (typeof position === 'number' && position >= 0 && position <= this.tracks.length) {
-                this.tracks.splice(position, 0, ...track);
-             } else {
-                 this.tracks.push(...track);
-             }
-        } else {
-             if (typeof position === 'number' && position >= 0 && position <= this.tracks.length) {
-                this.tracks.splice(position, 0, track);
-             } else {
-                this.tracks.push(track);
-             }
-        }
+        const tracks = (Array.isArray(track) ? track : [track]).map(t => Track.from(t));
+        const inRange = typeof position === 'number' && position >= 0 && position <= this.tracks.length;
+        if (inRange) this.tracks.splice(position, 0, ...tracks);
+        else if (this.fair) tracks.forEach(t => this.tracks.splice(this._fairIndex(t), 0, t));
+        else this.tracks.push(...tracks);
+    }
+
+    /**
+     * Inserts one or more tracks at an exact position in the upcoming tracks.
+     * Does not check the limits, like `add`.
+     * @param {number} index Position to insert at (0 = next to play).
+     * @param {Track | Array<Track>} track The track(s) to insert.
+     * @throws {RangeError} If the index is outside of `[0, size]`.
+     */
+    insertAt(index, track) {
+        this._assertIndex(index, this.tracks.length);
+        const tracks = Array.isArray(track) ? track : [track];
+        this.tracks.splice(index, 0, ...tracks.map(t => Track.from(t)));
     }
 
     poll() {
@@ -70,22 +105,17 @@ class Queue {
         }
          if (this.loop === Constants.LOOP_MODE.QUEUE) {
             if (this.current) this.tracks.push(this.current); // Re-add current to end
-            const next = this.tracks.shift();
-            this.current = next; // Will handle previous track adding in setter
-            return next;
          }
 
-         const next = this.tracks.shift();
-         this.current = next; // Will handle previous track adding in setter
+         const next = this.tracks.shift() ?? null;
+         this.current = next;
          return next;
     }
 
     remove(indexOrTrack) {
         let removedTrack = null;
         if (typeof indexOrTrack === 'number') {
-             if (indexOrTrack >= 0 && indexOrTrack < this.tracks.length) {
-                removedTrack = this.tracks.splice(indexOrTrack, 1)[0];
-             }
+             removedTrack = this.removeAt(indexOrTrack);
         } else if (typeof indexOrTrack === 'object' && indexOrTrack?.encoded) {
             const index = this.tracks.findIndex(t => t.encoded === indexOrTrack.encoded);
             if (index !== -1) {
@@ -95,12 +125,115 @@ class Queue {
          return removedTrack;
     }
 
+    /**
+     * Removes the upcoming track at the given index.
+     * @param {number} index 0-based index in the upcoming tracks.
+     * @returns {Track | null} The removed track, or null if the index was out of range.
+     */
+    removeAt(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.tracks.length) return null;
+        return this.tracks.splice(index, 1)[0];
+    }
+
+    /**
+     * Removes upcoming tracks in the range `[start, end)`.
+     * @param {number} start First index to remove (inclusive).
+     * @param {number} end Index to stop at (exclusive). Clamped to the queue size.
+     * @returns {Array<Track>} The removed tracks.
+     * @throws {RangeError} If the range is invalid.
+     */
+    removeRange(start, end) {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+            throw new RangeError(`Invalid range [${start}, ${end}).`);
+        }
+        return this.tracks.splice(start, Math.min(end, this.tracks.length) - start);
+    }
+
+    /**
+     * Moves an upcoming track from one position to another.
+     * @param {number} from Current index of the track.
+     * @param {number} to Target index of the track.
+     * @returns {Track} The moved track.
+     * @throws {RangeError} If either index is out of range.
+     */
+    move(from, to) {
+        this._assertIndex(from, this.tracks.length - 1);
+        this._assertIndex(to, this.tracks.length - 1);
+        const [track] = this.tracks.splice(from, 1);
+        this.tracks.splice(to, 0, track);
+        return track;
+    }
+
+    /**
+     * Swaps two upcoming tracks.
+     * @param {number} first Index of the first track.
+     * @param {number} second Index of the second track.
+     * @throws {RangeError} If either index is out of range.
+     */
+    swap(first, second) {
+        this._assertIndex(first, this.tracks.length - 1);
+        this._assertIndex(second, this.tracks.length - 1);
+        [this.tracks[first], this.tracks[second]] = [this.tracks[second], this.tracks[first]];
+    }
+
+    /**
+     * Pushes a track to the front of the history (most recent first).
+     * @param {Track} track The track that finished playing.
+     */
+    addToHistory(track) {
+        if (!track) return;
+        this.previousTracks.unshift(track);
+        if (this.previousTracks.length > this.maxHistory) { // Limit history size
+             this.previousTracks.length = this.maxHistory;
+        }
+    }
+
+    /**
+     * Rewinds the queue by one track: the most recent history entry becomes current
+     * and the track that was current goes back to the front of the upcoming tracks.
+     * @returns {Track | null} The new current track, or null if the history is empty.
+     */
+    previous() {
+        const track = this.previousTracks.shift();
+        if (!track) return null;
+        if (this.current) this.tracks.unshift(this.current);
+        this.current = track;
+        return track;
+    }
+
+    /**
+     * Turns an encoded track string into a track object using the configured decoder (local decoding by default).
+     * Track objects that already carry `info` are converted without decoding.
+     * @param {string | { encoded: string, info?: object }} encoded The encoded track or partial track object.
+     * @returns {Promise<Track | null>} The decoded track, or null if it could not be decoded.
+     */
+    async buildTrackFromEncoded(encoded) {
+        if (!encoded) return null;
+        if (typeof encoded === 'object') {
+            if (encoded.info) return Track.from(encoded);
+            encoded = encoded.encoded;
+            if (!encoded) return null;
+        }
+        try {
+            const decoded = await this.decoder(encoded);
+            return decoded ? Track.from(decoded instanceof Track ? decoded : { ...decoded, encoded: decoded.encoded ?? encoded }) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /** Clears upcoming tracks, history and the current track. */
     clear() {
         this.tracks = [];
         this.previousTracks = [];
         this._current = null;
     }
 
+    /** Clears the upcoming tracks only; the current track and the history are kept. */
+    clearUpcoming() {
+        this.tracks = [];
+    }
+
     shuffle() {
         for (let i = this.tracks.length - 1; i > 0; i--) {
             const j = Math.floor(Math.random() * (i + 1));
@@ -108,6 +241,97 @@ class Queue {
         }
     }
 
+    /**
+     * Replaces the queue limits. Omitted limits are disabled.
+     * The limits only apply to tracks checked with `validate`, which `Player#add` does for every user-added track.
+     * Tracks the queue already holds are exempt: loop re-adds, `previous()`, snapshot restores and direct `add`/`insertAt` calls
+     * never reject, so a queue can end up above a limit lowered afterwards.
+     * @param {object} [limits={}] The limits.
+     * @param {number} [limits.maxSize] Maximum amount of upcoming tracks.
+     * @param {number} [limits.maxPerRequester] Maximum amount of upcoming tracks per requester (tracks without requester are exempt).
+     * @param {number} [limits.maxTrackDuration] Maximum duration (ms) of a single track. Streams are exempt.
+     * @param {number} [limits.maxTotalDuration] Maximum summed duration (ms) of the upcoming tracks.
+     * @param {string} [limits.duplicates='allow'] One of `Constants.DUPLICATE_POLICY`.
+     * @throws {Error} If the duplicate policy is unknown.
+     */
+    setLimits(limits = {}) {
+        const duplicates = limits?.duplicates ?? Constants.DUPLICATE_POLICY.ALLOW;
+        if (!Object.values(Constants.DUPLICATE_POLICY).includes(duplicates)) {
+            throw new Error(`Invalid duplicate policy: ${duplicates}. Use Constants.DUPLICATE_POLICY.`);
+        }
+        this.limits = {
+            maxSize: limits?.maxSize ?? null,
+            maxPerRequester: limits?.maxPerRequester ?? null,
+            maxTrackDuration: limits?.maxTrackDuration ?? null,
+            maxTotalDuration: limits?.maxTotalDuration ?? null,
+            duplicates,
+        };
+    }
+
+    /**
+     * Checks tracks against the limits without adding them. Tracks are checked in order,
+     * counting the ones accepted before them.
+     * @param {Array<Track>} tracks The tracks to check.
+     * @returns {{ accepted: Array<Track>, rejected: Array<{ track: Track, reason: string }> }} Reasons are `Constants.TRACK_REJECT_REASON` values.
+     */
+    validate(tracks) {
+        const { maxSize, maxPerRequester, maxTrackDuration, maxTotalDuration, duplicates } = this.limits;
+        const { TRACK_REJECT_REASON, DUPLICATE_POLICY } = Constants;
+        const accepted = [];
+        const rejected = [];
+
+        let size = this.tracks.length;
+        let totalDuration = this.tracks.reduce((acc, t) => acc + Queue._countedDuration(t), 0);
+        const perRequester = new Map();
+        for (const track of this.tracks) {
+            const key = Queue._requesterKey(track.requester);
+            perRequester.set(key, (perRequester.get(key) ?? 0) + 1);
+        }
+        const seen = new Set();
+        if (duplicates !== DUPLICATE_POLICY.ALLOW) {
+            const existing = duplicates === DUPLICATE_POLICY.REJECT
+                ? [this.current, ...this.tracks, ...this.previousTracks]
+                : this.tracks;
+            existing.forEach(t => t && seen.add(Queue._trackKey(t)));
+        }
+
+        for (const track of tracks) {
+            const key = Queue._requesterKey(track.requester);
+            const duration = Queue._countedDuration(track);
+            let reason = null;
+            if (maxSize !== null && size >= maxSize) reason = TRACK_REJECT_REASON.QUEUE_FULL;
+            else if (maxPerRequester !== null && key !== null && (perRequester.get(key) ?? 0) >= maxPerRequester) reason = TRACK_REJECT_REASON.REQUESTER_LIMIT;
+            else if (maxTrackDuration !== null && duration > maxTrackDuration) reason = TRACK_REJECT_REASON.TRACK_TOO_LONG;
+            else if (maxTotalDuration !== null && totalDuration + duration > maxTotalDuration) reason = TRACK_REJECT_REASON.QUEUE_DURATION_LIMIT;
+            else if (duplicates !== DUPLICATE_POLICY.ALLOW && seen.has(Queue._trackKey(track))) reason = TRACK_REJECT_REASON.DUPLICATE;
+
+            if (reason) {
+                rejected.push({ track, reason });
+                continue;
+            }
+            accepted.push(track);
+            size++;
+            totalDuration += duration;
+            perRequester.set(key, (perRequester.get(key) ?? 0) + 1);
+            seen.add(Queue._trackKey(track));
+        }
+        return { accepted, rejected };
+    }
+
+    /**
+     * Switches fair mode. While it is on, tracks added without a position are placed round-robin by requester:
+     * a track goes after every track of an earlier or the same round, where a requester's n-th upcoming track
+     * is round n and the current track counts as its requester's first. Positional operations
+     * (`add` with a position, `insertAt`, `move`, `swap`) are applied as given and are not undone by later adds.
+     * Enabling it re-orders the upcoming tracks once (each requester keeps their own order); disabling it keeps the current order.
+     * @param {boolean} enabled Whether fair mode is on.
+     */
+    setFair(enabled) {
+        const wasFair = this.fair;
+        this.fair = !!enabled;
+        if (this.fair && !wasFair) this._interleave();
+    }
+
     setLoop(mode) {
         if (mode >= Constants.LOOP_MODE.NONE && mode <= Constants.LOOP_MODE.QUEUE) {
             this.loop = mode;
@@ -115,6 +339,62 @@ class Queue {
             throw new Error(`Invalid loop mode: ${mode}. Use LoopMode constants.`);
         }
     }
+
+    /**
+     * Re-orders upcoming tracks round-robin by requester by placing them one by one with `_fairIndex`.
+     * Requesters take turns in order of their first upcoming track, so whoever is already waiting
+     * goes before someone who just queued.
+     * @private
+     */
+    _interleave() {
+        const tracks = this.tracks;
+        this.tracks = [];
+        for (const track of tracks) this.tracks.splice(this._fairIndex(track), 0, track);
+    }
+
+    /**
+     * Index a new track takes in fair mode: right after the last upcoming track whose round is not later than its own.
+     * @param {Track} track The track to place.
+     * @returns {number}
+     * @private
+     */
+    _fairIndex(track) {
+        const currentKey = this.current ? Queue._requesterKey(this.current.requester) : undefined;
+        const counts = new Map();
+        const roundOf = (key) => {
+            const round = (counts.get(key) ?? 0) + (key === currentKey ? 1 : 0);
+            counts.set(key, (counts.get(key) ?? 0) + 1);
+            return round;
+        };
+        const rounds = this.tracks.map(t => roundOf(Queue._requesterKey(t.requester)));
+        const round = roundOf(Queue._requesterKey(track.requester));
+        for (let i = rounds.length - 1; i >= 0; i--) {
+            if (rounds[i] <= round) return i + 1;
+        }
+        return 0;
+    }
+
+    /** Duration counted against the limits; streams count as 0. @private */
+    static _countedDuration(track) {
+        return track.info?.isStream ? 0 : track.info?.length ?? 0;
+    }
+
+    /** Identifies a track for duplicate checks. @private */
+    static _trackKey(track) {
+        return track.info?.identifier ? `${track.info.sourceName}:${track.info.identifier}` : track.encoded ?? track.info?.title;
+    }
+
+    /** Identifies a requester: Discord-like objects by `id`, anything else by value. @private */
+    static _requesterKey(requester) {
+        return requester && typeof requester === 'object' ? requester.id ?? requester : requester ?? null;
+    }
+
+    /** @private */
+    _assertIndex(index, max) {
+        if (!Number.isInteger(index) || index < 0 || index > max) {
+            throw new RangeError(`Index ${index} is out of range (0-${Math.max(max, 0)}).`);
+        }
+    }
 }
 
 module.exports = Queue;
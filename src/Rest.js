@@ -128,6 +128,11 @@ class Rest {
     }
 
      // Player Endpoints
+    async getPlayers() {
+        if (!this.sessionId) throw new Error('Cannot get players without a Session ID.');
+        return this.makeRequest(`/v4/sessions/${this.sessionId}/players`);
+    }
+
     async getPlayer(guildId) {
         if (!this.sessionId) throw new Error('Cannot get player without a Session ID.');
         return this.makeRequest(`/v4/sessions/${this.sessionId}/players/${guildId}`);
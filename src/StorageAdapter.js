@@ -0,0 +1,46 @@
+/**
+ * Base class describing the storage contract used by the Manager to persist player snapshots.
+ * Implementations store one JSON-serialisable snapshot per guild.
+ * `get`, `set` and `delete` are required; `keys` is optional (see `Manager.restorePlayers`).
+ * All methods may return a value or a Promise.
+ */
+class StorageAdapter {
+    /**
+     * Retrieves the snapshot stored for a guild.
+     * @param {string} guildId
+     * @returns {Promise<object | null>} The stored snapshot or null if none exists.
+     */
+    async get(guildId) {
+        throw new Error(`${this.constructor.name} does not implement get().`);
+    }
+
+    /**
+     * Stores (replaces) the snapshot for a guild.
+     * @param {string} guildId
+     * @param {object} data The player snapshot.
+     * @returns {Promise<void>}
+     */
+    async set(guildId, data) {
+        throw new Error(`${this.constructor.name} does not implement set().`);
+    }
+
+    /**
+     * Removes the snapshot stored for a guild.
+     * @param {string} guildId
+     * @returns {Promise<void>}
+     */
+    async delete(guildId) {
+        throw new Error(`${this.constructor.name} does not implement delete().`);
+    }
+
+    /**
+     * Lists every guild ID that has a stored snapshot. Optional: without it `Manager.restorePlayers()`
+     * needs the guild IDs passed in.
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+        throw new Error(`${this.constructor.name} does not implement keys().`);
+    }
+}
+
+module.exports = StorageAdapter;
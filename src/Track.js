@@ -0,0 +1,114 @@
+const TrackCodec = require('./TrackCodec');
+
+/**
+ * A Lavalink track as used by Queue and Player.
+ * Built from `loadTracks`/`decodeTrack` results (or an encoded string) and carries who requested it.
+ */
+class Track {
+    /**
+     * @param {object} data A Lavalink track object (`{ encoded, info, pluginInfo?, userData? }`).
+     * @param {*} [requester=null] Whoever requested the track, e.g. a Discord user.
+     */
+    constructor(data, requester = null) {
+        if (!data || typeof data !== 'object' || !data.info) {
+            throw new Error("Invalid track data: expected a Lavalink track object with 'info'.");
+        }
+        this.encoded = data.encoded ?? null;
+        this.info = {
+            identifier: data.info.identifier ?? null,
+            isSeekable: data.info.isSeekable ?? !data.info.isStream,
+            author: data.info.author ?? 'Unknown',
+            length: data.info.length ?? 0,
+            isStream: !!data.info.isStream,
+            position: data.info.position ?? 0,
+            title: data.info.title ?? 'Unknown',
+            uri: data.info.uri ?? null,
+            artworkUrl: data.info.artworkUrl ?? null,
+            isrc: data.info.isrc ?? null,
+            sourceName: data.info.sourceName ?? null,
+        };
+        this.pluginInfo = data.pluginInfo ?? {};
+        this.userData = data.userData ?? {};
+        this.requester = requester ?? data.requester ?? null;
+    }
+
+    /**
+     * Returns `data` as a Track without mutating plain objects.
+     * Existing Track instances are returned as is (with `requester` set if one is given).
+     * Objects serialised from an `UnresolvedTrack` (`unresolved: true`) become UnresolvedTracks again.
+     * @param {Track | object | string} data A Track, a Lavalink track object or an encoded track string (decoded locally).
+     * @param {*} [requester=null] Whoever requested the track.
+     * @returns {Track} The track.
+     * @throws {Error} If `data` is not a valid track.
+     */
+    static from(data, requester = null) {
+        if (data instanceof Track) {
+            if (requester !== null && requester !== undefined) data.requester = requester;
+            return data;
+        }
+        if (typeof data === 'string') return new Track(TrackCodec.decodeTrack(data), requester);
+        if (data?.unresolved === true) {
+            const UnresolvedTrack = require('./UnresolvedTrack'); // Required lazily, it extends Track
+            return new UnresolvedTrack(data, requester);
+        }
+        return new Track(data, requester);
+    }
+
+    get title() { return this.info.title; }
+    get author() { return this.info.author; }
+    get uri() { return this.info.uri; }
+    get identifier() { return this.info.identifier; }
+    get sourceName() { return this.info.sourceName; }
+    /** Duration in milliseconds (0 for streams). */
+    get duration() { return this.info.length; }
+    get isStream() { return this.info.isStream; }
+    get isSeekable() { return this.info.isSeekable; }
+
+    /** Duration formatted as `m:ss` or `h:mm:ss`, or `LIVE` for streams. */
+    get displayDuration() {
+        if (this.info.isStream) return 'LIVE';
+        return Track.formatDuration(this.info.length);
+    }
+
+    /**
+     * Artwork URL for the track. Falls back to the YouTube thumbnail for YouTube tracks
+     * and upgrades SoundCloud artwork to the 500x500 variant.
+     * @returns {string | null}
+     */
+    get thumbnail() {
+        const { artworkUrl, sourceName, identifier } = this.info;
+        if (sourceName === 'youtube' && identifier) {
+            return artworkUrl ?? `https://i.ytimg.com/vi/${identifier}/hqdefault.jpg`;
+        }
+        if (sourceName === 'soundcloud' && artworkUrl) {
+            return artworkUrl.replace(/-(?:large|t\d+x\d+)(\.\w+)$/, '-t500x500$1');
+        }
+        return artworkUrl;
+    }
+
+    /**
+     * Formats milliseconds as `m:ss` or `h:mm:ss`.
+     * @param {number} ms Duration in milliseconds.
+     * @returns {string}
+     */
+    static formatDuration(ms) {
+        const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    /** Plain Lavalink track shape (plus `requester`), used for persistence and `JSON.stringify`. */
+    toJSON() {
+        return {
+            encoded: this.encoded,
+            info: { ...this.info },
+            pluginInfo: this.pluginInfo,
+            userData: this.userData,
+            requester: this.requester,
+        };
+    }
+}
+
+module.exports = Track;
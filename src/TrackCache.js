@@ -0,0 +1,86 @@
+/**
+ * Small LRU cache with per-entry expiry, used by `Manager.loadTracks` to reuse load results.
+ * Map insertion order is used as the recency order: the first key is the least recently used one.
+ */
+class TrackCache {
+    /**
+     * @param {object} [options={}] Cache options.
+     * @param {number} [options.maxSize=500] Maximum amount of cached results before the least recently used one is evicted.
+     * @param {number} [options.searchTTL=300000] How long (ms) search results (`ytsearch:` etc.) stay valid.
+     * @param {number} [options.urlTTL=3600000] How long (ms) results for URLs and other identifiers stay valid.
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize ?? 500;
+        this.searchTTL = options.searchTTL ?? 5 * 60 * 1000;
+        this.urlTTL = options.urlTTL ?? 60 * 60 * 1000;
+        this.entries = new Map(); // identifier -> { result, expiresAt }
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /** Hit/miss counters and current size. */
+    get stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            size: this.entries.size,
+            hitRate: lookups ? this.hits / lookups : 0,
+        };
+    }
+
+    /**
+     * Returns a cached result and marks it as recently used.
+     * @param {string} identifier The processed identifier.
+     * @returns {object | null} A copy of the cached load result, or null on a miss or expired entry.
+     */
+    get(identifier) {
+        const entry = this.entries.get(identifier);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(identifier);
+            this.misses++;
+            return null;
+        }
+        this.entries.delete(identifier); // Re-insert to move it to the most recent end
+        this.entries.set(identifier, entry);
+        this.hits++;
+        return structuredClone(entry.result); // Callers often annotate tracks (e.g. requester), so hand out copies
+    }
+
+    /**
+     * Stores a load result. `error` and `empty` results are never cached.
+     * @param {string} identifier The processed identifier.
+     * @param {object} result The Lavalink load result.
+     * @param {boolean} [isSearch=false] Whether the identifier is a search query (uses `searchTTL`).
+     * @returns {boolean} Whether the result was cached.
+     */
+    set(identifier, result, isSearch = false) {
+        if (!result || result.loadType === 'error' || result.loadType === 'empty') return false;
+        const ttl = isSearch ? this.searchTTL : this.urlTTL;
+        if (!(ttl > 0) || !(this.maxSize > 0)) return false;
+
+        this.entries.delete(identifier);
+        this.entries.set(identifier, { result: structuredClone(result), expiresAt: Date.now() + ttl });
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return true;
+    }
+
+    delete(identifier) {
+        return this.entries.delete(identifier);
+    }
+
+    /** Removes all cached results and resets the counters. */
+    clear() {
+        this.entries.clear();
+        this.hits = 0;
+        this.misses = 0;
+    }
+}
+
+module.exports = TrackCache;
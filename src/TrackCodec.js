@@ -0,0 +1,238 @@
+// Pure-JS implementation of the Lavalink (lavaplayer) encoded track format.
+// An encoded track is base64 of: int32 header ((flags << 30) | size), then the message:
+// [version:u8] title:utf author:utf length:i64 identifier:utf isStream:bool
+// (v2+) uri:nullable-utf (v3+) artworkUrl:nullable-utf isrc:nullable-utf sourceName:utf
+// [source specific fields...] position:i64
+// Strings use Java's modified UTF-8 with a uint16 byte-length prefix.
+
+const TRACK_INFO_VERSIONED = 1;
+const TRACK_INFO_VERSION = 3;
+
+class TrackReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    _ensure(bytes) {
+        if (this.offset + bytes > this.buffer.length) {
+            throw new Error(`Malformed encoded track: unexpected end of data at byte ${this.offset}.`);
+        }
+    }
+
+    readByte() {
+        this._ensure(1);
+        return this.buffer.readUInt8(this.offset++);
+    }
+
+    readBoolean() {
+        return this.readByte() !== 0;
+    }
+
+    readInt() {
+        this._ensure(4);
+        const value = this.buffer.readInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readLong() {
+        this._ensure(8);
+        const value = this.buffer.readBigInt64BE(this.offset);
+        this.offset += 8;
+        return Number(value);
+    }
+
+    readUTF() {
+        this._ensure(2);
+        const length = this.buffer.readUInt16BE(this.offset);
+        this.offset += 2;
+        this._ensure(length);
+        const value = decodeModifiedUTF8(this.buffer, this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+    }
+
+    readNullableUTF() {
+        return this.readBoolean() ? this.readUTF() : null;
+    }
+}
+
+class TrackWriter {
+    constructor() {
+        this.chunks = [];
+    }
+
+    writeByte(value) {
+        this.chunks.push(Buffer.from([value & 0xff]));
+    }
+
+    writeBoolean(value) {
+        this.writeByte(value ? 1 : 0);
+    }
+
+    writeInt(value) {
+        const buf = Buffer.alloc(4);
+        buf.writeInt32BE(value);
+        this.chunks.push(buf);
+    }
+
+    writeLong(value) {
+        const buf = Buffer.alloc(8);
+        buf.writeBigInt64BE(BigInt(Math.trunc(value)));
+        this.chunks.push(buf);
+    }
+
+    writeUTF(value) {
+        const bytes = encodeModifiedUTF8(String(value));
+        if (bytes.length > 0xffff) throw new Error(`String too long to encode (${bytes.length} bytes).`);
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(bytes.length);
+        this.chunks.push(length, bytes);
+    }
+
+    writeNullableUTF(value) {
+        this.writeBoolean(value !== null && value !== undefined);
+        if (value !== null && value !== undefined) this.writeUTF(value);
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.chunks);
+    }
+}
+
+/** Decodes Java modified UTF-8 (null as 0xC0 0x80, supplementary chars as surrogate pairs). @private */
+function decodeModifiedUTF8(buffer, start, end) {
+    const codeUnits = [];
+    let i = start;
+    while (i < end) {
+        const a = buffer[i++];
+        if ((a & 0x80) === 0) {
+            codeUnits.push(a);
+        } else if ((a & 0xe0) === 0xc0) {
+            if (i >= end) throw new Error('Malformed encoded track: truncated UTF-8 sequence.');
+            const b = buffer[i++];
+            codeUnits.push(((a & 0x1f) << 6) | (b & 0x3f));
+        } else if ((a & 0xf0) === 0xe0) {
+            if (i + 1 >= end) throw new Error('Malformed encoded track: truncated UTF-8 sequence.');
+            const b = buffer[i++];
+            const c = buffer[i++];
+            codeUnits.push(((a & 0x0f) << 12) | ((b & 0x3f) << 6) | (c & 0x3f));
+        } else {
+            throw new Error(`Malformed encoded track: invalid UTF-8 byte 0x${a.toString(16)}.`);
+        }
+    }
+    let result = '';
+    for (let j = 0; j < codeUnits.length; j += 4096) { // Chunked to stay below argument limits
+        result += String.fromCharCode(...codeUnits.slice(j, j + 4096));
+    }
+    return result;
+}
+
+/** Encodes a string as Java modified UTF-8. @private */
+function encodeModifiedUTF8(value) {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        const c = value.charCodeAt(i); // UTF-16 code unit; surrogates are encoded individually
+        if (c >= 0x01 && c <= 0x7f) {
+            bytes.push(c);
+        } else if (c <= 0x7ff) {
+            bytes.push(0xc0 | (c >> 6), 0x80 | (c & 0x3f));
+        } else {
+            bytes.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 0x3f), 0x80 | (c & 0x3f));
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decodes a Lavalink encoded track without contacting a node.
+ * Produces the same `{ encoded, info, pluginInfo, userData }` shape as `GET /v4/decodetrack`
+ * (plugin specific data is not part of the encoding, so `pluginInfo` is always empty).
+ * @param {string} encoded The base64 encoded track.
+ * @returns {{ encoded: string, info: object, pluginInfo: object, userData: object }} The decoded track.
+ * @throws {Error} If the input is not a valid encoded track.
+ */
+function decodeTrack(encoded) {
+    if (typeof encoded !== 'string' || !encoded) throw new Error('Encoded track must be a non-empty string.');
+    const reader = new TrackReader(Buffer.from(encoded, 'base64'));
+
+    const header = reader.readInt();
+    const flags = (header >>> 30) & 0x3;
+    const messageSize = header & 0x3fffffff;
+    const messageEnd = reader.offset + messageSize;
+    if (messageEnd > reader.buffer.length) throw new Error('Malformed encoded track: message size exceeds data length.');
+
+    const version = (flags & TRACK_INFO_VERSIONED) ? reader.readByte() : 1;
+    if (version > TRACK_INFO_VERSION) throw new Error(`Unsupported encoded track version: ${version}.`);
+
+    const title = reader.readUTF();
+    const author = reader.readUTF();
+    const length = reader.readLong();
+    const identifier = reader.readUTF();
+    const isStream = reader.readBoolean();
+    const uri = version >= 2 ? reader.readNullableUTF() : null;
+    const artworkUrl = version >= 3 ? reader.readNullableUTF() : null;
+    const isrc = version >= 3 ? reader.readNullableUTF() : null;
+    const sourceName = reader.readUTF();
+
+    // Source specific fields may follow; the start position is always the last 8 bytes of the message
+    reader.offset = messageEnd - 8;
+    const position = reader.readLong();
+
+    return {
+        encoded,
+        info: {
+            identifier,
+            isSeekable: !isStream,
+            author,
+            length,
+            isStream,
+            position,
+            title,
+            uri,
+            artworkUrl,
+            isrc,
+            sourceName,
+        },
+        pluginInfo: {},
+        userData: {},
+    };
+}
+
+/**
+ * Encodes track info into the Lavalink encoded track format (version 3).
+ * Only works for sources that write no extra fields (e.g. youtube, soundcloud, bandcamp, twitch, vimeo).
+ * @param {object} info Track info as returned by Lavalink (`title`, `author`, `length`, `identifier`, `isStream`, `uri`, `artworkUrl`, `isrc`, `sourceName`, `position`).
+ * @returns {string} The base64 encoded track.
+ * @throws {Error} If required fields are missing.
+ */
+function encodeTrack(info) {
+    if (!info || typeof info !== 'object') throw new Error('Track info must be an object.');
+    for (const field of ['title', 'author', 'identifier', 'sourceName']) {
+        if (typeof info[field] !== 'string') throw new Error(`Track info is missing '${field}'.`);
+    }
+
+    const message = new TrackWriter();
+    message.writeByte(TRACK_INFO_VERSION);
+    message.writeUTF(info.title);
+    message.writeUTF(info.author);
+    message.writeLong(info.length ?? 0);
+    message.writeUTF(info.identifier);
+    message.writeBoolean(!!info.isStream);
+    message.writeNullableUTF(info.uri);
+    message.writeNullableUTF(info.artworkUrl);
+    message.writeNullableUTF(info.isrc);
+    message.writeUTF(info.sourceName);
+    message.writeLong(info.position ?? 0);
+    const body = message.toBuffer();
+
+    const header = Buffer.alloc(4);
+    header.writeInt32BE((TRACK_INFO_VERSIONED << 30) | body.length);
+    return Buffer.concat([header, body]).toString('base64');
+}
+
+module.exports = {
+    decodeTrack,
+    encodeTrack,
+};
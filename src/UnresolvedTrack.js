@@ -0,0 +1,95 @@
+const Track = require('./Track');
+
+/**
+ * A track known only by its metadata (e.g. imported from Spotify or Apple Music) that has no `encoded` string yet.
+ * Queue holds it like any other Track; Player resolves it through `Manager.search` right before playback.
+ * @extends Track
+ */
+class UnresolvedTrack extends Track {
+    /**
+     * @param {object} data Track metadata, either flat or as `{ info: {...} }`.
+     * @param {string} data.title Track title (required).
+     * @param {string} [data.author] Artist name.
+     * @param {number} [data.length] Duration in milliseconds, used to pick the right search result. `duration` is accepted as an alias.
+     * @param {string} [data.isrc] ISRC code, searched before the title.
+     * @param {string} [data.uri] Link to the track on the original service.
+     * @param {string} [data.artworkUrl] Cover art, kept if the resolved track has none.
+     * @param {string} [data.sourceName] Original service, e.g. `spotify`.
+     * @param {*} [requester=null] Whoever requested the track.
+     */
+    constructor(data, requester = null) {
+        const info = data?.info ?? data;
+        if (!info || typeof info.title !== 'string' || !info.title.trim()) {
+            throw new Error("Unresolved tracks need at least a 'title'.");
+        }
+        super({
+            encoded: null,
+            info: { ...info, author: info.author ?? '', length: info.length ?? info.duration ?? 0 },
+            pluginInfo: data.pluginInfo,
+            userData: data.userData,
+            requester: data.requester,
+        }, requester);
+        this.resolvedTrack = null; // Cached result of resolve()
+        this._resolving = null; // Pending resolve() promise, shared by concurrent callers
+    }
+
+    /**
+     * Finds a playable track for this metadata: ISRC search first, then `author - title`, picking the first
+     * result whose duration is within `durationTolerance` of the expected one. The result is cached.
+     * @param {Manager} manager The manager used to search.
+     * @param {object} [options={}] Resolve options.
+     * @param {Player} [options.player=null] Player whose node should be preferred.
+     * @param {string} [options.source] Search prefix for the title search (defaults to `manager.defaultSearchPlatform`).
+     * @param {string} [options.isrcSource] Prefix that looks up ISRCs directly (e.g. `dzisrc`); otherwise the ISRC is searched as a quoted query.
+     * @param {number} [options.durationTolerance=2000] Maximum duration difference (ms) for a search result to count as a match.
+     * @returns {Promise<Track>} The playable track, carrying this track's requester and user data.
+     * @throws {Error} If no search result matches.
+     */
+    async resolve(manager, options = {}) {
+        if (this.resolvedTrack) return this.resolvedTrack;
+        if (!this._resolving) {
+            this._resolving = this._resolve(manager, options).finally(() => { this._resolving = null; });
+        }
+        return this._resolving;
+    }
+
+    /** @private */
+    async _resolve(manager, { player = null, source, isrcSource, durationTolerance = 2000 } = {}) {
+        const { title, author, isrc } = this.info;
+        const searches = [];
+        if (isrc) searches.push({ query: isrcSource ? `${isrcSource.replace(/:$/, '')}:${isrc}` : `"${isrc}"`, byIsrc: true });
+        searches.push({ query: author ? `${author} - ${title}` : title, byIsrc: false });
+
+        let lastError = null;
+        for (const { query, byIsrc } of searches) {
+            let result;
+            try {
+                result = await manager.search(query, { source, player });
+            } catch (e) {
+                lastError = e;
+                continue;
+            }
+            const match = (byIsrc && result.tracks.find(t => t.info.isrc === isrc)) || this._matchByDuration(result.tracks, durationTolerance);
+            if (match) {
+                const resolved = Track.from(match, this.requester);
+                resolved.userData = { ...this.userData, ...resolved.userData };
+                resolved.info.artworkUrl = resolved.info.artworkUrl ?? this.info.artworkUrl;
+                this.resolvedTrack = resolved;
+                return resolved;
+            }
+        }
+        throw new Error(`No playable match found for "${author ? `${author} - ${title}` : title}"${lastError ? ` (${lastError.message})` : ''}.`);
+    }
+
+    /** @private */
+    _matchByDuration(tracks, tolerance) {
+        if (!this.info.length) return tracks[0] ?? null; // Nothing to compare against
+        return tracks.find(t => !t.info.isStream && Math.abs(t.info.length - this.info.length) <= tolerance) ?? null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), unresolved: true };
+    }
+}
+
+module.exports = UnresolvedTrack;
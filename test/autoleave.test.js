@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { wait, until, createEnv, recordEvents } = require('./helpers');
+
+let env;
+beforeEach(async () => {
+    env = await createEnv();
+    env.server.addTrack({ title: 'Alpha', author: 'Band', length: 60000, identifier: 'aaa' });
+    env.server.addTrack({ title: 'Beta', author: 'Band', length: 60000, identifier: 'bbb' });
+});
+afterEach(() => env.teardown());
+
+async function playingPlayer(options) {
+    const player = env.manager.createPlayer('g1', options);
+    await player.connect('vc1');
+    await env.gateway.memberJoin('g1', 'u1', 'vc1');
+    await player.add((await env.manager.search('Alpha')).tracks);
+    await until(() => player.current?.title === 'Alpha');
+    return player;
+}
+
+test('leaveOnEmptyQueue leaves after the queue ended and emits playerAutoLeave on both emitters', async () => {
+    const player = await playingPlayer({ leaveOnEmptyQueue: 30 });
+    const reasons = [];
+    env.manager.on('playerAutoLeave', (p, reason) => reasons.push(['manager', reason]));
+    player.on('playerAutoLeave', (p, reason) => reasons.push(['player', reason]));
+
+    env.server.emitTrackEnd('g1');
+    await until(() => !env.manager.players.has('g1'));
+    assert.deepEqual(reasons.sort(), [['manager', 'emptyQueue'], ['player', 'emptyQueue']]);
+    assert.equal(env.gateway.getVoiceState('g1'), null);
+});
+
+test('adding a track cancels the empty queue leave', async () => {
+    const player = await playingPlayer({ leaveOnEmptyQueue: 80 });
+    const left = recordEvents(env.manager, ['playerAutoLeave']);
+    env.server.emitTrackEnd('g1');
+    await until(() => !player.current);
+    await player.add((await env.manager.search('Beta')).tracks);
+    await wait(150);
+    assert.deepEqual(left, []);
+    assert.equal(player.current.title, 'Beta');
+});
+
+test('leaveOnEmptyChannel leaves after the last listener left, unless someone joins in time', async () => {
+    const player = await playingPlayer({ leaveOnEmptyChannel: 80 });
+    const left = [];
+    env.manager.on('playerAutoLeave', (p, reason) => left.push(reason));
+
+    await env.gateway.memberLeave('g1', 'u1');
+    await wait(20);
+    await env.gateway.memberJoin('g1', 'u2', 'vc1');
+    await wait(150);
+    assert.deepEqual(left, []);
+    assert.ok(env.manager.players.has('g1'));
+
+    await env.gateway.memberLeave('g1', 'u2');
+    await until(() => left.length === 1);
+    assert.deepEqual(left, ['emptyChannel']);
+    assert.equal(player.state, 'DESTROYED');
+});
+
+test('pauseOnEmptyChannel pauses when the channel empties and resumes when someone joins', async () => {
+    const player = await playingPlayer({ pauseOnEmptyChannel: true });
+    await env.gateway.memberLeave('g1', 'u1');
+    await until(() => player.isPaused);
+    assert.equal(env.server.getPlayer('g1').paused, true);
+
+    await env.gateway.memberJoin('g1', 'u2', 'vc1');
+    await until(() => !player.isPaused);
+    assert.equal(env.server.getPlayer('g1').paused, false);
+});
+
+test('pauseOnEmptyChannel does not pause again after a manual resume in an empty channel', async () => {
+    const player = await playingPlayer({ pauseOnEmptyChannel: true });
+    await env.gateway.memberLeave('g1', 'u1');
+    await until(() => player.isPaused);
+    await player.pause(false);
+
+    await env.gateway.memberJoin('g1', 'u2', 'vc2'); // Unrelated voice update in the same guild
+    await env.gateway.memberLeave('g1', 'u2');
+    await wait(30);
+    assert.equal(player.isPaused, false);
+    assert.equal(env.server.getPlayer('g1').paused, false);
+});
+
+test('stayConnected overrides the auto leave and pause options until it is turned off', async () => {
+    const player = await playingPlayer({ stayConnected: true, leaveOnEmptyChannel: 30, pauseOnEmptyChannel: true });
+    const left = recordEvents(env.manager, ['playerAutoLeave']);
+    await env.gateway.memberLeave('g1', 'u1');
+    await wait(100);
+    assert.deepEqual(left, []);
+    assert.equal(player.isPaused, false);
+
+    player.setStayConnected(false);
+    await until(() => left.length === 1);
+    assert.equal(player.state, 'DESTROYED');
+});
@@ -0,0 +1,86 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { until, createEnv, recordEvents } = require('./helpers');
+
+let env;
+let player;
+beforeEach(async () => {
+    env = await createEnv();
+    env.server.addTrack({ title: 'Alpha', author: 'Band', length: 60000, identifier: 'aaa' });
+    env.server.addTrack({ title: 'Beta', author: 'Band', length: 60000, identifier: 'bbb' });
+    env.server.addTrack({ title: 'Gamma', author: 'Band', length: 60000, identifier: 'ccc' });
+    player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+});
+afterEach(() => env.teardown());
+
+const find = async (title) => (await env.manager.search(title)).tracks[0];
+
+async function playToEnd(title) {
+    await player.play(await find(title));
+    await until(() => player.current?.title === title);
+    env.server.emitTrackEnd('g1');
+}
+
+test('the recommender is called with the finished track and a new candidate is played', async () => {
+    const candidates = [await find('Alpha'), await find('Beta')];
+    const recommender = mock.fn(async () => candidates);
+    player.setAutoplay(true, recommender);
+    const autoplayed = [];
+    env.manager.on('autoplay', (p, track, seed) => autoplayed.push([p, track.title, seed.title]));
+    const events = recordEvents(env.manager, ['queueEnd']);
+
+    await playToEnd('Alpha');
+    await until(() => player.current?.title === 'Beta');
+    assert.equal(recommender.mock.callCount(), 1);
+    const [seed, calledWith] = recommender.mock.calls[0].arguments;
+    assert.equal(seed.title, 'Alpha');
+    assert.equal(calledWith, player);
+    // The seed itself is skipped as recently played
+    assert.deepEqual(autoplayed, [[player, 'Beta', 'Alpha']]);
+    assert.equal(player.current.userData.autoplay, true);
+    assert.equal(env.server.getPlayer('g1').track.info.title, 'Beta');
+    assert.deepEqual(events, []);
+});
+
+test('the recommender is not called when autoplay is off', async () => {
+    const recommender = mock.fn(async () => [await find('Beta')]);
+    player.setAutoplay(false, recommender);
+    const events = recordEvents(env.manager, ['queueEnd', 'autoplay']);
+
+    await playToEnd('Alpha');
+    await until(() => events.includes('queueEnd'));
+    assert.equal(recommender.mock.callCount(), 0);
+    assert.deepEqual(events, ['queueEnd']);
+    assert.equal(player.current, null);
+});
+
+test('the queue ends when the recommender only returns recently played tracks', async () => {
+    player.setAutoplay(true, async () => [await find('Alpha')]);
+    const events = recordEvents(env.manager, ['queueEnd', 'autoplay']);
+
+    await playToEnd('Alpha');
+    await until(() => events.includes('queueEnd'));
+    assert.deepEqual(events, ['queueEnd']);
+});
+
+for (const [name, recommender] of [
+    ['throws', () => { throw new Error('recommender broke'); }],
+    ['rejects', async () => { throw new Error('recommender broke'); }],
+]) {
+    test(`a recommender that ${name} is reported and the queue ends`, async () => {
+        player.setAutoplay(true, recommender);
+        const warnings = [];
+        env.manager.on('warn', message => warnings.push(message));
+        const events = recordEvents(env.manager, ['queueEnd', 'autoplay', 'playerError']);
+
+        await playToEnd('Alpha');
+        await until(() => events.includes('queueEnd'));
+        assert.deepEqual(events, ['queueEnd']);
+        assert.ok(warnings.some(message => message.includes('Autoplay failed: recommender broke')));
+
+        // The player is still usable afterwards
+        await player.play(await find('Gamma'));
+        await until(() => player.current?.title === 'Gamma');
+    });
+}
@@ -0,0 +1,83 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TrackCache } = require('..');
+const { createEnv } = require('./helpers');
+
+const result = (title) => ({ loadType: 'track', data: { encoded: `enc-${title}`, info: { title }, pluginInfo: {}, userData: {} } });
+
+test('entries expire after their TTL, searches and URLs separately', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = new TrackCache({ searchTTL: 100, urlTTL: 1000 });
+    cache.set('ytsearch:a', result('a'), true);
+    cache.set('https://example.com/b', result('b'));
+
+    now += 99;
+    assert.equal(cache.get('ytsearch:a').data.info.title, 'a');
+    now += 1;
+    assert.equal(cache.get('ytsearch:a'), null);
+    assert.equal(cache.get('https://example.com/b').data.info.title, 'b');
+    now += 900;
+    assert.equal(cache.get('https://example.com/b'), null);
+    assert.equal(cache.size, 0);
+    assert.deepEqual(cache.stats, { hits: 2, misses: 2, size: 0, hitRate: 0.5 });
+});
+
+test('the least recently used entry is evicted once maxSize is exceeded', () => {
+    const cache = new TrackCache({ maxSize: 2 });
+    cache.set('a', result('a'));
+    cache.set('b', result('b'));
+    cache.get('a'); // b is now the least recently used
+    cache.set('c', result('c'));
+    assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+    assert.equal(cache.get('b'), null);
+});
+
+test('error and empty results are not cached', () => {
+    const cache = new TrackCache();
+    assert.equal(cache.set('a', { loadType: 'error', data: { message: 'x', severity: 'common', cause: 'y' } }), false);
+    assert.equal(cache.set('b', { loadType: 'empty', data: {} }), false);
+    assert.equal(cache.size, 0);
+});
+
+test('get() hands out copies so callers cannot change the cached result', () => {
+    const cache = new TrackCache();
+    const original = result('a');
+    cache.set('a', original);
+    original.data.info.title = 'changed before get';
+    const first = cache.get('a');
+    first.data.info.title = 'changed after get';
+    assert.equal(cache.get('a').data.info.title, 'a');
+});
+
+let env;
+afterEach(() => env?.teardown());
+
+test('loadTracks() serves repeated lookups from the cache unless bypassCache is set', async () => {
+    env = await createEnv({ manager: { trackCache: true } });
+    env.server.addTrack({ title: 'Alpha', author: 'Band', length: 60000, identifier: 'aaa' });
+    const loads = () => env.server.requests.filter(r => r.path.endsWith('/loadtracks')).length;
+
+    const first = await env.manager.search('Alpha', { requester: 'u1' });
+    const second = await env.manager.search('Alpha', { requester: 'u2' });
+    assert.equal(loads(), 1);
+    assert.equal(first.tracks[0].requester, 'u1');
+    assert.equal(second.tracks[0].requester, 'u2');
+
+    await env.manager.search('Alpha', { bypassCache: true });
+    assert.equal(loads(), 2);
+    assert.deepEqual(env.manager.trackCache.stats, { hits: 1, misses: 1, size: 1, hitRate: 0.5 });
+});
+
+test('loadTracks() does not cache empty or error results', async () => {
+    env = await createEnv({ manager: { trackCache: true } });
+    const loads = () => env.server.requests.filter(r => r.path.endsWith('/loadtracks')).length;
+    env.server.setLoadResult('ytsearch:broken', { loadType: 'error', data: { message: 'Rate limited', severity: 'common', cause: 'Test' } });
+
+    await env.manager.loadTracks('nothing here');
+    await env.manager.loadTracks('nothing here');
+    await env.manager.loadTracks('broken');
+    await env.manager.loadTracks('broken');
+    assert.equal(loads(), 4);
+    assert.equal(env.manager.trackCache.size, 0);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TrackCodec } = require('..');
+
+// Example track from the Lavalink v4 API documentation (message version 2, written by Lavalink itself)
+const LAVALINK_DOCS_TRACK = 'QAAAjQIAJVJpY2sgQXN0bGV5IC0gTmV2ZXIgR29ubmEgR2l2ZSBZb3UgVXAADlJpY2tBc3RsZXlWRVZPAAAAAAADPCAAC2RRdzR3OVdnWGNRAAEAK2h0dHBzOi8vd3d3LnlvdXR1YmUuY29tL3dhdGNoP3Y9ZFF3NHc5V2dYY1EAB3lvdXR1YmUAAAAAAAAAAA==';
+
+// Builds messages byte by byte from the lavaplayer layout, independently of TrackCodec's writer.
+// Plain UTF-8 equals Java's modified UTF-8 for strings without NUL or characters outside the BMP.
+const utf = (value) => {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    return Buffer.concat([length, bytes]);
+};
+const nullableUtf = (value) => (value === null ? Buffer.from([0]) : Buffer.concat([Buffer.from([1]), utf(value)]));
+const bool = (value) => Buffer.from([value ? 1 : 0]);
+const long = (value) => {
+    const buf = Buffer.alloc(8);
+    buf.writeBigInt64BE(BigInt(value));
+    return buf;
+};
+const encoded = (versioned, ...fields) => {
+    const body = Buffer.concat(fields);
+    const header = Buffer.alloc(4);
+    header.writeInt32BE(((versioned ? 1 : 0) << 30) | body.length);
+    return Buffer.concat([header, body]).toString('base64');
+};
+
+const V3_TRACK = encoded(true,
+    Buffer.from([3]),
+    utf('Never Gonna Give You Up'), utf('Rick Astley'), long(213000), utf('dQw4w9WgXcQ'), bool(false),
+    nullableUtf('https://www.youtube.com/watch?v=dQw4w9WgXcQ'),
+    nullableUtf('https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg'),
+    nullableUtf('GBARL9300135'),
+    utf('youtube'),
+    long(0));
+
+test('decodes the version 2 track from the Lavalink documentation', () => {
+    assert.deepEqual(TrackCodec.decodeTrack(LAVALINK_DOCS_TRACK), {
+        encoded: LAVALINK_DOCS_TRACK,
+        info: {
+            identifier: 'dQw4w9WgXcQ',
+            isSeekable: true,
+            author: 'RickAstleyVEVO',
+            length: 212000,
+            isStream: false,
+            position: 0,
+            title: 'Rick Astley - Never Gonna Give You Up',
+            uri: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            artworkUrl: null,
+            isrc: null,
+            sourceName: 'youtube',
+        },
+        pluginInfo: {},
+        userData: {},
+    });
+});
+
+test('decodes version 3 tracks with artwork URL and ISRC', () => {
+    const { info } = TrackCodec.decodeTrack(V3_TRACK);
+    assert.equal(info.title, 'Never Gonna Give You Up');
+    assert.equal(info.author, 'Rick Astley');
+    assert.equal(info.length, 213000);
+    assert.equal(info.uri, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(info.artworkUrl, 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg');
+    assert.equal(info.isrc, 'GBARL9300135');
+    assert.equal(info.sourceName, 'youtube');
+});
+
+test('encodeTrack() writes the same bytes Lavalink does', () => {
+    assert.equal(TrackCodec.encodeTrack(TrackCodec.decodeTrack(V3_TRACK).info), V3_TRACK);
+});
+
+test('skips source specific fields and reads the position from the end of the message', () => {
+    // The http source writes its probe info after the source name
+    const track = encoded(true,
+        Buffer.from([3]),
+        utf('Live — Café'), utf('Radio'), long(Number.MAX_SAFE_INTEGER), utf('https://radio.example/stream'), bool(true),
+        nullableUtf('https://radio.example/stream'), nullableUtf(null), nullableUtf(null),
+        utf('http'), utf('mp3|audio/mpeg'),
+        long(1500));
+    const { info } = TrackCodec.decodeTrack(track);
+    assert.equal(info.title, 'Live — Café');
+    assert.equal(info.isStream, true);
+    assert.equal(info.isSeekable, false);
+    assert.equal(info.artworkUrl, null);
+    assert.equal(info.sourceName, 'http');
+    assert.equal(info.position, 1500);
+});
+
+test('decodes unversioned (version 1) tracks without a URI', () => {
+    const track = encoded(false,
+        utf('Old Song'), utf('Old Band'), long(90000), utf('old'), bool(false),
+        utf('soundcloud'),
+        long(0));
+    const { info } = TrackCodec.decodeTrack(track);
+    assert.equal(info.title, 'Old Song');
+    assert.equal(info.identifier, 'old');
+    assert.equal(info.uri, null);
+    assert.equal(info.sourceName, 'soundcloud');
+});
+
+test('rejects truncated data and unknown versions', () => {
+    assert.throws(() => TrackCodec.decodeTrack(LAVALINK_DOCS_TRACK.slice(0, 40)), /Malformed encoded track/);
+    assert.throws(() => TrackCodec.decodeTrack(encoded(true, Buffer.from([4]), utf('x'))), /Unsupported encoded track version: 4/);
+});
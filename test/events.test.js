@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Constants } = require('..');
+
+test('every CLIENT_EVENT_TYPES key referenced in src is defined', () => {
+    const srcDir = path.join(__dirname, '..', 'src');
+    const missing = [];
+    for (const file of fs.readdirSync(srcDir).filter(f => f.endsWith('.js'))) {
+        const source = fs.readFileSync(path.join(srcDir, file), 'utf8');
+        for (const [, key] of source.matchAll(/CLIENT_EVENT_TYPES\.([A-Za-z_]+)/g)) {
+            if (!(key in Constants.CLIENT_EVENT_TYPES)) missing.push(`${file}: ${key}`);
+        }
+    }
+    assert.deepEqual(missing, []);
+});
+
+test('CLIENT_EVENT_TYPES values are unique and none is the special "error" event', () => {
+    const values = Object.values(Constants.CLIENT_EVENT_TYPES);
+    assert.equal(new Set(values).size, values.length);
+    assert.ok(!values.includes('error'));
+});
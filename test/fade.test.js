@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { wait, until, createEnv } = require('./helpers');
+
+let env;
+let volumes; // Volumes sent to Lavalink, in order
+beforeEach(async () => {
+    env = await createEnv();
+    env.server.addTrack({ title: 'Alpha', author: 'Band', length: 2000, identifier: 'aaa' });
+    env.server.addTrack({ title: 'Beta', author: 'Band', length: 2000, identifier: 'bbb' });
+    volumes = [];
+    env.server.on('request', ({ method, body }) => {
+        if (method === 'PATCH' && typeof body?.volume === 'number') volumes.push(body.volume);
+    });
+});
+afterEach(() => env.teardown());
+
+async function playingPlayer(options, titles = ['Alpha']) {
+    const player = env.manager.createPlayer('g1', options);
+    await player.connect('vc1');
+    for (const title of titles) await player.add((await env.manager.search(title)).tracks);
+    await until(() => player.current?.title === titles[0] && player.isPlaying);
+    volumes.length = 0;
+    return player;
+}
+
+test('fadeVolume() steps the volume every 100ms and commits the target', async () => {
+    const player = await playingPlayer();
+    assert.equal(await player.fadeVolume(40, 300), true);
+    assert.deepEqual(volumes, [80, 60, 40]);
+    assert.equal(player.volume, 40);
+});
+
+test('a new fade, setVolume(), pause() or stop() cancels a running fade', async () => {
+    const player = await playingPlayer();
+    const first = player.fadeVolume(0, 500);
+    await wait(150);
+    assert.equal(await player.fadeVolume(100, 200), true);
+    assert.equal(await first, false);
+    assert.equal(player.volume, 100);
+
+    for (const interrupt of [() => player.setVolume(70), () => player.pause(true), () => player.stop(false)]) {
+        const fade = player.fadeVolume(0, 500);
+        await wait(150);
+        await interrupt();
+        const sent = volumes.length;
+        assert.equal(await fade, false);
+        await wait(150);
+        assert.equal(volumes.length, sent, 'no volume is sent after the interruption');
+        if (player.isPaused) await player.pause(false);
+    }
+});
+
+test('fadeOutDuration fades out before a skip and the next track starts at full volume', async () => {
+    const player = await playingPlayer({ fadeOutDuration: 200 }, ['Alpha', 'Beta']);
+    await player.skip();
+    await until(() => player.current?.title === 'Beta');
+    assert.deepEqual(volumes, [50, 0, 100]);
+    assert.equal(env.server.getPlayer('g1').volume, 100);
+});
+
+test('fadeInDuration starts silent and fades in when playback resumes', async () => {
+    const player = await playingPlayer();
+    player.options.fadeInDuration = 200;
+    await player.pause(true);
+    volumes.length = 0;
+    await player.pause(false);
+    await until(() => volumes.length === 3);
+    assert.deepEqual(volumes, [0, 50, 100]);
+});
+
+test('crossfade fades out at the end of the track and fades the next one in, restoring the volume', async () => {
+    const player = await playingPlayer({ crossfadeDuration: 600 }, ['Alpha', 'Beta']);
+    const startedAt = Date.now();
+    env.server.sendPlayerUpdate('g1'); // Lavalink sends these every few seconds; the timer is (re)armed from them
+    await until(() => volumes.length > 0);
+    const firedAfter = Date.now() - startedAt;
+    assert.ok(firedAfter >= 1500 && firedAfter < 1900, `fade out began ${firedAfter}ms in, expected ~1800ms`);
+
+    await until(() => player.current?.title === 'Beta');
+    await until(() => volumes.at(-1) === 100);
+    assert.deepEqual(volumes, [67, 33, 0, 33, 67, 100]);
+    assert.equal(player.volume, 100);
+    assert.equal(env.server.getPlayer('g1').volume, 100);
+});
+
+test('crossfade is not armed without a next track or for tracks shorter than three windows', async () => {
+    const player = await playingPlayer({ crossfadeDuration: 600 });
+    assert.equal(player._crossfadeTimer, null);
+    player.setCrossfade(1000);
+    await player.add((await env.manager.search('Beta')).tracks);
+    assert.equal(player._crossfadeTimer, null);
+    player.setCrossfade(600);
+    assert.notEqual(player._crossfadeTimer, null);
+});
@@ -0,0 +1,56 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createEnv } = require('./helpers');
+
+let env;
+let player;
+const filterPatches = () => env.server.requests.filter(r => r.method === 'PATCH' && r.body?.filters).length;
+beforeEach(async () => {
+    env = await createEnv();
+    player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+});
+afterEach(() => env.teardown());
+
+test('setters send valid filters to Lavalink', async () => {
+    await player.setKaraoke({ level: 1, monoLevel: 0.5 });
+    await player.setTremolo({ frequency: 2, depth: 0.5 });
+    await player.setFilterVolume(2);
+    await player.setEqualizer([{ band: 14, gain: -0.25 }]);
+    assert.deepEqual(env.server.getPlayer('g1').filters, {
+        karaoke: { level: 1, monoLevel: 0.5 },
+        tremolo: { frequency: 2, depth: 0.5 },
+        volume: 2,
+        equalizer: [{ band: 14, gain: -0.25 }],
+    });
+});
+
+test('out of range and unknown values are rejected without contacting Lavalink', async () => {
+    const invalid = [
+        () => player.setFilterVolume(5.1),
+        () => player.setFilterVolume(-1),
+        () => player.setEqualizer([{ band: 15, gain: 0 }]),
+        () => player.setEqualizer([{ band: 0, gain: 1.5 }]),
+        () => player.setEqualizer({ band: 0, gain: 0 }),
+        () => player.setKaraoke({ level: 2 }),
+        () => player.setTremolo({ frequency: 0 }),
+        () => player.setTremolo({ depth: 1.01 }),
+        () => player.setVibrato({ frequency: 14.5 }),
+        () => player.setChannelMix({ leftToRight: -0.1 }),
+        () => player.setTimescale({ speed: -1 }),
+        () => player.setLowPass({ smoothing: Number.NaN }),
+        () => player.setRotation({ rotationHz: 'fast' }),
+        () => player.setDistortion({ wobble: 1 }),
+        () => player.updateFilters({ echo: { delay: 1 } }),
+        () => player.setPluginFilter('', {}),
+    ];
+    for (const call of invalid) await assert.rejects(call, Error, String(call));
+    assert.equal(filterPatches(), 0);
+});
+
+test('null turns a single filter off and keeps the others', async () => {
+    await player.updateFilters({ karaoke: { level: 1 }, lowPass: { smoothing: 20 } });
+    await player.setKaraoke(null);
+    assert.deepEqual(env.server.getPlayer('g1').filters, { lowPass: { smoothing: 20 } });
+    assert.equal(player.getFilters().karaoke, null);
+});
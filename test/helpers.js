@@ -0,0 +1,71 @@
+const { Manager, MockLavalinkServer, MockDiscordGateway } = require('..');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Polls `predicate` until it returns a truthy value, failing after `timeout` ms. */
+async function until(predicate, timeout = 3000) {
+    const end = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > end) throw new Error(`Timed out waiting for: ${predicate}`);
+        await wait(10);
+    }
+}
+
+/**
+ * Starts a mock Lavalink server and a Manager connected to it through a mock Discord gateway.
+ * @param {object} [options={}]
+ * @param {object} [options.server] MockLavalinkServer options.
+ * @param {object} [options.node] Extra node options.
+ * @param {object} [options.manager] Extra Manager options.
+ * @param {number} [options.nodes=1] How many nodes (all pointing at the same server) to add.
+ */
+async function createEnv({ server: serverOptions, node: nodeOptions, manager: managerOptions, nodes = 1 } = {}) {
+    const server = new MockLavalinkServer(serverOptions);
+    await server.start();
+    const gateway = new MockDiscordGateway({ userId: 'bot', stateDelay: 1, serverDelay: 2 });
+    const manager = new Manager({
+        userId: 'bot',
+        send: gateway.send,
+        nodes: Array.from({ length: nodes }, (_, i) => ({
+            ...server.nodeOptions,
+            identifier: `node-${i + 1}`,
+            reconnect: { maxTries: 5, initialDelay: 50, maxDelay: 100 },
+            ...nodeOptions,
+        })),
+        ...managerOptions,
+    });
+    gateway.attach(manager);
+    await until(() => [...manager.nodes.values()].every(node => node.connected));
+
+    const teardown = async () => {
+        for (const player of [...manager.players.values()]) await player.destroy().catch(() => {});
+        gateway.destroy();
+        for (const node of manager.nodes.values()) node.destroy();
+        await server.stop();
+    };
+    return { server, gateway, manager, teardown };
+}
+
+/** Records the names of `events` emitted by `emitter`, in order. */
+function recordEvents(emitter, events) {
+    const seen = [];
+    for (const event of events) emitter.on(event, () => seen.push(event));
+    return seen;
+}
+
+/** Lavalink stats with the given playing players and CPU load (0-1). */
+const nodeStats = (playingPlayers, systemLoad = 0) => ({ players: playingPlayers, playingPlayers, cpu: { systemLoad } });
+
+/** A plain object with the Node fields node selection looks at. */
+function stubNode(identifier, { stats = nodeStats(0), regions = [], connected = true, draining = false } = {}) {
+    return { identifier, stats, regions, connected, sessionId: connected ? `s-${identifier}` : null, draining, players: new Map() };
+}
+
+/** A Manager without real nodes, holding the given stub nodes. */
+function managerWith(nodes, options = {}) {
+    const manager = new Manager({ send: () => {}, ...options });
+    for (const node of nodes) manager.nodes.set(node.identifier, node);
+    return manager;
+}
+
+module.exports = { wait, until, createEnv, recordEvents, nodeStats, stubNode, managerWith };
@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createEnv } = require('./helpers');
+
+let env;
+let player;
+let events;
+beforeEach(async () => {
+    env = await createEnv();
+    player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+    events = [];
+    env.manager.on('listenerJoin', (p, userId) => events.push(['join', userId]));
+    env.manager.on('listenerLeave', (p, userId) => events.push(['leave', userId]));
+    env.manager.on('channelEmpty', () => events.push(['empty']));
+    env.manager.on('channelOccupied', () => events.push(['occupied']));
+});
+afterEach(() => env.teardown());
+
+test('members joining and leaving the bot\'s channel are tracked as listeners', async () => {
+    await env.gateway.memberJoin('g1', 'u1', 'vc1');
+    await env.gateway.memberJoin('g1', 'u2', 'vc1', { deaf: true });
+    assert.deepEqual([...player.listeners.keys()], ['u1', 'u2']);
+    assert.equal(player.activeListenerCount, 1);
+
+    await env.gateway.memberLeave('g1', 'u1');
+    await env.gateway.memberLeave('g1', 'u2');
+    assert.equal(player.listeners.size, 0);
+    assert.deepEqual(events, [['join', 'u1'], ['occupied'], ['join', 'u2'], ['leave', 'u1'], ['leave', 'u2'], ['empty']]);
+});
+
+test('bots and members of other channels are not listeners', async () => {
+    await env.gateway.memberJoin('g1', 'robot', 'vc1', { bot: true });
+    await env.gateway.memberJoin('g1', 'u1', 'vc2');
+    await env.gateway.memberJoin('g2', 'u2', 'vc1');
+    assert.equal(player.listeners.size, 0);
+    assert.equal(env.manager.getVoiceStates('g1').has('robot'), false);
+    assert.deepEqual(events, []);
+});
+
+test('members moving between channels join and leave the listeners', async () => {
+    await env.gateway.memberJoin('g1', 'u1', 'vc2');
+    await env.gateway.memberJoin('g1', 'u1', 'vc1');
+    assert.deepEqual([...player.listeners.keys()], ['u1']);
+    await env.gateway.memberJoin('g1', 'u1', 'vc2');
+    assert.equal(player.listeners.size, 0);
+    assert.deepEqual(events, [['join', 'u1'], ['occupied'], ['leave', 'u1'], ['empty']]);
+});
+
+test('the bot moving to another channel takes whoever is there as listeners', async () => {
+    await env.gateway.memberJoin('g1', 'u1', 'vc1');
+    await env.gateway.memberJoin('g1', 'u2', 'vc2');
+    await env.gateway.moveToChannel('g1', 'vc2');
+    assert.equal(player.voiceChannelId, 'vc2');
+    assert.deepEqual([...player.listeners.keys()], ['u2']);
+    assert.deepEqual(events, [['join', 'u1'], ['occupied'], ['leave', 'u1'], ['join', 'u2']]);
+});
+
+test('handleGuildCreate() seeds listeners already in voice, skipping bots and the bot itself', () => {
+    env.manager.handleGuildCreate({
+        id: 'g1',
+        members: [{ user: { id: 'robot', bot: true } }, { user: { id: 'u1', bot: false } }],
+        voice_states: [
+            { user_id: 'u1', channel_id: 'vc1', self_deaf: false },
+            { user_id: 'u2', channel_id: 'vc1', self_deaf: true },
+            { user_id: 'robot', channel_id: 'vc1' },
+            { user_id: 'bot', channel_id: 'vc1' },
+            { user_id: 'u3', channel_id: 'vc2' },
+        ],
+    });
+    assert.deepEqual([...player.listeners.keys()], ['u1', 'u2']);
+    assert.equal(player.activeListenerCount, 1);
+    assert.deepEqual([...env.manager.getVoiceStates('g1').keys()], ['u1', 'u2', 'u3']);
+    assert.deepEqual(events, [['join', 'u1'], ['join', 'u2'], ['occupied']]);
+});
@@ -0,0 +1,87 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { until, createEnv, recordEvents } = require('./helpers');
+
+let env;
+afterEach(() => env?.teardown());
+
+test('a node reports ready with a session ID and stats', async () => {
+    env = await createEnv();
+    const node = env.manager.nodes.get('node-1');
+    assert.ok(node.sessionId);
+    await until(() => node.stats);
+    assert.equal(env.manager.getIdealNode(), node);
+});
+
+test('a resumed session resyncs players from Lavalink', async () => {
+    env = await createEnv({ node: { resume: true } });
+    const node = env.manager.nodes.get('node-1');
+    const events = recordEvents(env.manager, ['nodeDisconnect', 'nodeResumed']);
+    let results;
+    env.manager.on('nodeResumed', (_node, reconcile) => { results = reconcile; });
+    const player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+    await until(() => env.server.sessions.get(node.sessionId)?.resuming);
+    const sessionId = node.sessionId;
+
+    env.server.dropConnections();
+    await until(() => events.includes('nodeResumed'), 4000);
+    assert.equal(node.sessionId, sessionId);
+    assert.deepEqual(results.synced, ['g1']);
+    assert.equal(events[0], 'nodeDisconnect');
+});
+
+test('drainNode() moves players to another node', async () => {
+    env = await createEnv({ nodes: 2 });
+    const player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+    const source = player.node;
+    const summary = await env.manager.drainNode(source.identifier);
+    assert.deepEqual(summary, { moved: 1, failed: 0, cancelled: false });
+    assert.notEqual(player.node, source);
+    assert.equal(source.players.size, 0);
+});
+
+test('configureResuming() still accepts a legacy resume key, with a warning', async () => {
+    env = await createEnv();
+    const node = env.manager.nodes.get('node-1');
+    const warnings = [];
+    env.manager.on('warn', message => warnings.push(message));
+
+    await node.configureResuming('my-key', 30);
+    const session = env.server.sessions.get(node.sessionId);
+    assert.equal(session.resuming, true);
+    assert.equal(session.timeout, 30);
+    assert.equal(warnings.length, 1);
+
+    await node.configureResuming(null, 45);
+    assert.equal(session.resuming, true);
+    assert.equal(session.timeout, 45);
+    await node.configureResuming(false);
+    assert.equal(session.resuming, false);
+});
+
+test('drainNode() gives up when no node can take a player, leaving it playing on the node', async () => {
+    env = await createEnv();
+    const player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+    const node = player.node;
+    const ends = recordEvents(env.manager, ['nodeDrainEnd']);
+
+    const summary = await env.manager.drainNode(node.identifier, { retryDelay: 10, maxRetries: 2 });
+    assert.deepEqual(summary, { moved: 0, failed: 1, cancelled: false });
+    assert.deepEqual(ends, ['nodeDrainEnd']);
+    assert.equal(player.node, node);
+    assert.ok(player.isConnected);
+    assert.ok(env.server.getPlayer('g1'));
+});
+
+test('drainNode() stops at its timeout', async () => {
+    env = await createEnv();
+    const player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+    const started = Date.now();
+    const summary = await env.manager.drainNode(player.node.identifier, { retryDelay: 1000, maxRetries: Infinity, timeout: 50 });
+    assert.ok(Date.now() - started < 500);
+    assert.deepEqual(summary, { moved: 0, failed: 1, cancelled: false });
+});
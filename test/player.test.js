@@ -0,0 +1,187 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Constants, UnresolvedTrack } = require('..');
+const { until, createEnv, recordEvents } = require('./helpers');
+
+let env;
+beforeEach(async () => {
+    env = await createEnv();
+    env.server.addTrack({ title: 'Alpha', author: 'Band', length: 60000, identifier: 'aaa' });
+    env.server.addTrack({ title: 'Beta', author: 'Band', length: 60000, identifier: 'bbb' });
+    env.server.addTrack({ title: 'Gamma', author: 'Band', length: 60000, identifier: 'ccc' });
+});
+afterEach(() => env.teardown());
+
+async function connectedPlayer(guildId = 'g1') {
+    const player = env.manager.createPlayer(guildId);
+    await player.connect('vc1');
+    return player;
+}
+
+test('connect() completes the voice handshake and sends the voice state to Lavalink', async () => {
+    const player = await connectedPlayer();
+    assert.ok(player.isConnected);
+    assert.equal(player.voiceChannelId, 'vc1');
+    assert.equal(env.gateway.payloads[0].payload.d.channel_id, 'vc1');
+    assert.equal(env.server.getPlayer('g1').state.connected, true);
+});
+
+test('add() starts playback and the queue advances on TrackEndEvent', async () => {
+    const player = await connectedPlayer();
+    const events = recordEvents(env.manager, ['trackStart', 'trackEnd', 'queueEnd']);
+    const { tracks } = await env.manager.search('Band');
+    const { accepted } = await player.add(tracks);
+    assert.equal(accepted.length, 3);
+
+    await until(() => events.includes('trackStart'));
+    assert.equal(player.current.title, 'Alpha');
+    assert.equal(env.server.getPlayer('g1').track.info.title, 'Alpha');
+
+    env.server.emitTrackEnd('g1');
+    await until(() => player.current?.title === 'Beta');
+    assert.deepEqual(player.queue.history.map(t => t.title), ['Alpha']);
+
+    await player.skip();
+    await until(() => player.current?.title === 'Gamma');
+    env.server.emitTrackEnd('g1');
+    await until(() => events.includes('queueEnd'));
+    assert.equal(player.current, null);
+});
+
+test('pause, seek, volume and filters are sent to Lavalink and emitted on both emitters', async () => {
+    const player = await connectedPlayer();
+    const managerEvents = recordEvents(env.manager, ['playerPause', 'playerResume', 'playerSeek', 'playerVolumeUpdate', 'playerFiltersUpdate']);
+    const playerEvents = recordEvents(player, ['playerPause', 'playerResume', 'playerSeek', 'playerVolumeUpdate', 'playerFiltersUpdate']);
+    await player.add((await env.manager.search('Alpha')).tracks[0]);
+    await until(() => player.isPlaying);
+
+    await player.pause();
+    assert.equal(env.server.getPlayer('g1').paused, true);
+    await player.resume();
+    await player.seek(1000);
+    await player.setVolume(50);
+    assert.equal(env.server.getPlayer('g1').volume, 50);
+    await player.applyPreset('nightcore');
+    assert.deepEqual(env.server.getPlayer('g1').filters.timescale, Constants.FILTER_PRESETS.nightcore.timescale);
+
+    const expected = ['playerPause', 'playerResume', 'playerSeek', 'playerVolumeUpdate', 'playerFiltersUpdate'];
+    assert.deepEqual(managerEvents, expected);
+    assert.deepEqual(playerEvents, expected);
+});
+
+test('destroy() removes the player from Lavalink and the manager', async () => {
+    const player = await connectedPlayer();
+    const managerEvents = recordEvents(env.manager, ['playerDestroy']);
+    const playerEvents = recordEvents(player, ['playerDestroy']);
+    await player.destroy();
+    assert.equal(env.server.getPlayer('g1'), null);
+    assert.equal(env.manager.getPlayer('g1'), undefined);
+    assert.deepEqual(managerEvents, ['playerDestroy']);
+    assert.deepEqual(playerEvents, ['playerDestroy']);
+});
+
+test('being kicked from the voice channel destroys the player', async () => {
+    const player = await connectedPlayer();
+    await env.gateway.forceDisconnect('g1');
+    await until(() => player.state === Constants.PLAYER_STATE.DESTROYED);
+});
+
+test('connect() rejects when Discord sends no voice token', async () => {
+    env.gateway.setBehavior({ missingToken: true });
+    const player = env.manager.createPlayer('g2');
+    await assert.rejects(player.connect('vc1'));
+});
+
+test('an unresolvable track emits trackException with the same exception on both emitters and is skipped', async () => {
+    const player = await connectedPlayer();
+    const seen = [];
+    env.manager.on('trackException', (p, track, exception) => seen.push(['manager', track.title, exception]));
+    player.on('trackException', (p, track, exception) => seen.push(['player', track.title, exception]));
+    await player.add([new UnresolvedTrack({ title: 'Nothing Matches This' }), (await env.manager.search('Beta')).tracks[0]]);
+    await until(() => player.current?.title === 'Beta');
+
+    assert.equal(seen.length, 2);
+    assert.equal(seen[0][2], seen[1][2]);
+    assert.deepEqual(Object.keys(seen[0][2]).sort(), ['cause', 'message', 'severity']);
+    assert.equal(seen[0][1], 'Nothing Matches This');
+});
+
+test('Lavalink trackException and trackStuck pass the same arguments on both emitters', async () => {
+    const player = await connectedPlayer();
+    await player.add((await env.manager.search('Band')).tracks);
+    await until(() => player.current?.title === 'Alpha');
+    const seen = { manager: [], player: [] };
+    for (const [name, emitter] of [['manager', env.manager], ['player', player]]) {
+        emitter.on('trackException', (p, track, exception) => seen[name].push(['trackException', track?.title, exception]));
+        emitter.on('trackStuck', (p, track, thresholdMs) => seen[name].push(['trackStuck', track?.title, thresholdMs]));
+    }
+
+    env.server.emitTrackStuck('g1', 5000);
+    await until(() => seen.manager.length === 1);
+    env.server.emitTrackException('g1', { message: 'Decoding failed' });
+    await until(() => seen.manager.length === 2);
+
+    assert.deepEqual(seen.player, seen.manager);
+    assert.deepEqual(seen.manager[0], ['trackStuck', 'Alpha', 5000]);
+    assert.equal(seen.manager[1][0], 'trackException');
+    assert.deepEqual(seen.manager[1][2], { message: 'Decoding failed', severity: 'common', cause: 'MockLavalinkServer' });
+});
+
+test('with the queue loop in fair mode a finished track goes back to the end of the queue', async () => {
+    const player = await connectedPlayer();
+    player.setFairQueue(true);
+    player.setLoop(Constants.LOOP_MODE.QUEUE);
+    const { tracks } = await env.manager.search('Band');
+    await player.add(tracks[0], 'alice');
+    await until(() => player.current?.title === 'Alpha');
+    await player.add(tracks.slice(1), 'bob');
+
+    env.server.emitTrackEnd('g1');
+    await until(() => player.current?.title === 'Beta');
+    assert.deepEqual(player.queue.tracks.map(t => t.title), ['Gamma', 'Alpha']);
+});
+
+test('queue limits apply to added tracks, not to tracks the queue loop puts back', async () => {
+    const player = await connectedPlayer();
+    const { tracks } = await env.manager.search('Band');
+    await player.add(tracks.slice(0, 2));
+    await until(() => player.current?.title === 'Alpha');
+    player.setQueueLimits({ maxSize: 1 });
+    player.setLoop(Constants.LOOP_MODE.QUEUE);
+
+    const { rejected } = await player.add(tracks[2]);
+    assert.deepEqual(rejected.map(r => r.reason), [Constants.TRACK_REJECT_REASON.QUEUE_FULL]);
+
+    env.server.emitTrackEnd('g1');
+    await until(() => player.current?.title === 'Beta');
+    assert.deepEqual(player.queue.tracks.map(t => t.title), ['Alpha']);
+    await player.skip();
+    await until(() => player.current?.title === 'Alpha');
+    assert.deepEqual(player.queue.tracks.map(t => t.title), ['Beta']);
+});
+
+test('an unresolvable track queued after the current one is skipped when the current track ends', async () => {
+    const player = await connectedPlayer();
+    const { tracks } = await env.manager.search('Band');
+    const errors = recordEvents(env.manager, ['playerError', 'trackException']);
+    await player.add([tracks[0], new UnresolvedTrack({ title: 'Nothing Matches This' }), tracks[1]]);
+    await until(() => player.current?.title === 'Alpha');
+
+    env.server.emitTrackEnd('g1');
+    await until(() => player.current?.title === 'Beta');
+    assert.equal(env.server.getPlayer('g1').track.info.title, 'Beta');
+    assert.deepEqual(player.queue.tracks.map(t => t.title), []);
+    assert.deepEqual(errors, ['trackException']);
+});
+
+test('a resolved placeholder is not recorded in the history', async () => {
+    const player = await connectedPlayer();
+    const { tracks } = await env.manager.search('Alpha');
+    await player.add([tracks[0], new UnresolvedTrack({ title: 'Beta', author: 'Band' })]);
+    await until(() => player.current?.title === 'Alpha');
+
+    env.server.emitTrackEnd('g1');
+    await until(() => player.current?.title === 'Beta');
+    assert.ok(!(player.current instanceof UnresolvedTrack));
+    assert.deepEqual(player.queue.history.map(t => `${t.constructor.name}:${t.title}`), ['Track:Alpha']);
+});
@@ -0,0 +1,61 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createEnv } = require('./helpers');
+
+let env;
+let player;
+beforeEach(async () => {
+    env = await createEnv();
+    player = env.manager.createPlayer('g1');
+    await player.connect('vc1');
+});
+afterEach(() => env.teardown());
+
+test('applyPreset() rejects unknown presets', async () => {
+    await assert.rejects(player.applyPreset('does-not-exist'), /Unknown filter preset "does-not-exist"/);
+    assert.deepEqual(player.activePresets, []);
+});
+
+test('registered presets can be applied, stacked and removed', async () => {
+    env.manager.registerFilterPreset('Chipmunk', { timescale: { pitch: 1.8 } });
+    await player.applyPreset('chipmunk');
+    await player.applyPreset('8d');
+    assert.deepEqual(player.activePresets, ['chipmunk', '8d']);
+    assert.deepEqual(env.server.getPlayer('g1').filters, { timescale: { pitch: 1.8 }, rotation: { rotationHz: 0.2 } });
+
+    assert.equal(await player.removePreset('CHIPMUNK'), true);
+    assert.equal(await player.removePreset('chipmunk'), false);
+    assert.deepEqual(env.server.getPlayer('g1').filters, { rotation: { rotationHz: 0.2 } });
+});
+
+test('unregisterFilterPreset() removes the preset for new applications only', async () => {
+    env.manager.registerFilterPreset('muffled', { lowPass: { smoothing: 30 } });
+    await player.applyPreset('muffled');
+    assert.equal(env.manager.unregisterFilterPreset('muffled'), true);
+    assert.equal(env.manager.unregisterFilterPreset('muffled'), false);
+    assert.equal(env.manager.getFilterPreset('muffled'), null);
+
+    assert.deepEqual(env.server.getPlayer('g1').filters, { lowPass: { smoothing: 30 } });
+    await player.removePreset('muffled');
+    assert.deepEqual(env.server.getPlayer('g1').filters, {});
+    await assert.rejects(player.applyPreset('muffled'), /Unknown filter preset/);
+});
+
+test('registerFilterPreset() validates the name and stores a copy', async () => {
+    assert.throws(() => env.manager.registerFilterPreset('  ', { volume: 2 }), /Invalid filter preset name/);
+    assert.throws(() => env.manager.registerFilterPreset('empty', {}), /non-empty filter object/);
+    assert.throws(() => env.manager.registerFilterPreset('list', [{ band: 0, gain: 0.1 }]), /non-empty filter object/);
+
+    const filters = { timescale: { speed: 1.3 } };
+    env.manager.registerFilterPreset('fast', filters);
+    filters.timescale.speed = 9;
+    env.manager.getFilterPreset('fast').timescale.speed = 7;
+    assert.deepEqual(env.manager.getFilterPreset('fast'), { timescale: { speed: 1.3 } });
+});
+
+test('a registered preset with out of range values is rejected when applied', async () => {
+    env.manager.registerFilterPreset('broken', { karaoke: { level: 3 } });
+    await assert.rejects(player.applyPreset('broken'), /Invalid karaoke setting for 'level'/);
+    assert.deepEqual(player.activePresets, []);
+    assert.deepEqual(env.server.getPlayer('g1').filters, {});
+});
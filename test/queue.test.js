@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Queue = require('../src/Queue');
+const { Track, TrackCodec, Constants } = require('..');
+
+const track = (title, requester = null, length = 1000) => new Track({ encoded: `enc-${title}`, info: { title, identifier: title, sourceName: 'test', length } }, requester);
+const titles = (tracks) => tracks.map(t => t.title);
+
+function queueOf(...names) {
+    const queue = new Queue();
+    queue.add(names.map(name => track(name)));
+    return queue;
+}
+
+test('add() inserts at a position and appends when the position is out of range', () => {
+    const queue = queueOf('a', 'b');
+    queue.add(track('x'), 1);
+    queue.add(track('y'), 99);
+    assert.deepEqual(titles(queue.tracks), ['a', 'x', 'b', 'y']);
+});
+
+test('insertAt() inserts at the exact index and rejects out of range indexes', () => {
+    const queue = queueOf('a', 'b');
+    queue.insertAt(0, [track('x'), track('y')]);
+    queue.insertAt(4, track('z'));
+    assert.deepEqual(titles(queue.tracks), ['x', 'y', 'a', 'b', 'z']);
+    assert.throws(() => queue.insertAt(6, track('n')), RangeError);
+    assert.throws(() => queue.insertAt(-1, track('n')), RangeError);
+    assert.throws(() => queue.insertAt(1.5, track('n')), RangeError);
+});
+
+test('removeAt() returns the removed track, or null when out of range', () => {
+    const queue = queueOf('a', 'b', 'c');
+    assert.equal(queue.removeAt(1).title, 'b');
+    assert.equal(queue.removeAt(2), null);
+    assert.equal(queue.removeAt(-1), null);
+    assert.deepEqual(titles(queue.tracks), ['a', 'c']);
+});
+
+test('removeRange() removes [start, end) and clamps end to the queue size', () => {
+    const queue = queueOf('a', 'b', 'c', 'd', 'e');
+    assert.deepEqual(titles(queue.removeRange(1, 3)), ['b', 'c']);
+    assert.deepEqual(titles(queue.tracks), ['a', 'd', 'e']);
+    assert.deepEqual(queue.removeRange(1, 1), []);
+    assert.deepEqual(titles(queue.removeRange(1, 99)), ['d', 'e']);
+    assert.throws(() => queue.removeRange(2, 1), RangeError);
+    assert.throws(() => queue.removeRange(-1, 1), RangeError);
+});
+
+test('move() and swap() reorder upcoming tracks and check both indexes', () => {
+    const queue = queueOf('a', 'b', 'c', 'd');
+    assert.equal(queue.move(0, 2).title, 'a');
+    assert.deepEqual(titles(queue.tracks), ['b', 'c', 'a', 'd']);
+    queue.move(3, 0);
+    assert.deepEqual(titles(queue.tracks), ['d', 'b', 'c', 'a']);
+    queue.swap(0, 3);
+    assert.deepEqual(titles(queue.tracks), ['a', 'b', 'c', 'd']);
+    assert.throws(() => queue.move(0, 4), RangeError);
+    assert.throws(() => queue.move(4, 0), RangeError);
+    assert.throws(() => queue.swap(0, -1), RangeError);
+});
+
+test('previous() rewinds through the history and puts the current track back in front', () => {
+    const queue = queueOf('a', 'b', 'c');
+    for (let i = 0; i < 3; i++) {
+        if (queue.current) queue.addToHistory(queue.current);
+        queue.poll();
+    }
+    assert.equal(queue.current.title, 'c');
+    assert.deepEqual(titles(queue.history), ['b', 'a']);
+
+    assert.equal(queue.previous().title, 'b');
+    assert.deepEqual(titles(queue.tracks), ['c']);
+    assert.equal(queue.previous().title, 'a');
+    assert.deepEqual(titles(queue.tracks), ['b', 'c']);
+    assert.equal(queue.previous(), null);
+    assert.equal(queue.current.title, 'a');
+});
+
+test('addToHistory() keeps at most maxHistory tracks, most recent first', () => {
+    const queue = new Queue({ maxHistory: 2 });
+    for (const name of ['a', 'b', 'c']) queue.addToHistory(track(name));
+    assert.deepEqual(titles(queue.history), ['c', 'b']);
+});
+
+test('poll() honours the loop modes', () => {
+    const queue = queueOf('a', 'b');
+    queue.poll();
+    queue.setLoop(Constants.LOOP_MODE.TRACK);
+    assert.equal(queue.poll().title, 'a');
+    queue.setLoop(Constants.LOOP_MODE.QUEUE);
+    assert.equal(queue.poll().title, 'b');
+    assert.deepEqual(titles(queue.tracks), ['a']);
+    assert.throws(() => queue.setLoop(3));
+});
+
+test('buildTrackFromEncoded() decodes encoded strings locally and returns null on garbage', async () => {
+    const queue = new Queue();
+    const encoded = TrackCodec.encodeTrack({ title: 'Song', author: 'Band', identifier: 'id', sourceName: 'youtube', length: 1234 });
+    const decoded = await queue.buildTrackFromEncoded(encoded);
+    assert.ok(decoded instanceof Track);
+    assert.equal(decoded.title, 'Song');
+    assert.equal(decoded.encoded, encoded);
+    assert.equal((await queue.buildTrackFromEncoded({ encoded, info: { title: 'Given' } })).title, 'Given');
+    assert.equal(await queue.buildTrackFromEncoded('not a track'), null);
+});
+
+test('clear() empties everything while clearUpcoming() keeps current and history', () => {
+    const queue = queueOf('a', 'b', 'c');
+    queue.poll();
+    queue.addToHistory(track('old'));
+    queue.clearUpcoming();
+    assert.equal(queue.size, 0);
+    assert.equal(queue.current.title, 'a');
+    assert.equal(queue.history.length, 1);
+    queue.clear();
+    assert.equal(queue.current, null);
+    assert.equal(queue.history.length, 0);
+});
+
+test('fair mode places new tracks at their requester\'s next turn, counting the current track', () => {
+    const queue = new Queue({ fair: true });
+    queue.current = track('a0', 'alice');
+    queue.add([track('a1', 'alice'), track('a2', 'alice')]);
+    queue.add(track('b1', 'bob'));
+    assert.deepEqual(titles(queue.tracks), ['b1', 'a1', 'a2']);
+
+    queue.add([track('b2', 'bob'), track('c1', 'carol')]);
+    assert.deepEqual(titles(queue.tracks), ['b1', 'c1', 'a1', 'b2', 'a2']);
+});
+
+test('fair mode keeps manual reordering and honours explicit positions', () => {
+    const queue = new Queue({ fair: true });
+    queue.add([track('a1', 'alice'), track('a2', 'alice'), track('b1', 'bob')]);
+    assert.deepEqual(titles(queue.tracks), ['a1', 'b1', 'a2']);
+
+    queue.move(2, 0);
+    queue.insertAt(1, track('c9', 'carol'));
+    queue.add(track('b2', 'bob'), 0);
+    assert.deepEqual(titles(queue.tracks), ['b2', 'a2', 'c9', 'a1', 'b1']);
+
+    queue.add(track('d1', 'dave'));
+    assert.deepEqual(titles(queue.tracks), ['b2', 'a2', 'c9', 'd1', 'a1', 'b1']);
+
+    queue.setFair(true); // Already on: nothing is re-ordered
+    assert.deepEqual(titles(queue.tracks), ['b2', 'a2', 'c9', 'd1', 'a1', 'b1']);
+});
+
+test('setFair(true) interleaves the queue once and the queue loop re-adds at the end', () => {
+    const queue = queueOf('x1', 'x2');
+    queue.add([track('a1', 'alice'), track('a2', 'alice'), track('b1', 'bob')]);
+    queue.setFair(true);
+    assert.deepEqual(titles(queue.tracks), ['x1', 'a1', 'b1', 'x2', 'a2']);
+
+    queue.setLoop(Constants.LOOP_MODE.QUEUE);
+    queue.poll();
+    queue.poll();
+    assert.deepEqual(titles(queue.tracks), ['b1', 'x2', 'a2', 'x1']);
+});
+
+test('limits are checked by validate() only; add() and insertAt() do not reject', () => {
+    const queue = queueOf('a', 'b');
+    queue.setLimits({ maxSize: 2, duplicates: Constants.DUPLICATE_POLICY.REJECT });
+    const { accepted, rejected } = queue.validate([track('c'), track('a')]);
+    assert.deepEqual(accepted, []);
+    assert.deepEqual(rejected.map(r => r.reason), [Constants.TRACK_REJECT_REASON.QUEUE_FULL, Constants.TRACK_REJECT_REASON.QUEUE_FULL]);
+
+    queue.add(track('c'));
+    queue.insertAt(0, track('a'));
+    assert.deepEqual(titles(queue.tracks), ['a', 'a', 'b', 'c']);
+});
@@ -0,0 +1,53 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { getVoiceRegion } = require('../src/NodeStrategies');
+const { nodeStats, stubNode, managerWith } = require('./helpers');
+
+test('getIdealNode() prefers nodes of the region and falls back to the others', () => {
+    const us = stubNode('us', { stats: nodeStats(9), regions: ['us-east'] });
+    const eu = stubNode('eu', { stats: nodeStats(0), regions: ['fra', 'rotterdam'] });
+    const manager = managerWith([us, eu]);
+    assert.equal(manager.getIdealNode({ region: 'us-east' }), us);
+    assert.equal(manager.getIdealNode({ region: 'fra' }), eu);
+    assert.equal(manager.getIdealNode({ region: 'singapore' }), eu);
+
+    us.connected = false;
+    assert.equal(manager.getIdealNode({ region: 'us-east' }), eu);
+});
+
+test('_routeByRegion() reassigns connecting players, migrates active ones only when enabled, and keeps the node otherwise', async () => {
+    const us = stubNode('us', { regions: ['us-east'] });
+    const eu = stubNode('eu', { regions: ['fra'] });
+    const stubPlayer = (state, region) => ({
+        guildId: 'g1', state, voiceRegion: region, node: eu,
+        _assignNode: mock.fn(function (node) { this.node = node; }),
+        moveToNode: mock.fn(async function (node) { this.node = node; }),
+    });
+
+    const manager = managerWith([us, eu]);
+    const connecting = stubPlayer('WAITING_FOR_SERVER', 'us-east');
+    await manager._routeByRegion(connecting);
+    assert.equal(connecting.node, us);
+
+    const active = stubPlayer('PLAYING', 'us-east');
+    await manager._routeByRegion(active);
+    assert.equal(active.node, eu);
+    manager.regionMigration = true;
+    await manager._routeByRegion(active);
+    assert.equal(active.node, us);
+    assert.equal(active.moveToNode.mock.callCount(), 1);
+
+    const nowhere = stubPlayer('WAITING_FOR_SERVER', 'singapore');
+    await manager._routeByRegion(nowhere);
+    assert.equal(nowhere.node, eu);
+    assert.equal(nowhere._assignNode.mock.callCount(), 0);
+});
+
+test('getVoiceRegion() parses Discord voice endpoints', () => {
+    assert.equal(getVoiceRegion('us-east1234.discord.media:443'), 'us-east');
+    assert.equal(getVoiceRegion('wss://rotterdam5678.discord.media'), 'rotterdam');
+    assert.equal(getVoiceRegion('c-fra04-1a2b3c4d.discord.media'), 'fra');
+    assert.equal(getVoiceRegion('SYDNEY12.discord.gg'), 'sydney');
+    assert.equal(getVoiceRegion(''), null);
+    assert.equal(getVoiceRegion(null), null);
+});
@@ -0,0 +1,40 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createEnv } = require('./helpers');
+
+let env;
+beforeEach(async () => {
+    env = await createEnv({ manager: { trackCache: true } });
+    env.server.addTrack({ title: 'Alpha', author: 'Band', length: 60000 });
+});
+afterEach(() => env.teardown());
+
+const lastIdentifier = () => env.server.requests.filter(r => r.path === '/v4/loadtracks').at(-1).query.identifier;
+
+test('plain queries get the default search prefix, URLs and prefixed queries are passed through', async () => {
+    await env.manager.loadTracks('Alpha');
+    assert.equal(lastIdentifier(), 'ytsearch:Alpha');
+    await env.manager.loadTracks('scsearch:Alpha');
+    assert.equal(lastIdentifier(), 'scsearch:Alpha');
+    await env.manager.loadTracks('https://example.com/alpha');
+    assert.equal(lastIdentifier(), 'https://example.com/alpha');
+});
+
+test('an unknown per-call source is rejected instead of being registered', async () => {
+    await assert.rejects(env.manager.search('Alpha', { source: 'ytsearh' }), /Unknown search source/);
+    assert.equal(env.manager.searchPrefixes.has('ytsearh'), false);
+    await env.manager.loadTracks('ytsearh: foo');
+    assert.equal(lastIdentifier(), 'ytsearch:ytsearh: foo');
+
+    env.manager.registerSearchPrefix('mysearch:');
+    await env.manager.search('Alpha', { source: 'mysearch' });
+    assert.equal(lastIdentifier(), 'mysearch:Alpha');
+});
+
+test('search() returns Track instances with the requester and respects the limit', async () => {
+    env.server.addTrack({ title: 'Alpha Two', author: 'Band', length: 60000 });
+    const result = await env.manager.search('Alpha', { requester: { id: 'u1' }, limit: 1 });
+    assert.equal(result.loadType, 'search');
+    assert.equal(result.tracks.length, 1);
+    assert.equal(result.tracks[0].requester.id, 'u1');
+});
@@ -0,0 +1,69 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { MemoryStorage, JSONFileStorage } = require('..');
+const { createEnv } = require('./helpers');
+
+let env;
+afterEach(() => env?.teardown());
+
+async function savedPlayerSnapshot(storage) {
+    env = await createEnv({ manager: { storage } });
+    env.server.addTrack({ title: 'Alpha', length: 60000 });
+    env.server.addTrack({ title: 'Beta', length: 60000 });
+    const player = env.manager.createPlayer('g1');
+    player.queue.add((await env.manager.search('Alpha')).tracks.concat((await env.manager.search('Beta')).tracks));
+    player.volume = 40;
+    await env.manager.savePlayer(player);
+    const snapshot = await storage.get('g1');
+    await player.destroy(); // Also deletes the stored snapshot, so put it back as if the process had restarted
+    await storage.set('g1', snapshot);
+}
+
+test('restorePlayers() rebuilds the queue from storage.keys()', async () => {
+    const storage = new MemoryStorage();
+    await savedPlayerSnapshot(storage);
+    const [player] = await env.manager.restorePlayers({ connect: false });
+    assert.equal(player.guildId, 'g1');
+    assert.deepEqual(player.queue.tracks.map(t => t.title), ['Alpha', 'Beta']);
+    assert.equal(player.volume, 40);
+});
+
+test('restorePlayers() works with adapters that only implement get/set/delete when given guild IDs', async () => {
+    const data = new Map();
+    const storage = {
+        get: (guildId) => data.get(guildId) ?? null,
+        set: (guildId, snapshot) => { data.set(guildId, snapshot); },
+        delete: (guildId) => { data.delete(guildId); },
+    };
+    await savedPlayerSnapshot(storage);
+    await assert.rejects(env.manager.restorePlayers({ connect: false }), /guildIds/);
+    const restored = await env.manager.restorePlayers({ connect: false, guildIds: ['g1', 'unknown'] });
+    assert.deepEqual(restored.map(p => p.guildId), ['g1']);
+});
+
+test('restorePlayers() restores the stored queue even above the current queue limits', async () => {
+    const storage = new MemoryStorage();
+    await savedPlayerSnapshot(storage);
+    env.manager.playerOptions = { ...env.manager.playerOptions, queueLimits: { maxSize: 1 } };
+    const [player] = await env.manager.restorePlayers({ connect: false });
+    assert.equal(player.queue.limits.maxSize, 1);
+    assert.deepEqual(player.queue.tracks.map(t => t.title), ['Alpha', 'Beta']);
+});
+
+test('JSONFileStorage keeps every key written concurrently before the file was loaded', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'royal-lava-'));
+    try {
+        const filePath = path.join(dir, 'players.json');
+        await fs.writeFile(filePath, JSON.stringify({ g0: { volume: 10 } }));
+        const storage = new JSONFileStorage(filePath);
+        await Promise.all([storage.set('g1', { volume: 20 }), storage.set('g2', { volume: 30 }), storage.keys()]);
+
+        assert.deepEqual((await storage.keys()).sort(), ['g0', 'g1', 'g2']);
+        assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(filePath, 'utf8'))).sort(), ['g0', 'g1', 'g2']);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Constants } = require('..');
+const { calculatePenalty } = require('../src/NodeStrategies');
+const { nodeStats, stubNode, managerWith } = require('./helpers');
+
+test('calculatePenalty() grows with players and CPU load, and is Infinity without stats', () => {
+    assert.equal(calculatePenalty({ stats: nodeStats(0) }), 0);
+    assert.equal(calculatePenalty({ stats: nodeStats(5) }), 5);
+    assert.ok(calculatePenalty({ stats: nodeStats(0, 0.8) }) > calculatePenalty({ stats: nodeStats(5, 0.1) }));
+    assert.equal(calculatePenalty({ stats: null }), Infinity);
+});
+
+test('the penalty, least-players and least-cpu strategies pick the lowest score', () => {
+    const busy = stubNode('busy', { stats: nodeStats(10, 0.1) });
+    const hot = stubNode('hot', { stats: nodeStats(1, 0.9) });
+    const nodes = [busy, hot];
+
+    assert.equal(managerWith(nodes).getIdealNode(), busy); // 0.9 CPU outweighs 9 players
+    assert.equal(managerWith(nodes, { nodeSelectionStrategy: Constants.NODE_SELECTION_STRATEGY.LEAST_PLAYERS }).getIdealNode(), hot);
+    assert.equal(managerWith(nodes, { nodeSelectionStrategy: Constants.NODE_SELECTION_STRATEGY.LEAST_CPU }).getIdealNode(), busy);
+});
+
+test('round-robin cycles through the nodes in identifier order', () => {
+    const manager = managerWith([stubNode('c'), stubNode('a'), stubNode('b')], { nodeSelectionStrategy: 'round-robin' });
+    const picked = Array.from({ length: 4 }, () => manager.getIdealNode().identifier);
+    assert.deepEqual(picked, ['a', 'b', 'c', 'a']);
+});
+
+test('random-weighted favours the node with the lower penalty', (t) => {
+    const idle = stubNode('idle', { stats: nodeStats(0) }); // Weight 1
+    const busy = stubNode('busy', { stats: nodeStats(99) }); // Weight 0.01
+    const manager = managerWith([idle, busy], { nodeSelectionStrategy: 'random-weighted' });
+    const random = t.mock.method(Math, 'random', () => 0.5);
+    assert.equal(manager.getIdealNode(), idle);
+    random.mock.mockImplementation(() => 0.995);
+    assert.equal(manager.getIdealNode(), busy);
+});
+
+test('custom strategies receive the ready nodes and context, and bad picks fall back to penalty', () => {
+    const a = stubNode('a', { stats: nodeStats(3) });
+    const b = stubNode('b', { stats: nodeStats(1) });
+    const offline = stubNode('offline', { connected: false });
+    const calls = [];
+    const manager = managerWith([a, b, offline], {
+        nodeSelectionStrategy: (nodes, context) => {
+            calls.push([nodes.map(n => n.identifier), context.reason, context.guildId, context.manager === manager]);
+            return nodes[0];
+        },
+    });
+    assert.equal(manager.getIdealNode({ reason: 'createPlayer', guildId: 'g1' }), a);
+    assert.deepEqual(calls, [[['a', 'b'], 'createPlayer', 'g1', true]]);
+
+    manager.setNodeSelectionStrategy(() => offline);
+    assert.equal(manager.getIdealNode(), b);
+    manager.setNodeSelectionStrategy(() => { throw new Error('boom'); });
+    assert.equal(manager.getIdealNode(), b);
+    assert.throws(() => manager.setNodeSelectionStrategy('fastest'), /Unknown node selection strategy/);
+});
+
+test('getIdealNode() honours exclude and skips draining nodes except for REST lookups', () => {
+    const a = stubNode('a', { stats: nodeStats(0) });
+    const b = stubNode('b', { stats: nodeStats(5) });
+    const manager = managerWith([a, b]);
+    assert.equal(manager.getIdealNode({ exclude: a }), b);
+    assert.equal(manager.getIdealNode({ exclude: a, reason: 'createPlayer' }), b);
+
+    b.draining = true;
+    assert.equal(manager.getIdealNode({ exclude: a, reason: 'createPlayer' }), undefined);
+    assert.equal(manager.getIdealNode({ exclude: a, reason: 'loadTracks' }), b);
+});
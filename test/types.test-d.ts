@@ -0,0 +1,74 @@
+// Compile-only checks of index.d.ts (`npm run test:types`); nothing here is executed.
+import { Manager, Constants, Track, UnresolvedTrack, MemoryStorage, JSONFileStorage, TrackCodec, TrackCache, MockLavalinkServer, MockDiscordGateway, StorageAdapter } from '..';
+import type { Player, Node, Queue, LavalinkFilters, LavalinkException, SearchResult, PlayerSnapshot, PlayerStorage } from '..';
+
+async function usage() {
+    const server = new MockLavalinkServer();
+    await server.start();
+    const gateway = new MockDiscordGateway({ userId: 'bot' });
+    const manager = new Manager({ userId: 'bot', send: gateway.send, nodes: [server.nodeOptions], storage: new MemoryStorage(), trackCache: true });
+    gateway.attach(manager).on('dispatch', (type, data) => `${type}${data.guild_id}`);
+
+    // Events
+    manager.on('trackStart', (player, track) => player.guildId + track.title.toUpperCase());
+    manager.on('nodeDrainEnd', (node, summary) => summary.moved + node.identifier.length);
+    manager.on('debug', msg => msg.trim()).setMaxListeners(10);
+    manager.on('trackException', (_p, track, exception) => {
+        const e: LavalinkException = exception;
+        return track?.title ?? e.severity;
+    });
+    manager.on('trackStuck', (_p, _t, thresholdMs) => thresholdMs.toFixed());
+    manager.on(Constants.CLIENT_EVENT_TYPES.PLAYER_ERROR, (p, e, ctx) => e.message + ctx + p.guildId);
+    manager.on('playerVolumeUpdate', (p, oldV, newV) => oldV + newV + p.volume);
+    manager.on('someCustomEvent', (a: number) => a);
+    // @ts-expect-error wrong listener args
+    manager.on('trackStart', (_p: Player, t: number) => t);
+    // @ts-expect-error trackStuck passes the threshold, not the payload
+    manager.on('trackStuck', (_p: Player, _t: Track | null, payload: { thresholdMs: number }) => payload);
+
+    // Player & queue
+    const player: Player = manager.createPlayer('g1', { fairQueue: true, queueLimits: { maxSize: 10, duplicates: Constants.DUPLICATE_POLICY.REJECT } });
+    player.on('playerAutoLeave', (_p, reason) => { const r: 'emptyQueue' | 'emptyChannel' = reason; return r; }).on('error', e => e.message);
+    await player.connect('c1');
+    const result: SearchResult = await manager.search('hello', { limit: 2, requester: { id: 'u1' } });
+    const { accepted, rejected } = await player.add(result.tracks);
+    rejected.forEach(r => r.reason === Constants.TRACK_REJECT_REASON.QUEUE_FULL);
+    accepted[0]?.displayDuration;
+    player.listeners.size;
+    player.activeListenerCount;
+    await player.applyPreset('nightcore');
+    await player.setTimescale({ speed: 1.2 });
+    const filters: LavalinkFilters = player.getFilters();
+    filters.equalizer?.map(b => b.gain);
+    player.setLoop(Constants.LOOP_MODE.QUEUE);
+    // @ts-expect-error unknown loop mode
+    player.setLoop(5);
+    const queue: Queue = player.queue;
+    queue.add(result.tracks, 0);
+    queue.insertAt(0, result.tracks);
+    queue.move(0, 1);
+    queue.swap(0, 1);
+    queue.removeRange(0, 1).map(t => t.title);
+    queue.clearUpcoming();
+    queue.validate(result.tracks).accepted;
+
+    // Tracks
+    const track = Track.from(TrackCodec.encodeTrack({ title: 'a', author: 'b', identifier: 'c', sourceName: 'youtube' }));
+    track.toJSON().info.title;
+    await new UnresolvedTrack({ title: 'x', duration: 1000 }).resolve(manager);
+    new TrackCache({ maxSize: 1 }).stats.hitRate;
+
+    // Nodes & storage
+    const node: Node = player.node;
+    node.Penalties;
+    node.configureResuming(true, 60);
+    await manager.drainNode(node.identifier, { maxRetries: 3, timeout: 10000 });
+    const storage: StorageAdapter = new JSONFileStorage('players.json');
+    const snapshot: PlayerSnapshot | null = await storage.get('g1');
+    snapshot?.queue.loop;
+    const plain: PlayerStorage = { get: () => null, set: () => {}, delete: () => {} };
+    await new Manager({ send: () => {}, storage: plain }).restorePlayers({ guildIds: ['g1'], connect: false });
+
+    await server.stop();
+}
+usage;
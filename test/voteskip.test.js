@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { until, createEnv, recordEvents } = require('./helpers');
+
+let env;
+beforeEach(async () => {
+    env = await createEnv();
+    env.server.addTrack({ title: 'Alpha', author: 'Band', length: 60000, identifier: 'aaa' });
+    env.server.addTrack({ title: 'Beta', author: 'Band', length: 60000, identifier: 'bbb' });
+});
+afterEach(() => env.teardown());
+
+async function playingPlayer({ voteSkip, listeners = ['u1', 'u2', 'u3'], requester = null } = {}) {
+    const player = env.manager.createPlayer('g1', voteSkip ? { voteSkip } : {});
+    await player.connect('vc1');
+    for (const userId of listeners) await env.gateway.memberJoin('g1', userId, 'vc1');
+    await player.add((await env.manager.search('Band')).tracks, requester);
+    await until(() => player.current?.title === 'Alpha');
+    return player;
+}
+
+test('requiredSkipVotes is a fraction of the non-deafened listeners or an absolute count', async () => {
+    const player = await playingPlayer({ listeners: ['u1', 'u2', 'u3', 'u4'] });
+    assert.equal(player.requiredSkipVotes, 2);
+    await env.gateway.memberJoin('g1', 'u4', 'vc1', { deaf: true });
+    assert.equal(player.requiredSkipVotes, 2); // ceil(3 * 0.5)
+    await env.gateway.memberJoin('g1', 'u5', 'vc1');
+    assert.equal(player.requiredSkipVotes, 2);
+    await env.gateway.memberJoin('g1', 'u6', 'vc1');
+    assert.equal(player.requiredSkipVotes, 3);
+
+    player.voteSkipOptions.threshold = 4;
+    assert.equal(player.requiredSkipVotes, 4);
+});
+
+test('voteSkip() skips once the threshold is reached and emits on both emitters', async () => {
+    const player = await playingPlayer();
+    const events = recordEvents(env.manager, ['voteSkipAdd', 'voteSkipPass']);
+    const playerEvents = recordEvents(player, ['voteSkipAdd', 'voteSkipPass']);
+
+    assert.deepEqual(await player.voteSkip('u1'), { added: true, votes: 1, required: 2, passed: false });
+    assert.deepEqual(await player.voteSkip('u1'), { added: false, votes: 1, required: 2, passed: false });
+    assert.deepEqual(player.skipVotes, ['u1']);
+    assert.deepEqual(await player.voteSkip('u2'), { added: true, votes: 2, required: 2, passed: true });
+
+    await until(() => player.current?.title === 'Beta');
+    assert.deepEqual(events, ['voteSkipAdd', 'voteSkipAdd', 'voteSkipPass']);
+    assert.deepEqual(playerEvents, events);
+});
+
+test('voteSkip() ignores users that are not listening, including bots', async () => {
+    const player = await playingPlayer();
+    await env.gateway.memberJoin('g1', 'robot', 'vc1', { bot: true });
+    await env.gateway.memberJoin('g1', 'elsewhere', 'vc2');
+
+    for (const userId of ['outsider', 'robot', 'elsewhere']) {
+        assert.deepEqual(await player.voteSkip(userId), { added: false, votes: 0, required: 2, passed: false });
+    }
+    assert.deepEqual(player.skipVotes, []);
+});
+
+test('the requester skips with a single vote unless requesterCanSkip is off', async () => {
+    let player = await playingPlayer({ requester: { id: 'u1' } });
+    assert.equal((await player.voteSkip('u1')).passed, true);
+    await until(() => player.current?.title === 'Beta');
+    await player.destroy();
+
+    player = await playingPlayer({ requester: { id: 'u1' }, voteSkip: { requesterCanSkip: false } });
+    assert.equal((await player.voteSkip('u1')).passed, false);
+    assert.equal(player.current.title, 'Alpha');
+});
+
+test('votes are reset when the next track starts', async () => {
+    const player = await playingPlayer();
+    await player.voteSkip('u1');
+    env.server.emitTrackEnd('g1');
+    await until(() => player.current?.title === 'Beta');
+    assert.deepEqual(player.skipVotes, []);
+    assert.deepEqual(await player.voteSkip('u2'), { added: true, votes: 1, required: 2, passed: false });
+});
+
+test('votes of listeners that leave are dropped and the threshold is checked again', async () => {
+    const player = await playingPlayer({ listeners: ['u1', 'u2', 'u3', 'u4'] });
+    await player.voteSkip('u1');
+    await env.gateway.memberLeave('g1', 'u1');
+    assert.deepEqual(player.skipVotes, []);
+    assert.equal(player.current.title, 'Alpha');
+
+    await player.voteSkip('u2'); // 1 of 2 (three listeners left)
+    const passed = recordEvents(env.manager, ['voteSkipPass']);
+    await env.gateway.memberLeave('g1', 'u3'); // Two listeners left: one vote is enough
+    await until(() => player.current?.title === 'Beta');
+    assert.deepEqual(passed, ['voteSkipPass']);
+});